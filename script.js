@@ -1,69 +1,927 @@
 /*
   Script principal para o roteiro em formato de abas.
 
-  Este módulo reorganiza o conteúdo estático do roteiro em um
-  modelo de navegação por abas (tabs). Cada dia do itinerário é
-  transformado em um painel (tabpanel) que é carregado somente
-  quando o usuário seleciona a respectiva aba. O progresso por
-  dia (itens concluídos) é exibido ao lado do rótulo da aba e
-  persistido no localStorage. Notas pessoais também são
-  armazenadas no localStorage e exibidas em um painel próprio
-  chamado "Diário". As melhorias implementadas incluem:
-
-  • Separação do conteúdo em estrutura de dados (extraído a partir
-    dos cartões originais). O DOM inicial contém os cartões de
-    cada dia; eles são lidos, convertidos em JSON e removidos do
-    documento para reduzir o tamanho da página.
-  • Navegação por abas com suporte a teclado (setas, Home/End,
-    Enter/Espaço) e roles ARIA apropriados (tablist, tab,
-    tabpanel). A aba ativa é refletida na URL via parâmetro
-    `?dia=N` e persistida entre sessões via localStorage.
-  • Carregamento lazy dos painéis: o conteúdo de cada dia só é
-    criado e inserido no DOM quando a respectiva aba é ativada.
-  • Botões de "Dia anterior" e "Próximo dia" dentro de cada
-    painel para navegação sequencial.
-  • Persistência de estado de conclusão e notas individuais por
-    item, cálculo de progresso e atualização da interface em tempo
-    real.
-  • Painel "Diário" que reúne todas as notas salvas. Quando não
-    houver notas registradas, uma mensagem informativa é exibida.
-
-  Além disso, mantém-se funcionalidades existentes: contagem
-  regressiva, alternância de tema, botão voltar ao topo e registro
-  do service worker.
+  Este módulo reorganiza o roteiro em um modelo de navegação por
+  abas (tabs). O roteiro de cada viagem vem de um arquivo versionado
+  listado em `trips.json` (formato em `trip.schema.json`), com os
+  cartões embutidos no HTML como alternativa. Cada dia vira um painel
+  criado somente quando a respectiva aba é ativada; conclusão, notas
+  e demais dados do aparelho ficam no localStorage sob o prefixo da
+  viagem (`trip:<id>:`), e as fotos das notas, no IndexedDB.
+
+  Em linhas gerais, o arquivo reúne:
+
+  • abas, painéis dos dias, modo "agora" e contagem regressiva;
+  • estado das atividades, notas com fotos e o painel "Diário";
+  • editor do roteiro, mapa offline, orçamento e checklist;
+  • busca, categorias, lembretes e exportação (.ics, livreto,
+    livro de memórias e backup);
+  • diário compartilhado na nuvem, com fila local, tempo real e
+    sincronização das marcações entre os aparelhos;
+  • registro do service worker, tema e botão voltar ao topo.
+
+  Os detalhes de cada parte estão nos comentários das funções.
 */
 
-document.addEventListener('DOMContentLoaded', () => {
-  // Extrai dados dos cartões de dia presentes no HTML e remove-os do DOM.
-  const itineraryData = parseItinerary();
+document.addEventListener('DOMContentLoaded', async () => {
+  // Lê o roteiro embutido nos cartões do HTML (removendo-os do DOM)
+  // antes de qualquer download, para servir de alternativa ao trip.json.
+  const embeddedTrip = getEmbeddedTrip();
+  window.embeddedTrip = embeddedTrip;
   // Obtém a seção do diário antes de removê-la do fluxo.
   const diarySection = document.getElementById('diary');
   if (diarySection) {
     // Remove do DOM para realocação posterior no painel de diário.
     diarySection.remove();
   }
+  window.diarySection = diarySection;
+  initDiaryFilters();
 
   // Inicializa funcionalidades auxiliares presentes no roteiro original.
-  initCountdown();
   initTheme();
   initBackToTop();
   registerServiceWorker();
+  initBackup();
+  initPrintBooklet();
+  initMemoryBook();
+  initBudget();
+  initSearch();
+  initNoteDialog();
+  // O diário compartilhado carrega em paralelo, sem atrasar o roteiro.
+  initCloudDiary();
 
-  // Atualiza o diário inicialmente para refletir notas salvas.
-  updateDiary();
+  // Dados salvos antes do suporte a várias viagens pertencem à viagem
+  // embutida na página.
+  migrateLegacyStorage(embeddedTrip.id);
 
-  // Constrói as abas de navegação e associa os painéis.
-  buildTabs(itineraryData, diarySection);
-  // Restaura o último dia visitado a partir da URL ou localStorage.
-  restoreLastDay(itineraryData);
+  // Carrega a lista de viagens, monta o seletor e ativa a viagem
+  // escolhida por último (ou a primeira da lista).
+  const trips = await loadTripIndex(embeddedTrip);
+  window.tripIndex = trips;
+  initTripSwitcher(trips);
+  const storedTrip = localStorage.getItem('activeTrip');
+  const initial = trips.find((entry) => entry.id === storedTrip) || trips[0];
+  await activateTrip(initial.id);
 });
 
+/**
+ * Versão mais recente do formato de roteiro suportada por este script.
+ * Arquivos com versão maior são recusados pela validação.
+ */
+const TRIP_SCHEMA_VERSION = 1;
+
+/**
+ * Monta a viagem embutida no HTML: os dias vêm dos cartões
+ * `.day-card` (via `parseItinerary()`) e os metadados das metas
+ * `trip-id`, `trip-name`, `trip-start` e `trip-time-zone`.
+ *
+ * @returns {Object} viagem no mesmo formato de `loadTrip()`
+ */
+function getEmbeddedTrip() {
+  const readMeta = (name) => {
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    return meta && meta.content ? meta.content.trim() : '';
+  };
+  return {
+    id: readMeta('trip-id') || 'embedded',
+    name: readMeta('trip-name') || document.title,
+    start: readMeta('trip-start') || null,
+    timeZone: readMeta('trip-time-zone') || null,
+    days: parseItinerary(),
+  };
+}
+
+/**
+ * Carrega a lista de viagens disponíveis a partir de `trips.json`.
+ * Cada entrada indica o identificador, o nome exibido no seletor e o
+ * arquivo de roteiro. Se a lista não puder ser obtida ou estiver mal
+ * formada, apenas a viagem embutida na página é oferecida.
+ *
+ * @param {Object} embeddedTrip Viagem lida dos cartões do HTML
+ * @returns {Promise<Array<Object>>} entradas `{ id, name, file }`
+ */
+async function loadTripIndex(embeddedTrip) {
+  const fallback = [{ id: embeddedTrip.id, name: embeddedTrip.name, file: null }];
+  try {
+    const response = await fetch('trips.json', { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const index = await response.json();
+    const trips = (index && Array.isArray(index.trips) ? index.trips : []).filter(
+      (entry) => entry && typeof entry.id === 'string' && typeof entry.file === 'string'
+    );
+    if (!trips.length) {
+      throw new Error('nenhuma viagem listada');
+    }
+    return trips.map((entry) => ({ id: entry.id, name: entry.name || entry.id, file: entry.file }));
+  } catch (err) {
+    console.warn('Não foi possível carregar trips.json; usando apenas o roteiro do HTML.', err);
+    return fallback;
+  }
+}
+
+/**
+ * Carrega o arquivo de roteiro de uma entrada de `trips.json` e o
+ * valida. Quando o arquivo não pode ser obtido ou não passa na
+ * validação, a viagem embutida no HTML é usada se for a mesma viagem;
+ * para as demais, nenhuma viagem é retornada. Os erros não são
+ * exibidos aqui: cabe a quem chama decidir o que mostrar no lugar.
+ *
+ * @param {Object} entry Entrada `{ id, name, file }` da lista de viagens
+ * @returns {Promise<{trip: Object|null, errors: Array<string>}>} viagem
+ *   `{ id, name, start, timeZone, hotel, basemap, logistics, checklist,
+ *   days }` (ou null) e as mensagens de erro do arquivo
+ */
+async function loadTrip(entry) {
+  const embedded = entry.id === window.embeddedTrip.id ? window.embeddedTrip : null;
+  if (!entry.file) return { trip: embedded, errors: [] };
+  let trip;
+  try {
+    const response = await fetch(entry.file, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    trip = await response.json();
+  } catch (err) {
+    // Sem conexão, a viagem embutida é a mesma e dispensa o aviso.
+    if (embedded) {
+      console.warn(`Não foi possível carregar ${entry.file}; usando o roteiro do HTML.`, err);
+      return { trip: embedded, errors: [] };
+    }
+    return { trip: null, errors: [`Não foi possível baixar o arquivo (${err.message}).`] };
+  }
+  const errors = validateTrip(trip);
+  if (!errors.length && trip.id !== entry.id) {
+    errors.push(`id: esperado "${entry.id}" (conforme trips.json), encontrado "${trip.id}".`);
+  }
+  if (errors.length) {
+    return { trip: embedded, errors };
+  }
+  return {
+    trip: {
+      id: trip.id,
+      name: trip.name,
+      // Com voos, a viagem começa na primeira partida.
+      start: getFirstDeparture(trip.logistics) || trip.start || null,
+      timeZone: trip.timeZone || null,
+      hotel: trip.hotel || null,
+      basemap: trip.basemap || null,
+      logistics: trip.logistics || null,
+      checklist: trip.checklist || null,
+      days: trip.days.map((day) => ({
+        id: day.id,
+        date: day.date || null,
+        title: day.title,
+        subtitle: day.subtitle || '',
+        highlight: day.highlight || null,
+        schedule: day.schedule.map((item) => ({
+          id: item.id,
+          time: item.time || '',
+          html: item.html,
+          transport: item.transport || null,
+          coords: item.coords || null,
+          route: item.route || null,
+          categories: item.categories,
+        })),
+      })),
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Valida um objeto de roteiro conforme `trip.schema.json`. Em vez de
+ * interromper na primeira falha, acumula todas as mensagens para que
+ * possam ser corrigidas de uma vez.
+ *
+ * @param {*} trip Conteúdo já convertido do arquivo de roteiro
+ * @returns {Array<string>} mensagens de erro (vazia se válido)
+ */
+function validateTrip(trip) {
+  const errors = [];
+  const isText = (value) => typeof value === 'string';
+  if (!trip || typeof trip !== 'object' || Array.isArray(trip)) {
+    return ['O arquivo não contém um objeto de roteiro.'];
+  }
+  if (!Number.isInteger(trip.version) || trip.version < 1) {
+    errors.push('version: deve ser um número inteiro positivo.');
+  } else if (trip.version > TRIP_SCHEMA_VERSION) {
+    errors.push(`version: versão ${trip.version} não suportada (máximo ${TRIP_SCHEMA_VERSION}).`);
+  }
+  if (!isText(trip.id) || !/^[a-z0-9-]+$/.test(trip.id)) {
+    errors.push('id: use apenas letras minúsculas, números e hífens.');
+  }
+  if (!isText(trip.name) || !trip.name.trim()) {
+    errors.push('name: informe o nome da viagem.');
+  }
+  if (trip.start !== undefined && (!isText(trip.start) || Number.isNaN(Date.parse(trip.start)))) {
+    errors.push('start: use data e hora ISO 8601, como 2026-01-16T00:00:00-03:00.');
+  }
+  if (trip.timeZone !== undefined && (!isText(trip.timeZone) || !isValidTimeZone(trip.timeZone))) {
+    errors.push('timeZone: fuso horário desconhecido (use um nome IANA, como America/Argentina/Buenos_Aires).');
+  }
+  if (trip.hotel !== undefined) {
+    if (!trip.hotel || typeof trip.hotel !== 'object' || !isText(trip.hotel.name) || !trip.hotel.name.trim()) {
+      errors.push('hotel: informe o nome e as coordenadas da hospedagem.');
+    } else if (!isValidCoords(trip.hotel.coords)) {
+      errors.push('hotel.coords: use [latitude, longitude] em graus decimais.');
+    }
+  }
+  if (trip.basemap !== undefined && (!isText(trip.basemap) || !trip.basemap.trim())) {
+    errors.push('basemap: informe o caminho do arquivo do mapa-base.');
+  }
+  if (trip.logistics !== undefined) {
+    errors.push(...validateLogistics(trip.logistics));
+  }
+  if (trip.checklist !== undefined) {
+    errors.push(...validateChecklist(trip.checklist));
+  }
+  if (!Array.isArray(trip.days) || trip.days.length === 0) {
+    errors.push('days: deve ser uma lista com pelo menos um dia.');
+    return errors;
+  }
+  const seenDays = new Set();
+  trip.days.forEach((day, d) => {
+    const path = `days[${d}]`;
+    if (!day || typeof day !== 'object') {
+      errors.push(`${path}: deve ser um objeto.`);
+      return;
+    }
+    if (!Number.isInteger(day.id) || day.id < 1) {
+      errors.push(`${path}.id: deve ser um número inteiro a partir de 1.`);
+    } else if (seenDays.has(day.id)) {
+      errors.push(`${path}.id: o dia ${day.id} aparece mais de uma vez.`);
+    } else {
+      seenDays.add(day.id);
+    }
+    if (!isText(day.title) || !day.title.trim()) {
+      errors.push(`${path}.title: informe o título do dia.`);
+    }
+    if (day.date != null && (!isText(day.date) || !/^\d{4}-\d{2}-\d{2}$/.test(day.date))) {
+      errors.push(`${path}.date: use o formato AAAA-MM-DD.`);
+    }
+    ['subtitle', 'highlight'].forEach((field) => {
+      if (day[field] != null && !isText(day[field])) {
+        errors.push(`${path}.${field}: deve ser texto.`);
+      }
+    });
+    if (!Array.isArray(day.schedule)) {
+      errors.push(`${path}.schedule: deve ser uma lista de atividades.`);
+      return;
+    }
+    const seenItems = new Set();
+    day.schedule.forEach((item, i) => {
+      const itemPath = `${path}.schedule[${i}]`;
+      if (!item || typeof item !== 'object') {
+        errors.push(`${itemPath}: deve ser um objeto.`);
+        return;
+      }
+      if (!isText(item.html) || !item.html.trim()) {
+        errors.push(`${itemPath}.html: informe a descrição da atividade.`);
+      }
+      ['time', 'transport'].forEach((field) => {
+        if (item[field] != null && !isText(item[field])) {
+          errors.push(`${itemPath}.${field}: deve ser texto.`);
+        }
+      });
+      if (item.coords != null && !isValidCoords(item.coords)) {
+        errors.push(`${itemPath}.coords: use [latitude, longitude] em graus decimais.`);
+      }
+      const validRoute = Array.isArray(item.route) && item.route.length >= 2 && item.route.every(isValidCoords);
+      if (item.route != null && !validRoute) {
+        errors.push(`${itemPath}.route: use uma lista de pelo menos dois pontos [latitude, longitude].`);
+      }
+      if (item.categories != null) {
+        const known = ACTIVITY_CATEGORIES.map((category) => category.id);
+        if (!Array.isArray(item.categories)) {
+          errors.push(`${itemPath}.categories: deve ser uma lista.`);
+        } else {
+          item.categories
+            .filter((id) => !known.includes(id))
+            .forEach((id) => errors.push(`${itemPath}.categories: categoria "${id}" desconhecida (use ${known.join(', ')}).`));
+        }
+      }
+      if (item.id !== undefined) {
+        if (!isText(item.id) || !/^[a-z][a-z0-9-]*$/.test(item.id)) {
+          errors.push(`${itemPath}.id: comece com letra e use apenas letras minúsculas, números e hífens.`);
+        } else if (seenItems.has(item.id)) {
+          errors.push(`${itemPath}.id: "${item.id}" já foi usado neste dia.`);
+        } else {
+          seenItems.add(item.id);
+        }
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Valida a seção `logistics` (voos e traslados) de um roteiro.
+ *
+ * @param {*} logistics Valor do campo `logistics`
+ * @returns {Array<string>} mensagens de erro (vazia se válida)
+ */
+function validateLogistics(logistics) {
+  const errors = [];
+  const isText = (value) => typeof value === 'string';
+  const isDate = (value) => isText(value) && !Number.isNaN(Date.parse(value));
+  if (!logistics || typeof logistics !== 'object' || Array.isArray(logistics)) {
+    return ['logistics: deve ser um objeto com voos e traslados.'];
+  }
+  const flights = logistics.flights || [];
+  const transfers = logistics.transfers || [];
+  if (!Array.isArray(flights) || !Array.isArray(transfers)) {
+    return ['logistics: flights e transfers devem ser listas.'];
+  }
+  const flightIds = new Set();
+  flights.forEach((flight, f) => {
+    const path = `logistics.flights[${f}]`;
+    if (!flight || typeof flight !== 'object') {
+      errors.push(`${path}: deve ser um objeto.`);
+      return;
+    }
+    if (!isText(flight.id) || !flight.id.trim()) {
+      errors.push(`${path}.id: informe um identificador para o voo.`);
+    } else {
+      flightIds.add(flight.id);
+    }
+    ['from', 'to'].forEach((field) => {
+      if (!flight[field] || !isText(flight[field].code) || !flight[field].code.trim()) {
+        errors.push(`${path}.${field}: informe o código do aeroporto.`);
+      }
+    });
+    if (!isDate(flight.departure)) {
+      errors.push(`${path}.departure: use data e hora ISO 8601, como 2026-01-15T19:15:00-03:00.`);
+    }
+    if (flight.arrival !== undefined && !isDate(flight.arrival)) {
+      errors.push(`${path}.arrival: use data e hora ISO 8601.`);
+    }
+  });
+  transfers.forEach((transfer, t) => {
+    const path = `logistics.transfers[${t}]`;
+    if (!transfer || typeof transfer !== 'object') {
+      errors.push(`${path}: deve ser um objeto.`);
+      return;
+    }
+    if (!flightIds.has(transfer.flight)) {
+      errors.push(`${path}.flight: voo "${transfer.flight}" não encontrado em logistics.flights.`);
+    }
+    if (transfer.direction !== 'to-airport' && transfer.direction !== 'from-airport') {
+      errors.push(`${path}.direction: use "to-airport" ou "from-airport".`);
+    }
+    if (!isText(transfer.summary) || !transfer.summary.trim()) {
+      errors.push(`${path}.summary: informe o texto exibido no cartão de voos.`);
+    }
+    ['time', 'html', 'transport'].forEach((field) => {
+      if (transfer[field] != null && !isText(transfer[field])) {
+        errors.push(`${path}.${field}: deve ser texto.`);
+      }
+    });
+  });
+  if (logistics.note != null && !isText(logistics.note)) {
+    errors.push('logistics.note: deve ser texto.');
+  }
+  return errors;
+}
+
+/**
+ * Valida a seção `checklist` (pessoas e tarefas iniciais) de um roteiro.
+ *
+ * @param {*} checklist Valor do campo `checklist`
+ * @returns {Array<string>} mensagens de erro (vazia se válida)
+ */
+function validateChecklist(checklist) {
+  const errors = [];
+  const isText = (value) => typeof value === 'string';
+  if (!checklist || typeof checklist !== 'object' || Array.isArray(checklist)) {
+    return ['checklist: deve ser um objeto com pessoas e tarefas.'];
+  }
+  const people = checklist.people || [];
+  const tasks = checklist.tasks || [];
+  if (!Array.isArray(people) || !Array.isArray(tasks)) {
+    return ['checklist: people e tasks devem ser listas.'];
+  }
+  people.forEach((person, p) => {
+    if (!isText(person) || !person.trim()) {
+      errors.push(`checklist.people[${p}]: informe o nome da pessoa.`);
+    } else if (people.indexOf(person) !== p) {
+      errors.push(`checklist.people[${p}]: "${person}" aparece mais de uma vez.`);
+    }
+  });
+  tasks.forEach((task, t) => {
+    const path = `checklist.tasks[${t}]`;
+    if (!task || typeof task !== 'object') {
+      errors.push(`${path}: deve ser um objeto.`);
+      return;
+    }
+    if (!isText(task.text) || !task.text.trim()) {
+      errors.push(`${path}.text: informe a tarefa.`);
+    }
+    if (task.category != null && !isText(task.category)) {
+      errors.push(`${path}.category: deve ser texto.`);
+    }
+    if (task.dueDays != null && (!Number.isInteger(task.dueDays) || task.dueDays < 0)) {
+      errors.push(`${path}.dueDays: use um número inteiro de dias, a partir de 0.`);
+    }
+    if (task.assignee != null && task.assignee !== '' && !people.includes(task.assignee)) {
+      errors.push(`${path}.assignee: "${task.assignee}" não está em checklist.people.`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Primeira partida entre os voos da viagem, que marca o início da
+ * viagem para a contagem regressiva e os prazos da checklist.
+ *
+ * @param {Object|null} logistics Voos e traslados do roteiro
+ * @returns {string|null} Partida em ISO 8601 ou null sem voos
+ */
+function getFirstDeparture(logistics) {
+  const departures = ((logistics && logistics.flights) || [])
+    .map((flight) => flight.departure)
+    .sort((a, b) => Date.parse(a) - Date.parse(b));
+  return departures[0] || null;
+}
+
+/**
+ * Leva ao fim do último dia as idas ao aeroporto que descrevem uma
+ * atividade (`html`). O texto é o mesmo do traslado, então o
+ * identificador derivado — e com ele a nota e a marcação — não muda;
+ * se o roteiro já tiver essa atividade em qualquer dia, nada é
+ * acrescentado. Roteiros editados no aparelho não passam por aqui: a
+ * ida ao aeroporto já foi salva neles, e removê-la ou mudá-la de dia
+ * no editor deve valer.
+ *
+ * @param {Array<Object>} days Dias do roteiro (alterados no lugar)
+ * @param {Object|null} logistics Voos e traslados do roteiro
+ */
+function addAirportRuns(days, logistics) {
+  const lastDay = days[days.length - 1];
+  if (!lastDay || !logistics) return;
+  (logistics.transfers || [])
+    .filter((transfer) => transfer.direction === 'to-airport' && transfer.html)
+    .forEach((transfer) => {
+      const item = { time: transfer.time || '', html: transfer.html, transport: transfer.transport || null };
+      const id = deriveItemId(item);
+      const exists = days.some((day) =>
+        day.schedule.some((existing) => (existing.id || deriveItemId(existing)) === id)
+      );
+      if (!exists) lastDay.schedule.push(item);
+    });
+}
+
+/**
+ * Horário e data locais de um instante ISO 8601, como escritos no
+ * roteiro (no fuso do aeroporto).
+ *
+ * @param {string} iso Data e hora com fuso
+ * @returns {{time: string, date: string}} ex.: `{ time: '19h15', date: '15/01' }`
+ */
+function formatFlightTime(iso) {
+  const match = String(iso).match(/^\d{4}-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return { time: '', date: '' };
+  return { time: `${match[3]}h${match[4]}`, date: `${match[2]}/${match[1]}` };
+}
+
+/**
+ * Monta o cartão "Voos & estrutura geral" a partir dos voos, do hotel
+ * e dos traslados do roteiro. Sem `logistics`, o conteúdo embutido no
+ * HTML é mantido. Viagens sem cartão embutido ganham um, em um grid
+ * próprio (`data-trip`) logo após o resumo geral.
+ *
+ * @param {Object} trip Viagem ativa
+ */
+function renderLogisticsCard(trip) {
+  const logistics = trip.logistics;
+  if (!logistics || !logistics.flights || !logistics.flights.length) return;
+  let card = Array.from(document.querySelectorAll('.flights-card')).find((el) => {
+    const owner = el.closest('[data-trip]');
+    return !owner || owner.dataset.trip === trip.id;
+  });
+  if (!card) {
+    const anchor = document.getElementById('trip-errors');
+    if (!anchor) return;
+    const grid = document.createElement('div');
+    grid.className = 'grid';
+    grid.setAttribute('data-trip', trip.id);
+    card = document.createElement('div');
+    card.className = 'card flights-card';
+    grid.appendChild(card);
+    anchor.parentNode.insertBefore(grid, anchor);
+  }
+  card.innerHTML = '';
+  const title = document.createElement('h2');
+  title.textContent = '✈️ Voos & estrutura geral';
+  card.appendChild(title);
+  const addLine = (list, html) => {
+    const li = document.createElement('li');
+    li.innerHTML = sanitizeHtml(html);
+    list.appendChild(li);
+  };
+  const airport = (place) => `<strong>${escapeHtml(place.city ? `${place.city} (${place.code})` : place.code)}</strong>`;
+  logistics.flights.forEach((flight) => {
+    const heading = document.createElement('h3');
+    heading.textContent = flight.title || `${flight.from.code} → ${flight.to.code}`;
+    card.appendChild(heading);
+    const list = document.createElement('ul');
+    list.className = 'info-list';
+    const transfers = (logistics.transfers || []).filter((transfer) => transfer.flight === flight.id);
+    transfers
+      .filter((transfer) => transfer.direction === 'to-airport')
+      .forEach((transfer) => addLine(list, transfer.summary));
+    const departure = formatFlightTime(flight.departure);
+    addLine(list, `${airport(flight.from)} → ${departure.time} – ${departure.date}`);
+    if (flight.arrival) {
+      const arrival = formatFlightTime(flight.arrival);
+      const date = arrival.date !== departure.date ? ` – ${arrival.date}` : '';
+      addLine(list, `${airport(flight.to)} → chegada ${flight.approximateArrival ? '~' : ''}${arrival.time}${date}`);
+    }
+    transfers
+      .filter((transfer) => transfer.direction === 'from-airport')
+      .forEach((transfer) => addLine(list, transfer.summary));
+    card.appendChild(list);
+  });
+  if (trip.hotel) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Hospedagem';
+    card.appendChild(heading);
+    const list = document.createElement('ul');
+    list.className = 'info-list';
+    addLine(list, `<strong>${escapeHtml(trip.hotel.name)}</strong>`);
+    card.appendChild(list);
+  }
+  if (logistics.note) {
+    const note = document.createElement('div');
+    note.className = 'highlight';
+    note.innerHTML = sanitizeHtml(logistics.note);
+    card.appendChild(note);
+  }
+}
+
+/**
+ * Indica se um valor é um par `[latitude, longitude]` válido.
+ *
+ * @param {*} coords Valor a verificar
+ * @returns {boolean} true se for um par de graus decimais dentro dos limites
+ */
+function isValidCoords(coords) {
+  return (
+    Array.isArray(coords) &&
+    coords.length === 2 &&
+    coords.every((value) => typeof value === 'number' && Number.isFinite(value)) &&
+    Math.abs(coords[0]) <= 90 &&
+    Math.abs(coords[1]) <= 180
+  );
+}
+
+/**
+ * Exibe os erros de validação do arquivo de roteiro no aviso
+ * `#trip-errors`, logo acima das abas. Uma lista vazia oculta o aviso.
+ *
+ * @param {string} url Endereço do arquivo com problemas
+ * @param {Array<string>} errors Mensagens de erro
+ * @param {string} [fallback] O que é exibido no lugar do arquivo
+ */
+function showTripErrors(url, errors, fallback = 'o roteiro embutido na página') {
+  const box = document.getElementById('trip-errors');
+  if (!box) return;
+  box.innerHTML = '';
+  if (!errors.length) {
+    box.classList.add('hidden');
+    return;
+  }
+  const intro = document.createElement('p');
+  intro.textContent = `O arquivo ${url} tem problemas e foi ignorado; exibindo ${fallback}.`;
+  const list = document.createElement('ul');
+  errors.forEach((message) => {
+    const li = document.createElement('li');
+    li.textContent = message;
+    list.appendChild(li);
+  });
+  box.appendChild(intro);
+  box.appendChild(list);
+  box.classList.remove('hidden');
+}
+
+/**
+ * Monta a chave de localStorage de um dado pertencente à viagem ativa
+ * (ou à viagem informada). Cada viagem guarda conclusão, notas e
+ * último dia visitado sob o prefixo `trip:<id>:`; preferências
+ * globais, como o tema, continuam sem prefixo.
+ *
+ * @param {string} key Chave sem prefixo (ex.: `lastDay`)
+ * @param {string} [tripId] Viagem dona do dado; padrão é a ativa
+ * @returns {string} Chave completa
+ */
+function tripKey(key, tripId = window.currentTrip && window.currentTrip.id) {
+  return `trip:${tripId}:${key}`;
+}
+
+/**
+ * Move as chaves gravadas antes do suporte a várias viagens
+ * (`day-N-item-M` e `lastDay`, sem prefixo) para o espaço de nomes da
+ * viagem informada. Valores já existentes no destino são mantidos.
+ *
+ * @param {string} tripId Viagem que recebe os dados antigos
+ */
+function migrateLegacyStorage(tripId) {
+  const legacyKeys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && (/^day-\d+-item-\d+$/.test(key) || key === 'lastDay')) {
+      legacyKeys.push(key);
+    }
+  }
+  legacyKeys.forEach((key) => {
+    const target = tripKey(key, tripId);
+    if (localStorage.getItem(target) === null) {
+      localStorage.setItem(target, localStorage.getItem(key));
+    }
+    localStorage.removeItem(key);
+  });
+}
+
+/**
+ * Preenche o seletor de viagens do cabeçalho. O seletor só é exibido
+ * quando há mais de uma viagem; ao trocar de viagem, o parâmetro
+ * `?dia` da URL é descartado para que o último dia visitado da nova
+ * viagem seja restaurado.
+ *
+ * @param {Array<Object>} trips Entradas `{ id, name, file }`
+ */
+function initTripSwitcher(trips) {
+  const switcher = document.getElementById('trip-switcher');
+  if (!switcher) return;
+  switcher.innerHTML = '';
+  trips.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    option.textContent = entry.name;
+    switcher.appendChild(option);
+  });
+  switcher.classList.toggle('hidden', trips.length < 2);
+  switcher.addEventListener('change', () => {
+    const url = new URL(window.location);
+    url.searchParams.delete('dia');
+    history.replaceState(null, '', url.toString());
+    activateTrip(switcher.value);
+  });
+}
+
+/**
+ * Carrega e exibe a viagem informada: atualiza cabeçalho e contagem
+ * regressiva, reconstrói as abas e o diário com os dados do espaço de
+ * nomes da viagem e restaura o último dia visitado nela. Quando a
+ * viagem foi alterada no editor, a versão editada tem precedência
+ * sobre o arquivo de roteiro.
+ *
+ * Se o arquivo da viagem não puder ser usado, os erros são exibidos e
+ * a viagem aberta continua na tela (na abertura do app, a embutida na
+ * página). Com trocas rápidas, só a última chamada é aplicada; as
+ * anteriores são descartadas quando o download termina.
+ *
+ * @param {string} id Identificador da viagem em `trips.json`
+ */
+async function activateTrip(id) {
+  const entry = window.tripIndex.find((t) => t.id === id) || window.tripIndex[0];
+  window.tripActivation = (window.tripActivation || 0) + 1;
+  const activation = window.tripActivation;
+  setBackupEnabled(false);
+  const loaded = await loadTrip(entry);
+  if (activation !== window.tripActivation) return;
+  const switcher = document.getElementById('trip-switcher');
+  if (!loaded.trip && window.currentTrip) {
+    showTripErrors(entry.file, loaded.errors, `a viagem ${window.currentTrip.name}, que já estava aberta`);
+    if (switcher) switcher.value = window.currentTrip.id;
+    setBackupEnabled(true);
+    return;
+  }
+  showTripErrors(entry.file, loaded.errors);
+  const trip = loaded.trip || window.embeddedTrip;
+  window.currentTrip = {
+    id: trip.id,
+    name: trip.name,
+    start: trip.start,
+    timeZone: trip.timeZone,
+    hotel: trip.hotel || null,
+    basemap: trip.basemap || null,
+    checklist: trip.checklist || null,
+  };
+  localStorage.setItem('activeTrip', trip.id);
+  // Trabalha sobre uma cópia para que edições não alterem o roteiro
+  // carregado (nem o embutido, reutilizado ao trocar de viagem).
+  const edited = loadEditedItinerary(trip);
+  const days = edited || JSON.parse(JSON.stringify(trip.days));
+  if (!edited) addAirportRuns(days, trip.logistics);
+  assignItemIds(days);
+  migrateIndexedItemKeys(days);
+  if (switcher) switcher.value = trip.id;
+  applyTripHeader(trip);
+  renderLogisticsCard(trip);
+  buildTabs(days, window.diarySection);
+  updateDiary();
+  updateBudgetTotals();
+  restoreLastDay(days);
+  initCountdown(trip.start);
+  scheduleReminders();
+  queueItemSync();
+  reloadCloudDiary();
+  setBackupEnabled(true);
+}
+
+/**
+ * Ajusta o título da página e do cabeçalho para a viagem ativa e
+ * mostra apenas os blocos estáticos do HTML marcados com o mesmo
+ * `data-trip` (voos, resumo, dicas), ocultando os de outras viagens.
+ *
+ * @param {Object} trip Viagem ativa
+ */
+function applyTripHeader(trip) {
+  const heading = document.querySelector('.hero-content h1');
+  if (heading) heading.textContent = `Roteiro ${trip.name}`;
+  document.title = `Roteiro ${trip.name}`;
+  document.querySelectorAll('[data-trip]').forEach((el) => {
+    el.classList.toggle('hidden', el.dataset.trip !== trip.id);
+  });
+}
+
+/**
+ * Garante que cada atividade tenha um identificador estável dentro do
+ * seu dia. Identificadores explícitos do roteiro são mantidos; os
+ * demais são derivados da descrição por `deriveItemId()`. Repetições
+ * no mesmo dia recebem um sufixo numérico (`-2`, `-3`...). A função
+ * altera os itens recebidos e pode ser chamada mais de uma vez.
+ *
+ * @param {Array<Object>} days Dias do roteiro
+ */
+function assignItemIds(days) {
+  days.forEach((day) => {
+    const used = new Set();
+    day.schedule.forEach((item) => {
+      const base = item.id || deriveItemId(item);
+      let id = base;
+      let suffix = 2;
+      while (used.has(id)) {
+        id = `${base}-${suffix}`;
+        suffix += 1;
+      }
+      item.id = id;
+      used.add(id);
+    });
+  });
+}
+
+/**
+ * Normaliza um texto para busca: minúsculas e sem acentos.
+ *
+ * @param {string} text Texto original
+ * @returns {string} Texto normalizado
+ */
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Deriva um identificador legível a partir do texto da descrição de
+ * uma atividade, ignorando etiquetas (`.tag`), acentos e pontuação.
+ * O horário não entra no cálculo, para que ajustes de horário não
+ * desassociem notas e marcações da atividade.
+ *
+ * @param {Object} item Atividade com o campo `html`
+ * @returns {string} Identificador (ex.: `obelisco-e-av-9-de-julio`)
+ */
+function deriveItemId(item) {
+  // <template> interpreta o HTML sem executar scripts nem carregar imagens.
+  const template = document.createElement('template');
+  template.innerHTML = item.html || '';
+  template.content.querySelectorAll('.tag').forEach((tag) => tag.remove());
+  const words = normalizeSearchText(template.content.textContent)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  // Limita o tamanho sem cortar palavras ao meio.
+  let slug = '';
+  for (const word of words) {
+    const next = slug ? `${slug}-${word}` : word;
+    if (slug && next.length > 48) break;
+    slug = next;
+  }
+  if (!slug) return 'item';
+  return /^[a-z]/.test(slug) ? slug : `item-${slug}`;
+}
+
+/**
+ * Monta a chave de localStorage do estado (conclusão e nota) de uma
+ * atividade da viagem ativa.
+ *
+ * @param {number|string} dayId Número do dia
+ * @param {string} itemId Identificador estável da atividade
+ * @returns {string} Chave completa
+ */
+function itemStorageKey(dayId, itemId) {
+  return tripKey(`day-${dayId}-item-${itemId}`);
+}
+
+/**
+ * Lê o estado salvo (conclusão e notas) de uma atividade da viagem
+ * ativa, já no formato atual (ver `normalizeItemState()`).
+ *
+ * @param {number|string} dayId Número do dia
+ * @param {string} itemId Identificador estável da atividade
+ * @returns {{completed?: boolean, notes: Array<Object>}} Estado salvo
+ */
+function readItemState(dayId, itemId) {
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(itemStorageKey(dayId, itemId)));
+  } catch (e) {
+    data = null;
+  }
+  return normalizeItemState(data);
+}
+
+/**
+ * Salva uma alteração local no estado de uma atividade da viagem
+ * ativa. A alteração recebe data/hora e fica marcada como pendente de
+ * envio (`dirty`) para a sincronização com a conta compartilhada.
+ *
+ * @param {number|string} dayId Número do dia
+ * @param {string} itemId Identificador estável da atividade
+ * @param {Object} state Estado no formato de `readItemState()`
+ */
+function writeItemState(dayId, itemId, state) {
+  const data = { ...state, updatedAt: new Date().toISOString(), dirty: true };
+  if (!data.notes || !data.notes.length) delete data.notes;
+  localStorage.setItem(itemStorageKey(dayId, itemId), JSON.stringify(data));
+  queueItemSync();
+}
+
+/**
+ * Converte o estado salvo de uma atividade para o formato atual, em
+ * que as notas são uma lista de entradas `{ id, text, createdAt,
+ * photos }` (identificadores de fotos no IndexedDB). A nota única das
+ * versões anteriores (`note`) vira a primeira entrada, sem data.
+ *
+ * @param {*} data Estado lido do localStorage ou de um backup
+ * @returns {{completed?: boolean, notes: Array<Object>}} Estado normalizado
+ */
+function normalizeItemState(data) {
+  const state = data && typeof data === 'object' ? { ...data } : {};
+  const notes = Array.isArray(state.notes) ? state.notes.slice() : [];
+  if (typeof state.note === 'string' && state.note.trim()) {
+    notes.unshift({ id: 'nota-anterior', text: state.note.trim(), createdAt: null, photos: [] });
+  }
+  delete state.note;
+  state.notes = notes
+    .filter((note) => note && typeof note === 'object' && typeof note.text === 'string')
+    .map((note, index) => ({
+      id: typeof note.id === 'string' && note.id ? note.id : `nota-${index + 1}`,
+      text: note.text,
+      createdAt: typeof note.createdAt === 'string' ? note.createdAt : null,
+      photos: Array.isArray(note.photos) ? note.photos.filter((id) => typeof id === 'string') : [],
+    }));
+  return state;
+}
+
+/**
+ * Migração única, por viagem, das chaves antigas baseadas na posição
+ * da atividade (`day-N-item-<índice>`) para as chaves com o
+ * identificador estável. O índice é resolvido contra o roteiro atual,
+ * que é o mesmo usado quando as notas foram gravadas. Valores já
+ * existentes no destino são mantidos.
+ *
+ * @param {Array<Object>} days Dias do roteiro, já com identificadores
+ */
+function migrateIndexedItemKeys(days) {
+  const flagKey = tripKey('itemIdsMigrated');
+  if (localStorage.getItem(flagKey)) return;
+  days.forEach((day) => {
+    day.schedule.forEach((item, index) => {
+      const legacyKey = tripKey(`day-${day.id}-item-${index}`);
+      const value = localStorage.getItem(legacyKey);
+      if (value === null) return;
+      const target = itemStorageKey(day.id, item.id);
+      if (localStorage.getItem(target) === null) {
+        localStorage.setItem(target, value);
+      }
+      localStorage.removeItem(legacyKey);
+    });
+  });
+  localStorage.setItem(flagKey, '1');
+}
+
 /**
  * Percorre todos os cartões de dia presentes no documento (classe
  * `.day-card`), extrai seus conteúdos para um objeto de dados e
  * remove o elemento original do DOM. Cada item do itinerário
  * contém título, subtítulo, highlight (caso exista) e uma lista
  * de atividades com horário, descrição e detalhes de transporte.
+ * É a alternativa usada por `loadTrip()` quando o arquivo de
+ * roteiro não está disponível.
  *
  * @returns {Array<Object>} lista de objetos com dados dos dias
  */
@@ -80,7 +938,7 @@ function parseItinerary() {
       const timeEl = li.querySelector('.time');
       const time = timeEl ? timeEl.textContent.trim() : '';
       const transportEl = li.querySelector('.transport');
-      const transport = transportEl ? transportEl.innerHTML.trim() : null;
+      const transport = transportEl ? sanitizeHtml(transportEl.innerHTML.trim()) : null;
       // Clona o elemento <li> para extrair o HTML da descrição sem
       // modificar o original. Remove horário e transporte antes de
       // capturar o conteúdo restante.
@@ -89,7 +947,7 @@ function parseItinerary() {
       if (timeClone) timeClone.remove();
       const transportClone = clone.querySelector('.transport');
       if (transportClone) transportClone.remove();
-      const descriptionHtml = clone.innerHTML.trim();
+      const descriptionHtml = sanitizeHtml(clone.innerHTML.trim());
       return {
         time,
         html: descriptionHtml,
@@ -98,9 +956,10 @@ function parseItinerary() {
     });
     data.push({
       id: dayId,
-      title: titleEl ? titleEl.innerHTML.trim() : '',
-      subtitle: subEl ? subEl.innerHTML.trim() : '',
-      highlight: highlightEl ? highlightEl.innerHTML.trim() : null,
+      date: card.dataset.date || null,
+      title: titleEl ? sanitizeHtml(titleEl.innerHTML.trim()) : '',
+      subtitle: subEl ? sanitizeHtml(subEl.innerHTML.trim()) : '',
+      highlight: highlightEl ? sanitizeHtml(highlightEl.innerHTML.trim()) : null,
       schedule,
     });
     // Remove o cartão do DOM para reduzir peso da página.
@@ -145,6 +1004,17 @@ function buildTabs(itineraryData, diarySection) {
     // Calcula progresso inicial antes da criação do painel.
     updateDayProgress(day.id);
   });
+  // Aba da checklist de preparação, antes do diário.
+  const checklistBtn = document.createElement('button');
+  checklistBtn.className = 'nav-item';
+  checklistBtn.setAttribute('role', 'tab');
+  checklistBtn.setAttribute('id', 'tab-checklist');
+  checklistBtn.setAttribute('aria-controls', 'panel-checklist');
+  checklistBtn.setAttribute('tabindex', '-1');
+  checklistBtn.setAttribute('aria-selected', 'false');
+  checklistBtn.addEventListener('click', () => openTab('checklist'));
+  tabList.appendChild(checklistBtn);
+  updateChecklistProgress();
   // Cria a aba de diário se houver seção de diário.
   if (diarySection) {
     const btn = document.createElement('button');
@@ -160,6 +1030,8 @@ function buildTabs(itineraryData, diarySection) {
   }
   // Suporte à navegação por teclado na lista de abas.
   tabList.addEventListener('keydown', handleTabKeyNav);
+  // Filtros e contagem por categoria refletem o roteiro recém-montado.
+  renderCategoryFilter();
 }
 
 /**
@@ -233,9 +1105,9 @@ function getIdFromTab(tab) {
  * função cria o painel sob demanda se ainda não existir. Também
  * ajusta atributos ARIA, atualiza a URL para permitir deep-link
  * (parâmetro `?dia=N` ou remoção no caso de diário) e persiste o
- * último dia visitado no localStorage.
+ * último dia visitado da viagem ativa no localStorage.
  *
- * @param {string} id Identificador do painel (número ou 'diary')
+ * @param {string} id Identificador do painel (número, 'checklist' ou 'diary')
  */
 function openTab(id) {
   const tabList = document.getElementById('tab-list');
@@ -266,13 +1138,14 @@ function openTab(id) {
       panel.setAttribute('hidden', 'true');
     }
   });
-  // Persiste o último dia visitado apenas se não for o diário.
-  if (id !== 'diary') {
-    localStorage.setItem('lastDay', id);
+  // Persiste o último dia visitado apenas se for um dia.
+  const isDay = id !== 'diary' && id !== 'checklist';
+  if (isDay) {
+    localStorage.setItem(tripKey('lastDay'), id);
   }
   // Atualiza a URL para permitir deep-link.
   const url = new URL(window.location);
-  if (id === 'diary') {
+  if (!isDay) {
     url.searchParams.delete('dia');
   } else {
     url.searchParams.set('dia', id);
@@ -287,7 +1160,8 @@ function openTab(id) {
  * adiciona botões de navegação para dia anterior/próximo e
  * inicializa os itens da agenda (concluir/nota). Para o painel de
  * diário, anexa a seção de diário fornecida ou uma mensagem
- * indicativa caso não existam notas.
+ * indicativa caso não existam notas; o da checklist é desenhado por
+ * `renderChecklistPanel()`.
  *
  * @param {string} id Identificador do painel a ser criado
  */
@@ -326,6 +1200,18 @@ function createPanel(id) {
     window.tabPanels[id] = diaryPanel;
     return;
   }
+  // Painel da checklist de preparação
+  if (id === 'checklist') {
+    const checklistPanel = document.createElement('div');
+    checklistPanel.className = 'tab-panel card checklist-panel';
+    checklistPanel.id = 'panel-checklist';
+    checklistPanel.setAttribute('role', 'tabpanel');
+    checklistPanel.setAttribute('aria-labelledby', 'tab-checklist');
+    renderChecklistPanel(checklistPanel);
+    panelsContainer.appendChild(checklistPanel);
+    window.tabPanels[id] = checklistPanel;
+    return;
+  }
   // Painéis dos dias numéricos
   const day = window.itineraryData.find((d) => d.id.toString() === id.toString());
   if (!day) return;
@@ -342,25 +1228,111 @@ function createPanel(id) {
   headerDiv.className = 'day-header';
   const titleDiv = document.createElement('div');
   titleDiv.className = 'day-title';
-  titleDiv.innerHTML = day.title;
+  titleDiv.innerHTML = sanitizeHtml(day.title);
   const subDiv = document.createElement('div');
   subDiv.className = 'day-sub';
-  subDiv.innerHTML = day.subtitle;
+  subDiv.innerHTML = sanitizeHtml(day.subtitle);
   headerDiv.appendChild(titleDiv);
   headerDiv.appendChild(subDiv);
   dayDiv.appendChild(headerDiv);
+  // Barra de ferramentas do dia (edição do roteiro)
+  const toolbar = document.createElement('div');
+  toolbar.className = 'day-toolbar';
+  const editBtn = document.createElement('button');
+  editBtn.type = 'button';
+  editBtn.className = 'edit-day-btn';
+  editBtn.textContent = '✏️ Editar dia';
+  editBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    openDayEditor(day.id);
+  });
+  toolbar.appendChild(editBtn);
+  const dayCalendarBtn = document.createElement('button');
+  dayCalendarBtn.type = 'button';
+  dayCalendarBtn.className = 'calendar-btn';
+  dayCalendarBtn.textContent = '📅 Dia no calendário';
+  dayCalendarBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    exportCalendar([day], `dia-${day.id}`, feedbackEl);
+  });
+  toolbar.appendChild(dayCalendarBtn);
+  const tripCalendarBtn = document.createElement('button');
+  tripCalendarBtn.type = 'button';
+  tripCalendarBtn.className = 'calendar-btn';
+  tripCalendarBtn.textContent = '📅 Viagem inteira';
+  tripCalendarBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    exportCalendar(window.itineraryData, 'viagem', feedbackEl);
+  });
+  toolbar.appendChild(tripCalendarBtn);
+  const reminderControl = document.createElement('span');
+  reminderControl.className = 'reminder-control';
+  reminderControl.dataset.dayId = day.id;
+  renderReminderControl(reminderControl, day.id);
+  toolbar.appendChild(reminderControl);
+  // Mapa offline do dia, desenhado na primeira vez que é aberto
+  const mapDiv = document.createElement('div');
+  mapDiv.className = 'day-map hidden';
+  if (day.schedule.some((item) => isValidCoords(item.coords))) {
+    const mapBtn = document.createElement('button');
+    mapBtn.type = 'button';
+    mapBtn.className = 'map-btn';
+    mapBtn.textContent = '🗺️ Mapa do dia';
+    mapBtn.setAttribute('aria-expanded', 'false');
+    mapBtn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      const open = mapDiv.classList.toggle('hidden') === false;
+      mapBtn.setAttribute('aria-expanded', String(open));
+      if (open && !mapDiv.hasChildNodes()) renderDayMap(mapDiv, day, panel);
+    });
+    toolbar.appendChild(mapBtn);
+  }
+  // Orçamento do dia (previsto por atividade e gastos)
+  const budgetDiv = document.createElement('div');
+  budgetDiv.className = 'day-budget hidden';
+  const budgetBtn = document.createElement('button');
+  budgetBtn.type = 'button';
+  budgetBtn.className = 'budget-btn';
+  budgetBtn.textContent = '💰 Orçamento';
+  budgetBtn.setAttribute('aria-expanded', 'false');
+  budgetBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    const open = budgetDiv.classList.toggle('hidden') === false;
+    budgetBtn.setAttribute('aria-expanded', String(open));
+    if (open) renderDayBudget(budgetDiv, day);
+  });
+  toolbar.appendChild(budgetBtn);
+  dayDiv.appendChild(toolbar);
+  // Mensagens das ações da barra (ex.: itens fora do calendário)
+  const feedbackEl = document.createElement('div');
+  feedbackEl.className = 'feedback day-feedback';
+  feedbackEl.setAttribute('role', 'status');
+  dayDiv.appendChild(feedbackEl);
+  dayDiv.appendChild(mapDiv);
+  dayDiv.appendChild(budgetDiv);
   // Se houver highlight, adiciona uma caixa de destaque
   if (day.highlight) {
     const highlightDiv = document.createElement('div');
     highlightDiv.className = 'highlight';
-    highlightDiv.innerHTML = day.highlight;
+    highlightDiv.innerHTML = sanitizeHtml(day.highlight);
     dayDiv.appendChild(highlightDiv);
   }
   // Lista de atividades
   const ul = document.createElement('ul');
   ul.className = 'schedule';
+  let stopNumber = 0;
   day.schedule.forEach((item) => {
     const li = document.createElement('li');
+    li.dataset.itemId = item.id;
+    // Número da parada no mapa do dia
+    if (isValidCoords(item.coords)) {
+      stopNumber += 1;
+      const stopSpan = document.createElement('span');
+      stopSpan.className = 'stop-number';
+      stopSpan.textContent = stopNumber;
+      stopSpan.setAttribute('aria-label', `Parada ${stopNumber} no mapa`);
+      li.appendChild(stopSpan);
+    }
     // Horário
     if (item.time) {
       const timeSpan = document.createElement('span');
@@ -368,15 +1340,26 @@ function createPanel(id) {
       timeSpan.textContent = item.time;
       li.appendChild(timeSpan);
     }
-    // Descrição (conteúdo HTML)
+    // Descrição (conteúdo HTML). O roteiro pode vir de trip.json, de
+    // edições ou de um backup importado; por isso passa pelo filtro.
     const descSpan = document.createElement('span');
-    descSpan.innerHTML = item.html;
+    descSpan.innerHTML = sanitizeHtml(item.html);
     li.appendChild(descSpan);
+    // Ícones das categorias da atividade
+    const categories = ACTIVITY_CATEGORIES.filter((c) => getItemCategories(item).includes(c.id));
+    if (categories.length) {
+      const categorySpan = document.createElement('span');
+      categorySpan.className = 'item-categories';
+      categorySpan.textContent = categories.map((c) => c.icon).join(' ');
+      categorySpan.title = categories.map((c) => c.label).join(', ');
+      categorySpan.setAttribute('aria-label', `Categorias: ${categorySpan.title}`);
+      li.appendChild(categorySpan);
+    }
     // Transporte (opcional)
     if (item.transport) {
       const transportDiv = document.createElement('div');
       transportDiv.className = 'transport';
-      transportDiv.innerHTML = item.transport;
+      transportDiv.innerHTML = sanitizeHtml(item.transport);
       li.appendChild(transportDiv);
     }
     ul.appendChild(li);
@@ -385,27 +1368,31 @@ function createPanel(id) {
   // Navegação entre dias
   const navDiv = document.createElement('div');
   navDiv.className = 'tab-day-nav';
+  // Vizinhos pela posição no roteiro, sem supor números contínuos.
+  const position = window.itineraryData.indexOf(day);
+  const prevDay = window.itineraryData[position - 1];
+  const nextDay = window.itineraryData[position + 1];
   // Botão de dia anterior
-  if (day.id > 1) {
+  if (prevDay) {
     const prevBtn = document.createElement('button');
     prevBtn.className = 'prev-day-btn';
     prevBtn.type = 'button';
     prevBtn.textContent = '← Dia anterior';
     prevBtn.addEventListener('click', (ev) => {
       ev.stopPropagation();
-      openTab((day.id - 1).toString());
+      openTab(prevDay.id.toString());
     });
     navDiv.appendChild(prevBtn);
   }
   // Botão de próximo dia
-  if (day.id < window.itineraryData.length) {
+  if (nextDay) {
     const nextBtn = document.createElement('button');
     nextBtn.className = 'next-day-btn';
     nextBtn.type = 'button';
     nextBtn.textContent = 'Próximo dia →';
     nextBtn.addEventListener('click', (ev) => {
       ev.stopPropagation();
-      openTab((day.id + 1).toString());
+      openTab(nextDay.id.toString());
     });
     navDiv.appendChild(nextBtn);
   }
@@ -416,22 +1403,27 @@ function createPanel(id) {
   initScheduleItemsForDay(panel, day.id);
   // Armazena o painel criado
   window.tabPanels[id] = panel;
+  // Respeita o filtro por categoria escolhido acima das abas.
+  applyCategoryFilter();
+  // Destaca a atividade em andamento, se a viagem estiver acontecendo.
+  applyNowHighlights(window.nowStatus);
 }
 
 /**
  * Inicializa os controles interativos (concluir/nota) para cada item
  * de um dia específico. O estado de cada item é persistido no
- * localStorage com chave única baseada no número do dia e no índice
- * da atividade. Após cada modificação, o progresso do dia é
- * recalculado e o diário é atualizado conforme necessário.
+ * localStorage com chave única baseada na viagem ativa, no número do
+ * dia e no identificador estável da atividade (`data-item-id`). Após
+ * cada modificação, o progresso do dia é recalculado e o diário é
+ * atualizado conforme necessário.
  *
  * @param {HTMLElement} panel Painel que contém a lista de itens
  * @param {number} dayId Número do dia ao qual os itens pertencem
  */
 function initScheduleItemsForDay(panel, dayId) {
   const listItems = panel.querySelectorAll('.schedule li');
-  listItems.forEach((li, index) => {
-    const itemKey = `day-${dayId}-item-${index}`;
+  listItems.forEach((li) => {
+    const itemId = li.dataset.itemId;
     // Contêiner de ações
     const actions = document.createElement('span');
     actions.className = 'item-actions';
@@ -444,67 +1436,113 @@ function initScheduleItemsForDay(panel, dayId) {
     const noteBtn = document.createElement('button');
     noteBtn.className = 'note-btn';
     noteBtn.innerHTML = '📝';
+    noteBtn.setAttribute('aria-label', 'Notas e fotos');
     actions.appendChild(noteBtn);
     // Insere as ações no item
     li.appendChild(actions);
-    // Contêiner para exibir nota
+    // Contêiner para exibir as notas
     const noteDisplay = document.createElement('div');
     noteDisplay.className = 'note-display hidden';
     li.appendChild(noteDisplay);
     // Recupera estado salvo
-    let saved;
-    try {
-      saved = JSON.parse(localStorage.getItem(itemKey)) || {};
-    } catch (e) {
-      saved = {};
-    }
-    if (saved.completed) {
-      li.classList.add('completed');
-    }
-    if (saved.note) {
-      noteDisplay.innerHTML = `<strong>Nota:</strong> ${saved.note}`;
-      noteDisplay.classList.remove('hidden');
-    }
-    // Manipulador de concluir
+    renderItemState(li, dayId);
+    // Manipulador de concluir (relê o estado, que o diálogo de notas
+    // pode ter alterado)
     doneBtn.addEventListener('click', (ev) => {
       ev.stopPropagation();
       li.classList.toggle('completed');
-      saved.completed = li.classList.contains('completed');
-      localStorage.setItem(itemKey, JSON.stringify(saved));
+      const state = readItemState(dayId, itemId);
+      state.completed = li.classList.contains('completed');
+      writeItemState(dayId, itemId, state);
       updateDayProgress(dayId);
+      // Atividades concluídas deixam de gerar lembretes.
+      scheduleReminders();
     });
     // Manipulador de nota
     noteBtn.addEventListener('click', (ev) => {
       ev.stopPropagation();
-      const current = saved.note || '';
-      const note = prompt('Escreva sua nota ou memória para este momento:', current);
-      if (note !== null) {
-        const trimmed = note.trim();
-        if (trimmed === '') {
-          delete saved.note;
-          noteDisplay.innerHTML = '';
-          noteDisplay.classList.add('hidden');
-        } else {
-          saved.note = trimmed;
-          noteDisplay.innerHTML = `<strong>Nota:</strong> ${saved.note}`;
-          noteDisplay.classList.remove('hidden');
-        }
-        localStorage.setItem(itemKey, JSON.stringify(saved));
-        updateDiary();
-      }
+      openNoteDialog(dayId, itemId, () => {
+        renderItemNotes(noteDisplay, readItemState(dayId, itemId).notes);
+      });
     });
   });
   // Atualiza progresso inicial do dia
   updateDayProgress(dayId);
 }
 
+/**
+ * Aplica a um item da lista o estado salvo: conclusão, notas e, se a
+ * sincronização encontrou alterações dos dois aparelhos, o indicador
+ * de conflito.
+ *
+ * @param {HTMLElement} li Item da lista (com `data-item-id`)
+ * @param {number} dayId Número do dia
+ */
+function renderItemState(li, dayId) {
+  const itemId = li.dataset.itemId;
+  const state = readItemState(dayId, itemId);
+  li.classList.toggle('completed', Boolean(state.completed));
+  const noteDisplay = li.querySelector('.note-display');
+  if (noteDisplay) renderItemNotes(noteDisplay, state.notes);
+  const actions = li.querySelector('.item-actions');
+  let conflictBtn = li.querySelector('.conflict-btn');
+  if (state.conflict && !conflictBtn && actions) {
+    conflictBtn = document.createElement('button');
+    conflictBtn.className = 'conflict-btn';
+    conflictBtn.textContent = '⚠️';
+    conflictBtn.title = 'Alterado nos dois aparelhos; ficou a versão mais recente';
+    conflictBtn.setAttribute('aria-label', conflictBtn.title);
+    conflictBtn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      resolveItemConflict(li, dayId);
+    });
+    actions.insertBefore(conflictBtn, actions.firstChild);
+  } else if (!state.conflict && conflictBtn) {
+    conflictBtn.remove();
+  }
+}
+
+/**
+ * Resolve o conflito de sincronização de uma atividade: mostra a
+ * versão descartada e permite restaurá-la ou manter a atual. Em ambos
+ * os casos o indicador some e o resultado é enviado à conta.
+ *
+ * @param {HTMLElement} li Item da lista
+ * @param {number} dayId Número do dia
+ */
+function resolveItemConflict(li, dayId) {
+  const itemId = li.dataset.itemId;
+  const state = readItemState(dayId, itemId);
+  if (!state.conflict) return;
+  const other = normalizeItemState(state.conflict.discarded);
+  const summary = [
+    other.completed ? 'concluída' : 'não concluída',
+    `${other.notes.length} ${other.notes.length === 1 ? 'nota' : 'notas'}`,
+  ].join(', ');
+  const restore = confirm(
+    'Esta atividade foi alterada nos dois aparelhos sem conexão e ficou a versão mais recente.\n' +
+      `A outra versão estava ${summary}.\n\nOK restaura a outra versão; Cancelar mantém a atual.`
+  );
+  if (restore) {
+    state.completed = other.completed;
+    state.notes = other.notes;
+  }
+  delete state.conflict;
+  writeItemState(dayId, itemId, state);
+  renderItemState(li, dayId);
+  updateDayProgress(dayId);
+  updateDiary();
+  scheduleReminders();
+}
+
 /**
  * Calcula o número de itens concluídos para um dia específico e
  * atualiza o rótulo da aba correspondente para refletir o progresso.
  * Quando todos os itens estão concluídos, um check (✓) substitui a
  * contagem; caso contrário, a contagem é exibida no formato
  * `(X/Y)`. Se o dia ainda não tiver itens (lista vazia), nenhuma
- * contagem é exibida.
+ * contagem é exibida. Havendo gastos registrados no dia, o total em
+ * reais aparece em seguida.
  *
  * @param {number|string} dayId Identificador numérico do dia
  */
@@ -513,15 +1551,14 @@ function updateDayProgress(dayId) {
   if (!day) return;
   const total = day.schedule.length;
   let completed = 0;
-  for (let i = 0; i < total; i++) {
-    const key = `day-${dayId}-item-${i}`;
+  day.schedule.forEach((item) => {
     try {
-      const data = JSON.parse(localStorage.getItem(key));
+      const data = JSON.parse(localStorage.getItem(itemStorageKey(dayId, item.id)));
       if (data && data.completed) completed += 1;
     } catch (e) {
       // ignora erros
     }
-  }
+  });
   const tab = document.getElementById('tab-' + dayId);
   if (tab) {
     const baseLabel = `Dia ${dayId}`;
@@ -534,82 +1571,3636 @@ function updateDayProgress(dayId) {
     } else {
       tab.textContent = baseLabel;
     }
+    // Gasto do dia, em reais, ao lado do progresso
+    const { spent } = getBudgetTotals(day.id);
+    if (spent > 0) {
+      const budgetSpan = document.createElement('span');
+      budgetSpan.className = 'tab-budget';
+      budgetSpan.textContent = formatMoney(spent, BUDGET_BASE_CURRENCY);
+      tab.appendChild(document.createTextNode(' '));
+      tab.appendChild(budgetSpan);
+    }
   }
 }
 
 /**
- * Restaura a aba ativa na inicialização da página. Verifica a
- * presença de um parâmetro `dia` na URL e, caso inexistente,
- * utiliza o valor salvo no localStorage. Se nenhum valor for
- * encontrado, abre o primeiro dia do itinerário ou o diário se
- * nenhum dia existir.
+ * Categorias das atividades, usadas nos filtros acima das abas e no
+ * resumo. Atividades sem categorias explícitas no roteiro são
+ * classificadas pelas palavras-chave (comparadas sem acentos, no
+ * início das palavras) encontradas nas etiquetas e na descrição.
+ */
+const ACTIVITY_CATEGORIES = [
+  {
+    id: 'comida',
+    label: 'Comida',
+    icon: '🍽️',
+    keywords: ['almoco', 'jantar', 'cafe', 'pizza', 'sorvete', 'restaurante', 'mercado', 'choripan', 'empanada', 'parrilla', 'lanche', 'alfajor'],
+  },
+  {
+    id: 'cultura',
+    label: 'Museus e cultura',
+    icon: '🏛️',
+    keywords: ['museu', 'malba', 'livraria', 'ateneo', 'cemiterio', 'casa rosada', 'catedral', 'cabildo', 'faculdade', 'floralis', 'teatro'],
+  },
+  {
+    id: 'natureza',
+    label: 'Parques e natureza',
+    icon: '🌳',
+    keywords: ['ecoparque', 'jardim', 'bosques', 'rosedal', 'reserva', 'delta', 'parque', 'lago'],
+  },
+  {
+    id: 'passeio',
+    label: 'Passeios a pé',
+    icon: '🚶',
+    keywords: ['passeio', 'caminhada', 'caminito', 'obelisco', 'plaza', 'avenida', 'costanera', 'calle'],
+  },
+  {
+    id: 'compras',
+    label: 'Compras',
+    icon: '🛍️',
+    keywords: ['compras', 'shopping', 'mall', 'galerias', 'feira', 'puerto de frutos', 'loja'],
+  },
+  {
+    id: 'transporte',
+    label: 'Deslocamentos',
+    icon: '🚆',
+    keywords: ['saida do hotel', 'chegada ao hotel', 'retorno', 'trem', 'balsa', 'embarque', 'uber', 'metro', 'aeroporto', 'traslado'],
+  },
+];
+
+/**
+ * Deduz as categorias de uma atividade a partir das etiquetas
+ * (`<span class="tag">`) e do texto da descrição. Uma etiqueta com o
+ * nome de uma categoria (ex.: "compras") também a seleciona.
  *
- * @param {Array<Object>} itineraryData Lista de objetos de dias
+ * @param {Object} item Atividade com o campo `html`
+ * @returns {Array<string>} identificadores das categorias
  */
-function restoreLastDay(itineraryData) {
-  let id;
-  const params = new URLSearchParams(window.location.search);
-  if (params.has('dia')) {
-    id = params.get('dia');
-  } else {
-    id = localStorage.getItem('lastDay');
+function deriveItemCategories(item) {
+  const text = normalizeSearchText(htmlToText(item.html));
+  return ACTIVITY_CATEGORIES.filter((category) =>
+    [category.id, normalizeSearchText(category.label), ...category.keywords].some((keyword) =>
+      new RegExp(`(^|[^a-z0-9])${keyword}`).test(text)
+    )
+  ).map((category) => category.id);
+}
+
+/**
+ * Categorias de uma atividade: as explícitas (do roteiro ou do
+ * editor) ou, na falta delas, as deduzidas da descrição atual. As
+ * deduzidas não são gravadas no roteiro, para que acompanhem as
+ * edições da descrição.
+ *
+ * @param {Object} item Atividade
+ * @returns {Array<string>} identificadores das categorias
+ */
+function getItemCategories(item) {
+  return Array.isArray(item.categories) && item.categories.length ? item.categories : deriveItemCategories(item);
+}
+
+/**
+ * Converte o texto do campo de categorias do editor (identificadores
+ * ou nomes separados por vírgula) na lista de identificadores.
+ * Nomes desconhecidos são ignorados.
+ *
+ * @param {string} text Texto digitado
+ * @returns {Array<string>} identificadores das categorias
+ */
+function parseCategories(text) {
+  const names = text.split(',').map((name) => normalizeSearchText(name.trim())).filter(Boolean);
+  return ACTIVITY_CATEGORIES.filter((category) =>
+    names.some((name) => name === category.id || name === normalizeSearchText(category.label))
+  ).map((category) => category.id);
+}
+
+/**
+ * Conta as atividades de cada categoria no roteiro atual e em quantos
+ * dias elas aparecem.
+ *
+ * @returns {Object<string, {items: number, days: number}>} contagem por categoria
+ */
+function countCategories() {
+  const counts = {};
+  ACTIVITY_CATEGORIES.forEach((category) => {
+    counts[category.id] = { items: 0, days: 0 };
+  });
+  (window.itineraryData || []).forEach((day) => {
+    const seen = new Set();
+    day.schedule.forEach((item) => {
+      getItemCategories(item).forEach((id) => {
+        if (!counts[id]) return;
+        counts[id].items += 1;
+        seen.add(id);
+      });
+    });
+    seen.forEach((id) => {
+      counts[id].days += 1;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Monta os filtros por categoria acima das abas e a contagem por
+ * categoria no resumo da viagem, e reaplica o filtro escolhido.
+ */
+function renderCategoryFilter() {
+  const counts = countCategories();
+  const used = ACTIVITY_CATEGORIES.filter((category) => counts[category.id].items > 0);
+  // O filtro escolhido deixa de valer se a categoria sumiu do roteiro.
+  if (window.categoryFilter && !used.some((category) => category.id === window.categoryFilter)) {
+    window.categoryFilter = '';
   }
-  // Se ainda não houver id, define como primeiro dia se existir.
-  if (!id) {
-    if (itineraryData.length > 0) {
-      id = itineraryData[0].id.toString();
+  const filter = window.categoryFilter || '';
+  const bar = document.getElementById('category-filter');
+  if (bar) {
+    bar.innerHTML = '';
+    bar.classList.toggle('hidden', !used.length);
+    [{ id: '', label: 'Todas', icon: '' }, ...used].forEach((category) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.textContent = category.id
+        ? `${category.icon} ${category.label} (${counts[category.id].items})`
+        : category.label;
+      chip.setAttribute('aria-pressed', String(category.id === filter));
+      chip.addEventListener('click', () => {
+        window.categoryFilter = category.id;
+        renderCategoryFilter();
+      });
+      bar.appendChild(chip);
+    });
+  }
+  const summary = document.getElementById('category-summary');
+  if (summary) {
+    summary.innerHTML = '';
+    used.forEach((category) => {
+      const { items, days } = counts[category.id];
+      const li = document.createElement('li');
+      const strong = document.createElement('strong');
+      strong.textContent = `${category.icon} ${category.label}:`;
+      li.appendChild(strong);
+      li.appendChild(
+        document.createTextNode(
+          ` ${items} ${items === 1 ? 'atividade' : 'atividades'} em ${days} ${days === 1 ? 'dia' : 'dias'}`
+        )
+      );
+      summary.appendChild(li);
+    });
+  }
+  applyCategoryFilter();
+}
+
+/**
+ * Mostra apenas as atividades da categoria escolhida nos painéis já
+ * criados e esmaece as abas dos dias sem nenhuma atividade dela.
+ * Painéis criados depois chamam a função ao serem montados.
+ */
+function applyCategoryFilter() {
+  const filter = window.categoryFilter || '';
+  const category = ACTIVITY_CATEGORIES.find((c) => c.id === filter);
+  (window.itineraryData || []).forEach((day) => {
+    const matches = day.schedule.filter((item) => !filter || getItemCategories(item).includes(filter));
+    const tab = document.getElementById('tab-' + day.id);
+    if (tab) tab.classList.toggle('category-empty-tab', Boolean(filter) && !matches.length);
+    const panel = window.tabPanels && window.tabPanels[day.id.toString()];
+    if (!panel) return;
+    panel.querySelectorAll('.schedule li').forEach((li) => {
+      li.classList.toggle('hidden', !matches.some((item) => item.id === li.dataset.itemId));
+    });
+    let empty = panel.querySelector('.category-empty');
+    if (filter && !matches.length && !panel.classList.contains('editing')) {
+      if (!empty) {
+        empty = document.createElement('p');
+        empty.className = 'category-empty subtitle';
+        const schedule = panel.querySelector('.schedule');
+        if (schedule) schedule.before(empty);
+      }
+      empty.textContent = `Nenhuma atividade de ${category.label.toLowerCase()} neste dia.`;
+    } else if (empty) {
+      empty.remove();
+    }
+  });
+}
+
+/**
+ * Converte o texto do campo de coordenadas do editor em `[latitude,
+ * longitude]`. Aceita ponto ou vírgula decimal (`"-34.6037, -58.3816"`
+ * ou `"-34,6037, -58,3816"`), com os números separados por vírgula,
+ * ponto e vírgula ou espaço.
+ *
+ * @param {string} text Texto digitado
+ * @returns {Array<number>|null} Coordenadas ou null se vazio/inválido
+ */
+function parseCoords(text) {
+  const match = String(text || '').match(/^\s*(-?\d+(?:[.,]\d+)?)\s*(?:[,;]\s*|\s+)(-?\d+(?:[.,]\d+)?)\s*$/);
+  if (!match) return null;
+  const coords = [match[1], match[2]].map((value) => parseFloat(value.replace(',', '.')));
+  return isValidCoords(coords) ? coords : null;
+}
+
+/**
+ * Carrega (uma vez por arquivo) o mapa-base offline da viagem. Sem
+ * arquivo ou sem conexão e fora do cache, o mapa mostra só as paradas.
+ *
+ * @param {string|null} url Caminho do mapa-base
+ * @returns {Promise<Object|null>} `{ water, lines, labels }` ou null
+ */
+function loadBasemap(url) {
+  if (!url) return Promise.resolve(null);
+  window.basemapPromises = window.basemapPromises || {};
+  if (!window.basemapPromises[url]) {
+    window.basemapPromises[url] = fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .catch((err) => {
+        console.warn('Mapa-base indisponível:', err);
+        delete window.basemapPromises[url];
+        return null;
+      });
+  }
+  return window.basemapPromises[url];
+}
+
+/**
+ * Meio de transporte do trecho que chega a uma parada, a partir do
+ * emoji da linha de transporte (👣 a pé; 🚗, 🚆, 🚇, ⛴️ de condução).
+ *
+ * @param {string|null} transport Texto de transporte da atividade
+ * @returns {string|null} `walk`, `ride` ou null se não houver indicação
+ */
+function getTransportMode(transport) {
+  if (!transport) return null;
+  if (transport.includes('👣')) return 'walk';
+  if (/🚗|🚕|🚆|🚇|🚌|⛴/u.test(transport)) return 'ride';
+  return null;
+}
+
+/**
+ * Desenha o mapa offline de um dia em SVG: mapa-base simplificado, o
+ * hotel, as paradas numeradas (atividades com coordenadas) e os trechos
+ * entre elas, tracejados quando feitos a pé. Cada trecho segue o
+ * traçado `route` da atividade de chegada quando o roteiro o traz e
+ * ele ainda liga as mesmas duas paradas (depois de mudanças no editor,
+ * pode não ligar mais); caso contrário, é uma linha reta. Tocar em uma
+ * parada rola a agenda até a atividade correspondente.
+ *
+ * @param {HTMLElement} container Elemento que recebe o mapa
+ * @param {Object} day Dia do roteiro
+ * @param {HTMLElement} panel Painel do dia (onde estão as atividades)
+ */
+async function renderDayMap(container, day, panel) {
+  const trip = window.currentTrip || {};
+  const hotel = trip.hotel && isValidCoords(trip.hotel.coords) ? trip.hotel : null;
+  const stops = [];
+  let mode = null;
+  day.schedule.forEach((item) => {
+    mode = mode || getTransportMode(item.transport);
+    if (!isValidCoords(item.coords)) return;
+    stops.push({ item, coords: item.coords, number: stops.length + 1, mode: mode || 'walk' });
+    mode = null;
+  });
+  container.innerHTML = '';
+  if (!stops.length) {
+    container.textContent = 'Nenhuma atividade deste dia tem coordenadas.';
+    return;
+  }
+  const basemap = await loadBasemap(trip.basemap);
+  // Projeção equirretangular local: suficiente na escala de uma cidade.
+  const points = stops.map((stop) => stop.coords).concat(hotel ? [hotel.coords] : []);
+  const lats = points.map((p) => p[0]);
+  const lngs = points.map((p) => p[1]);
+  const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const kx = Math.cos((midLat * Math.PI) / 180);
+  const width = 600;
+  const height = 400;
+  const margin = 40;
+  const spanX = Math.max((Math.max(...lngs) - Math.min(...lngs)) * kx, 0.004);
+  const spanY = Math.max(Math.max(...lats) - Math.min(...lats), 0.004);
+  const scale = Math.min((width - 2 * margin) / spanX, (height - 2 * margin) / spanY);
+  const centerX = ((Math.max(...lngs) + Math.min(...lngs)) / 2) * kx;
+  const centerY = midLat;
+  const project = ([lat, lng]) => [
+    (width / 2 + (lng * kx - centerX) * scale).toFixed(1),
+    (height / 2 - (lat - centerY) * scale).toFixed(1),
+  ];
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const el = (tag, attrs, parent) => {
+    const node = document.createElementNS(svgNs, tag);
+    Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+    if (parent) parent.appendChild(node);
+    return node;
+  };
+  const toPoints = (coords) => coords.map((c) => project(c).join(',')).join(' ');
+  const svg = el('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    class: 'day-map-svg',
+    role: 'group',
+    'aria-label': `Mapa do dia ${day.id}`,
+  });
+  el('rect', { x: 0, y: 0, width, height, class: 'map-land' }, svg);
+  if (basemap) {
+    (basemap.water || []).forEach((polygon) => el('polygon', { points: toPoints(polygon), class: 'map-water' }, svg));
+    (basemap.lines || []).forEach((line) => {
+      const path = el('polyline', { points: toPoints(line.points), class: `map-line map-${line.kind || 'road'}` }, svg);
+      el('title', {}, path).textContent = line.name || '';
+    });
+    (basemap.labels || []).forEach((label) => {
+      const [x, y] = project(label.coords);
+      el('text', { x, y, class: 'map-label' }, svg).textContent = label.text;
+    });
+  }
+  // Trechos: do hotel à primeira parada e entre paradas consecutivas.
+  let straight = false;
+  stops.forEach((stop, index) => {
+    const from = index === 0 ? hotel && hotel.coords : stops[index - 1].coords;
+    if (!from) return;
+    const route = stop.item.route;
+    const sameLeg =
+      Array.isArray(route) &&
+      route.length >= 2 &&
+      route.every(isValidCoords) &&
+      isSamePlace(route[0], from) &&
+      isSamePlace(route[route.length - 1], stop.coords);
+    if (!sameLeg) straight = true;
+    const points = toPoints(sameLeg ? route : [from, stop.coords]);
+    el('polyline', { points, class: `map-route map-route-${stop.mode}` }, svg);
+  });
+  if (hotel) {
+    const [x, y] = project(hotel.coords);
+    const marker = el('g', { class: 'map-hotel', transform: `translate(${x} ${y})` }, svg);
+    el('rect', { x: -11, y: -11, width: 22, height: 22, rx: 5 }, marker);
+    el('text', { 'text-anchor': 'middle', dy: '0.35em' }, marker).textContent = 'H';
+    el('title', {}, marker).textContent = hotel.name;
+  }
+  stops.forEach((stop) => {
+    const [x, y] = project(stop.coords);
+    const label = `${stop.number}. ${[stop.item.time, htmlToText(stop.item.html)].filter(Boolean).join(' – ')}`;
+    const marker = el(
+      'g',
+      { class: 'map-stop', transform: `translate(${x} ${y})`, tabindex: 0, role: 'button', 'aria-label': label },
+      svg
+    );
+    el('circle', { r: 12 }, marker);
+    el('text', { 'text-anchor': 'middle', dy: '0.35em' }, marker).textContent = stop.number;
+    el('title', {}, marker).textContent = label;
+    const activate = () => focusScheduleItem(panel, stop.item.id);
+    marker.addEventListener('click', activate);
+    marker.addEventListener('keydown', (ev) => {
+      if (ev.key !== 'Enter' && ev.key !== ' ') return;
+      ev.preventDefault();
+      activate();
+    });
+  });
+  container.appendChild(svg);
+  const legend = document.createElement('p');
+  legend.className = 'map-legend';
+  legend.textContent = `${hotel ? 'H = hotel · ' : ''}tracejado = a pé · contínuo = condução${
+    straight ? ' · trechos sem traçado em linha reta' : ''
+  }${basemap ? '' : ' · mapa-base indisponível'}`;
+  container.appendChild(legend);
+}
+
+/**
+ * Diz se duas coordenadas indicam o mesmo lugar (até ~10 m de
+ * diferença, para tolerar arredondamentos).
+ *
+ * @param {Array<number>} a Coordenadas `[latitude, longitude]`
+ * @param {Array<number>} b Coordenadas `[latitude, longitude]`
+ * @returns {boolean} Verdadeiro se coincidem
+ */
+function isSamePlace(a, b) {
+  return Math.abs(a[0] - b[0]) < 0.0001 && Math.abs(a[1] - b[1]) < 0.0001;
+}
+
+/**
+ * Rola a agenda até uma atividade e a destaca por alguns instantes.
+ *
+ * @param {HTMLElement} panel Painel do dia
+ * @param {string} itemId Identificador da atividade
+ */
+function focusScheduleItem(panel, itemId) {
+  const li = Array.from(panel.querySelectorAll('.schedule li')).find((el) => el.dataset.itemId === itemId);
+  if (!li) return;
+  li.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  li.classList.add('map-focus');
+  setTimeout(() => li.classList.remove('map-focus'), 2000);
+}
+
+/**
+ * Moedas aceitas no orçamento e moeda em que os totais são mostrados.
+ * As cotações são digitadas pelo casal (valor de 1 unidade em reais) e
+ * ficam no aparelho, valendo também sem conexão.
+ */
+const BUDGET_CURRENCIES = ['ARS', 'BRL', 'USD', 'UYU'];
+const BUDGET_BASE_CURRENCY = 'BRL';
+
+/**
+ * Lê o orçamento da viagem ativa.
+ *
+ * @returns {{rates: Object<string, number>, planned: Object<string, Object>, expenses: Array<Object>}}
+ *   cotações por moeda, custo previsto por atividade (`"dia:atividade"`
+ *   → `{ amount, currency }`) e gastos `{ id, day, itemId, description,
+ *   amount, currency, createdAt }`
+ */
+function getBudget() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(tripKey('budget')));
+  } catch (e) {
+    // orçamento corrompido: recomeça vazio
+  }
+  return {
+    rates: (saved && saved.rates) || {},
+    planned: (saved && saved.planned) || {},
+    expenses: (saved && Array.isArray(saved.expenses) && saved.expenses) || [],
+  };
+}
+
+/**
+ * Salva o orçamento da viagem ativa e atualiza os totais exibidos.
+ *
+ * @param {Object} budget Orçamento no formato de `getBudget()`
+ */
+function saveBudget(budget) {
+  localStorage.setItem(tripKey('budget'), JSON.stringify(budget));
+  updateBudgetTotals();
+}
+
+/**
+ * Acompanha a remoção de um dia no orçamento: descarta os custos
+ * previstos e os gastos do dia removido e renumera os dos dias
+ * seguintes, como acontece com as notas e marcações.
+ *
+ * @param {number} removedDayId Número do dia removido
+ */
+function renumberBudgetDays(removedDayId) {
+  const budget = getBudget();
+  const planned = {};
+  Object.keys(budget.planned).forEach((key) => {
+    const [dayPart, ...rest] = key.split(':');
+    const dayId = parseInt(dayPart, 10);
+    if (dayId === removedDayId) return;
+    const newDay = dayId > removedDayId ? dayId - 1 : dayId;
+    planned[[newDay, ...rest].join(':')] = budget.planned[key];
+  });
+  budget.planned = planned;
+  budget.expenses = budget.expenses
+    .filter((expense) => expense.day !== removedDayId)
+    .map((expense) => (expense.day > removedDayId ? { ...expense, day: expense.day - 1 } : expense));
+  localStorage.setItem(tripKey('budget'), JSON.stringify(budget));
+}
+
+/**
+ * Converte um valor para a moeda base com as cotações informadas.
+ *
+ * @param {number} amount Valor na moeda original
+ * @param {string} currency Código da moeda
+ * @param {Object<string, number>} rates Valor de 1 unidade em reais, por moeda
+ * @returns {number|null} Valor em reais ou null se faltar a cotação
+ */
+function convertToBase(amount, currency, rates) {
+  if (currency === BUDGET_BASE_CURRENCY) return amount;
+  const rate = rates[currency];
+  return rate > 0 ? amount * rate : null;
+}
+
+/**
+ * Formata um valor monetário no padrão brasileiro.
+ *
+ * @param {number} amount Valor
+ * @param {string} currency Código da moeda
+ * @returns {string} Valor formatado (ex.: `R$ 120,00`, `ARS 15.000,00`)
+ */
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat('pt-BR', { style: 'currency', currency, currencyDisplay: 'symbol' }).format(amount);
+}
+
+/**
+ * Soma o previsto e o gasto, em reais, de um dia ou da viagem inteira.
+ *
+ * @param {number=} dayId Dia a somar; sem ele, todos os dias do roteiro
+ * @returns {{planned: number, spent: number, missingRates: Array<string>}}
+ *   totais e moedas usadas que ainda não têm cotação
+ */
+function getBudgetTotals(dayId) {
+  const budget = getBudget();
+  const days = (window.itineraryData || []).filter((day) => dayId === undefined || day.id === dayId);
+  const missing = new Set();
+  const add = (total, { amount, currency }) => {
+    const value = convertToBase(amount, currency, budget.rates);
+    if (value === null) {
+      missing.add(currency);
+      return total;
+    }
+    return total + value;
+  };
+  let planned = 0;
+  let spent = 0;
+  days.forEach((day) => {
+    day.schedule.forEach((item) => {
+      const cost = budget.planned[`${day.id}:${item.id}`];
+      if (cost) planned = add(planned, cost);
+    });
+    budget.expenses.filter((expense) => expense.day === day.id).forEach((expense) => {
+      spent = add(spent, expense);
+    });
+  });
+  return { planned, spent, missingRates: Array.from(missing) };
+}
+
+/**
+ * Redesenha os totais do orçamento: o gasto de cada dia ao lado do
+ * progresso nas abas, o total da viagem abaixo delas e o resumo do
+ * cartão de orçamento.
+ */
+function updateBudgetTotals() {
+  (window.itineraryData || []).forEach((day) => updateDayProgress(day.id));
+  const totals = getBudgetTotals();
+  const tripTotals = document.getElementById('trip-totals');
+  if (tripTotals) {
+    tripTotals.textContent = `💰 Gasto na viagem: ${formatMoney(totals.spent, BUDGET_BASE_CURRENCY)} de ${formatMoney(
+      totals.planned,
+      BUDGET_BASE_CURRENCY
+    )} previstos${totals.missingRates.length ? ` (sem cotação: ${totals.missingRates.join(', ')})` : ''}`;
+    tripTotals.classList.toggle('hidden', !totals.spent && !totals.planned);
+  }
+  renderBudgetSummary();
+}
+
+/**
+ * Liga as cotações do cartão de orçamento; cada alteração é salva e
+ * refaz os totais.
+ */
+function initBudget() {
+  const form = document.getElementById('budget-rates');
+  if (!form) return;
+  form.addEventListener('submit', (ev) => ev.preventDefault());
+  form.addEventListener('change', (ev) => {
+    const input = ev.target;
+    if (!input.dataset.currency) return;
+    const budget = getBudget();
+    const rate = parseFloat(input.value.replace(',', '.'));
+    if (rate > 0) {
+      budget.rates[input.dataset.currency] = rate;
     } else {
-      id = 'diary';
+      delete budget.rates[input.dataset.currency];
+      input.value = '';
     }
+    saveBudget(budget);
+  });
+}
+
+/**
+ * Preenche o cartão de orçamento da viagem ativa: cotações salvas e o
+ * previsto e o gasto de cada dia.
+ */
+function renderBudgetSummary() {
+  const form = document.getElementById('budget-rates');
+  const summary = document.getElementById('budget-summary');
+  if (!form || !summary) return;
+  const budget = getBudget();
+  form.querySelectorAll('input[data-currency]').forEach((input) => {
+    // Não sobrescreve o campo que está sendo digitado.
+    if (input === document.activeElement) return;
+    const rate = budget.rates[input.dataset.currency];
+    input.value = rate > 0 ? String(rate).replace('.', ',') : '';
+  });
+  summary.innerHTML = '';
+  (window.itineraryData || []).forEach((day) => {
+    const totals = getBudgetTotals(day.id);
+    if (!totals.planned && !totals.spent) return;
+    const li = document.createElement('li');
+    li.textContent = `Dia ${day.id}: ${formatMoney(totals.spent, BUDGET_BASE_CURRENCY)} gastos de ${formatMoney(
+      totals.planned,
+      BUDGET_BASE_CURRENCY
+    )} previstos`;
+    summary.appendChild(li);
+  });
+  if (!summary.hasChildNodes()) {
+    const li = document.createElement('li');
+    li.textContent = 'Nenhum custo previsto ou gasto registrado ainda.';
+    summary.appendChild(li);
+  }
+}
+
+/**
+ * Cria um `<select>` com as moedas do orçamento.
+ *
+ * @param {string} value Moeda selecionada
+ * @returns {HTMLSelectElement} Seletor de moeda
+ */
+function createCurrencySelect(value) {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', 'Moeda');
+  BUDGET_CURRENCIES.forEach((currency) => {
+    const option = document.createElement('option');
+    option.value = currency;
+    option.textContent = currency;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+/**
+ * Desenha o orçamento de um dia: custo previsto de cada atividade,
+ * gastos registrados (ligados a uma atividade ou ao dia) e o
+ * formulário para registrar um novo gasto.
+ *
+ * @param {HTMLElement} container Elemento que recebe o orçamento
+ * @param {Object} day Dia do roteiro
+ */
+function renderDayBudget(container, day) {
+  const budget = getBudget();
+  const dayExpenses = budget.expenses.filter((expense) => expense.day === day.id);
+  // Moeda sugerida: a do último gasto do dia, ou pesos argentinos.
+  const lastCurrency = dayExpenses.length ? dayExpenses[dayExpenses.length - 1].currency : 'ARS';
+  const itemLabel = (item) => [item.time, htmlToText(item.html)].filter(Boolean).join(' – ');
+  container.innerHTML = '';
+
+  const planTitle = document.createElement('h3');
+  planTitle.textContent = 'Custo previsto por atividade';
+  container.appendChild(planTitle);
+  const planList = document.createElement('ul');
+  planList.className = 'budget-plan';
+  day.schedule.forEach((item) => {
+    const key = `${day.id}:${item.id}`;
+    const cost = budget.planned[key];
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = itemLabel(item);
+    const amount = document.createElement('input');
+    amount.type = 'number';
+    amount.min = '0';
+    amount.step = 'any';
+    amount.inputMode = 'decimal';
+    amount.value = cost ? cost.amount : '';
+    amount.setAttribute('aria-label', `Custo previsto: ${label.textContent}`);
+    const currency = createCurrencySelect(cost ? cost.currency : lastCurrency);
+    const save = () => {
+      const current = getBudget();
+      const value = parseFloat(amount.value);
+      if (value > 0) {
+        current.planned[key] = { amount: value, currency: currency.value };
+      } else {
+        delete current.planned[key];
+      }
+      saveBudget(current);
+      renderDayBudgetTotals(container, day.id);
+    };
+    amount.addEventListener('change', save);
+    currency.addEventListener('change', save);
+    li.appendChild(label);
+    li.appendChild(amount);
+    li.appendChild(currency);
+    planList.appendChild(li);
+  });
+  container.appendChild(planList);
+
+  const expensesTitle = document.createElement('h3');
+  expensesTitle.textContent = 'Gastos';
+  container.appendChild(expensesTitle);
+  const expenseList = document.createElement('ul');
+  expenseList.className = 'budget-expenses';
+  dayExpenses.forEach((expense) => {
+    const li = document.createElement('li');
+    const item = expense.itemId && day.schedule.find((i) => i.id === expense.itemId);
+    const text = document.createElement('span');
+    text.textContent = [expense.description, item ? htmlToText(item.html) : null].filter(Boolean).join(' · ');
+    const value = document.createElement('strong');
+    value.textContent = formatMoney(expense.amount, expense.currency);
+    const removeBtn = createEditorButton('🗑', () => {
+      const current = getBudget();
+      current.expenses = current.expenses.filter((e) => e.id !== expense.id);
+      saveBudget(current);
+      renderDayBudget(container, day);
+    }, 'danger');
+    removeBtn.setAttribute('aria-label', 'Remover gasto');
+    li.appendChild(text);
+    li.appendChild(value);
+    li.appendChild(removeBtn);
+    expenseList.appendChild(li);
+  });
+  if (!dayExpenses.length) {
+    const empty = document.createElement('li');
+    empty.className = 'subtitle';
+    empty.textContent = 'Nenhum gasto registrado neste dia.';
+    expenseList.appendChild(empty);
+  }
+  container.appendChild(expenseList);
+
+  const form = document.createElement('form');
+  form.className = 'budget-expense-form';
+  const description = document.createElement('input');
+  description.name = 'description';
+  description.placeholder = 'Descrição (ex.: SUBE, almoço)';
+  description.setAttribute('aria-label', 'Descrição do gasto');
+  const amount = document.createElement('input');
+  amount.name = 'amount';
+  amount.type = 'number';
+  amount.min = '0';
+  amount.step = 'any';
+  amount.inputMode = 'decimal';
+  amount.required = true;
+  amount.placeholder = 'Valor';
+  amount.setAttribute('aria-label', 'Valor do gasto');
+  const currency = createCurrencySelect(lastCurrency);
+  currency.name = 'currency';
+  const itemSelect = document.createElement('select');
+  itemSelect.name = 'item';
+  itemSelect.setAttribute('aria-label', 'Atividade do gasto');
+  const dayOption = document.createElement('option');
+  dayOption.value = '';
+  dayOption.textContent = 'Dia inteiro';
+  itemSelect.appendChild(dayOption);
+  day.schedule.forEach((item) => {
+    const option = document.createElement('option');
+    option.value = item.id;
+    option.textContent = itemLabel(item);
+    itemSelect.appendChild(option);
+  });
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'editor-btn primary';
+  submit.textContent = 'Registrar gasto';
+  [description, amount, currency, itemSelect, submit].forEach((el) => form.appendChild(el));
+  form.addEventListener('submit', (ev) => {
+    ev.preventDefault();
+    const value = parseFloat(form.elements.amount.value);
+    if (!(value > 0)) return;
+    const current = getBudget();
+    current.expenses.push({
+      id: createClientId(),
+      day: day.id,
+      itemId: form.elements.item.value || null,
+      description: form.elements.description.value.trim(),
+      amount: value,
+      currency: form.elements.currency.value,
+      createdAt: new Date().toISOString(),
+    });
+    saveBudget(current);
+    renderDayBudget(container, day);
+  });
+  container.appendChild(form);
+
+  const totals = document.createElement('p');
+  totals.className = 'budget-day-total';
+  container.appendChild(totals);
+  renderDayBudgetTotals(container, day.id);
+}
+
+/**
+ * Atualiza a linha de totais do orçamento de um dia.
+ *
+ * @param {HTMLElement} container Orçamento do dia
+ * @param {number} dayId Número do dia
+ */
+function renderDayBudgetTotals(container, dayId) {
+  const el = container.querySelector('.budget-day-total');
+  if (!el) return;
+  const totals = getBudgetTotals(dayId);
+  el.textContent = `Previsto: ${formatMoney(totals.planned, BUDGET_BASE_CURRENCY)} · Gasto: ${formatMoney(
+    totals.spent,
+    BUDGET_BASE_CURRENCY
+  )}${totals.missingRates.length ? ` · informe a cotação de ${totals.missingRates.join(', ')} no cartão de orçamento` : ''}`;
+}
+
+/**
+ * Pessoas a quem as tarefas da checklist da viagem ativa podem ser
+ * atribuídas (campo `checklist.people` do roteiro). Sem responsável,
+ * a tarefa é de todos.
+ *
+ * @returns {Array<string>} Nomes
+ */
+function getChecklistPeople() {
+  const checklist = window.currentTrip && window.currentTrip.checklist;
+  return (checklist && checklist.people) || [];
+}
+
+/**
+ * Lê a checklist da viagem ativa; na primeira vez, parte das tarefas
+ * iniciais do roteiro (campo `checklist.tasks`), que o casal pode
+ * editar, remover e completar.
+ *
+ * @returns {Array<Object>} tarefas `{ id, category, text, assignee,
+ *   dueDays, done }`
+ */
+function getChecklist() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(tripKey('checklist')));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    // lista corrompida: volta à do roteiro
+  }
+  const checklist = window.currentTrip && window.currentTrip.checklist;
+  return ((checklist && checklist.tasks) || []).map((task, index) => ({
+    id: `padrao-${index + 1}`,
+    category: task.category || 'Outros',
+    text: task.text,
+    assignee: task.assignee || '',
+    dueDays: Number.isInteger(task.dueDays) ? task.dueDays : null,
+    done: false,
+  }));
+}
+
+/**
+ * Salva a checklist da viagem ativa e atualiza o progresso da aba.
+ *
+ * @param {Array<Object>} tasks Tarefas no formato de `getChecklist()`
+ */
+function saveChecklist(tasks) {
+  localStorage.setItem(tripKey('checklist'), JSON.stringify(tasks));
+  updateChecklistProgress();
+}
+
+/**
+ * Calcula o prazo de uma tarefa a partir do início da viagem.
+ *
+ * @param {Object} task Tarefa da checklist
+ * @returns {Date|null} Prazo ou null se a viagem não tiver início definido
+ */
+function getChecklistDueDate(task) {
+  const start = window.currentTrip && window.currentTrip.start;
+  if (!start || !Number.isFinite(task.dueDays)) return null;
+  const due = new Date(start);
+  due.setDate(due.getDate() - task.dueDays);
+  return due;
+}
+
+/**
+ * Atualiza o rótulo da aba da checklist com as tarefas concluídas.
+ */
+function updateChecklistProgress() {
+  const tab = document.getElementById('tab-checklist');
+  if (!tab) return;
+  const tasks = getChecklist();
+  const done = tasks.filter((task) => task.done).length;
+  tab.textContent = tasks.length && done === tasks.length ? 'Checklist ✓' : `Checklist (${done}/${tasks.length})`;
+}
+
+/**
+ * Desenha o painel da checklist: tarefas por categoria, com
+ * responsável, prazo (dias antes do início da viagem) e situação, um
+ * filtro por pessoa e o formulário para novas tarefas.
+ *
+ * @param {HTMLElement} panel Painel da checklist
+ */
+function renderChecklistPanel(panel) {
+  const tasks = getChecklist();
+  const people = getChecklistPeople();
+  const filter = panel.dataset.person || '';
+  panel.innerHTML = '';
+  const title = document.createElement('h2');
+  title.textContent = '🧳 Checklist antes da viagem';
+  panel.appendChild(title);
+  const intro = document.createElement('p');
+  intro.className = 'subtitle';
+  intro.textContent = 'Documentos, seguro, bagagem e o que mais precisa estar pronto antes do embarque.';
+  panel.appendChild(intro);
+
+  // Filtro por pessoa
+  if (people.length) {
+    const filterRow = document.createElement('div');
+    filterRow.className = 'checklist-filter';
+    ['', ...people].forEach((person) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.textContent = person || 'Todos';
+      chip.setAttribute('aria-pressed', String(person === filter));
+      chip.addEventListener('click', () => {
+        panel.dataset.person = person;
+        renderChecklistPanel(panel);
+      });
+      filterRow.appendChild(chip);
+    });
+    panel.appendChild(filterRow);
+  }
+
+  const now = new Date();
+  const categories = Array.from(new Set(tasks.map((task) => task.category)));
+  categories.forEach((category) => {
+    const visible = tasks.filter(
+      (task) => task.category === category && (!filter || !task.assignee || task.assignee === filter)
+    );
+    if (!visible.length) return;
+    const heading = document.createElement('h3');
+    heading.textContent = category;
+    panel.appendChild(heading);
+    const list = document.createElement('ul');
+    list.className = 'checklist';
+    visible.forEach((task) => list.appendChild(createChecklistTask(panel, task, now)));
+    panel.appendChild(list);
+  });
+
+  panel.appendChild(createChecklistForm(panel, categories));
+}
+
+/**
+ * Cria o seletor de responsável de uma tarefa, com as pessoas da
+ * checklist e a opção de deixá-la para todos.
+ *
+ * @param {string} label Rótulo acessível
+ * @returns {HTMLSelectElement} Seletor
+ */
+function createChecklistAssigneeSelect(label) {
+  const people = getChecklistPeople();
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', label);
+  ['', ...people].forEach((person) => {
+    const option = document.createElement('option');
+    option.value = person;
+    option.textContent = person || (people.length === 2 ? 'Os dois' : 'Todos');
+    select.appendChild(option);
+  });
+  return select;
+}
+
+/**
+ * Cria os campos de texto, categoria e prazo de uma tarefa, usados
+ * no formulário de nova tarefa e na edição.
+ *
+ * @param {Object} [task] Tarefa com os valores iniciais
+ * @returns {Array<HTMLInputElement>} Campos `text`, `category` e `dueDays`
+ */
+function createChecklistFields(task = {}) {
+  const text = document.createElement('input');
+  text.name = 'text';
+  text.required = true;
+  text.placeholder = 'O que precisa ser feito?';
+  text.value = task.text || '';
+  text.setAttribute('aria-label', 'Tarefa');
+  const category = document.createElement('input');
+  category.name = 'category';
+  category.placeholder = 'Categoria';
+  category.value = task.category || '';
+  category.setAttribute('aria-label', 'Categoria');
+  category.setAttribute('list', 'checklist-categories');
+  const dueDays = document.createElement('input');
+  dueDays.name = 'dueDays';
+  dueDays.type = 'number';
+  dueDays.min = '0';
+  dueDays.placeholder = 'Dias antes';
+  dueDays.value = Number.isFinite(task.dueDays) ? String(task.dueDays) : '';
+  dueDays.setAttribute('aria-label', 'Prazo em dias antes da viagem');
+  return [text, category, dueDays];
+}
+
+/**
+ * Lê os campos de `createChecklistFields()` de um formulário.
+ *
+ * @param {HTMLFormElement} form Formulário
+ * @returns {{text: string, category: string, dueDays: number|null}|null}
+ *   valores ou null sem texto
+ */
+function readChecklistFields(form) {
+  const text = form.elements.text.value.trim();
+  if (!text) return null;
+  const days = parseInt(form.elements.dueDays.value, 10);
+  return {
+    text,
+    category: form.elements.category.value.trim() || 'Outros',
+    // O campo tem `min=0`, mas um valor colado pode escapar: prazos
+    // depois do embarque não fazem sentido.
+    dueDays: Number.isNaN(days) ? null : Math.max(0, days),
+  };
+}
+
+/**
+ * Cria a linha de uma tarefa da checklist.
+ *
+ * @param {HTMLElement} panel Painel da checklist (redesenhado após mudanças)
+ * @param {Object} task Tarefa
+ * @param {Date} now Instante de referência para os prazos
+ * @returns {HTMLLIElement} Linha da tarefa
+ */
+function createChecklistTask(panel, task, now) {
+  const update = (changes) => {
+    saveChecklist(getChecklist().map((t) => (t.id === task.id ? { ...t, ...changes } : t)));
+    renderChecklistPanel(panel);
+  };
+  const li = document.createElement('li');
+  li.className = 'checklist-task';
+  li.classList.toggle('completed', Boolean(task.done));
+  const label = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = Boolean(task.done);
+  checkbox.addEventListener('change', () => update({ done: checkbox.checked }));
+  const text = document.createElement('span');
+  text.textContent = task.text;
+  label.appendChild(checkbox);
+  label.appendChild(text);
+  li.appendChild(label);
+
+  const meta = document.createElement('div');
+  meta.className = 'checklist-meta';
+  if (getChecklistPeople().length) {
+    const assignee = createChecklistAssigneeSelect(`Responsável: ${task.text}`);
+    assignee.value = task.assignee || '';
+    assignee.addEventListener('change', () => update({ assignee: assignee.value }));
+    meta.appendChild(assignee);
+  }
+  const due = getChecklistDueDate(task);
+  if (due) {
+    const dueSpan = document.createElement('span');
+    dueSpan.className = 'checklist-due';
+    const dueText = due.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+    const daysLeft = Math.ceil((due - now) / (1000 * 60 * 60 * 24));
+    if (task.done) {
+      dueSpan.textContent = `até ${dueText}`;
+    } else if (daysLeft < 0) {
+      dueSpan.textContent = `atrasada (era até ${dueText})`;
+      dueSpan.classList.add('overdue');
+    } else {
+      dueSpan.textContent = `até ${dueText} · ${daysLeft === 0 ? 'hoje' : `faltam ${daysLeft} ${daysLeft === 1 ? 'dia' : 'dias'}`}`;
+      if (daysLeft <= 3) dueSpan.classList.add('soon');
+    }
+    meta.appendChild(dueSpan);
+  }
+  const editBtn = createEditorButton('✏️', () => {
+    li.innerHTML = '';
+    li.appendChild(createChecklistEditForm(panel, task, update));
+    li.querySelector('input').focus();
+  });
+  editBtn.setAttribute('aria-label', `Editar: ${task.text}`);
+  meta.appendChild(editBtn);
+  const removeBtn = createEditorButton('🗑', () => {
+    if (!confirm(`Remover "${task.text}" da checklist?`)) return;
+    saveChecklist(getChecklist().filter((t) => t.id !== task.id));
+    renderChecklistPanel(panel);
+  }, 'danger');
+  removeBtn.setAttribute('aria-label', `Remover: ${task.text}`);
+  meta.appendChild(removeBtn);
+  li.appendChild(meta);
+  return li;
+}
+
+/**
+ * Cria o formulário de edição do texto, da categoria e do prazo de
+ * uma tarefa, exibido no lugar da linha.
+ *
+ * @param {HTMLElement} panel Painel da checklist
+ * @param {Object} task Tarefa
+ * @param {function(Object): void} update Grava as mudanças e redesenha o painel
+ * @returns {HTMLFormElement} Formulário
+ */
+function createChecklistEditForm(panel, task, update) {
+  const form = document.createElement('form');
+  form.className = 'checklist-form checklist-edit';
+  createChecklistFields(task).forEach((el) => form.appendChild(el));
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'editor-btn primary';
+  save.textContent = 'Salvar';
+  form.appendChild(save);
+  form.appendChild(createEditorButton('Cancelar', () => renderChecklistPanel(panel)));
+  form.addEventListener('submit', (ev) => {
+    ev.preventDefault();
+    const changes = readChecklistFields(form);
+    if (changes) update(changes);
+  });
+  return form;
+}
+
+/**
+ * Cria o formulário de nova tarefa da checklist.
+ *
+ * @param {HTMLElement} panel Painel da checklist
+ * @param {Array<string>} categories Categorias existentes (sugeridas no campo)
+ * @returns {HTMLFormElement} Formulário
+ */
+function createChecklistForm(panel, categories) {
+  const form = document.createElement('form');
+  form.className = 'checklist-form';
+  const heading = document.createElement('h3');
+  heading.textContent = 'Nova tarefa';
+  form.appendChild(heading);
+  const [text, category, dueDays] = createChecklistFields();
+  const datalist = document.createElement('datalist');
+  datalist.id = 'checklist-categories';
+  categories.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    datalist.appendChild(option);
+  });
+  const fields = [text, category, datalist];
+  if (getChecklistPeople().length) {
+    const assignee = createChecklistAssigneeSelect('Responsável');
+    assignee.name = 'assignee';
+    fields.push(assignee);
+  }
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'editor-btn primary';
+  submit.textContent = 'Adicionar';
+  [...fields, dueDays, submit].forEach((el) => form.appendChild(el));
+  form.addEventListener('submit', (ev) => {
+    ev.preventDefault();
+    const values = readChecklistFields(form);
+    if (!values) return;
+    saveChecklist([
+      ...getChecklist(),
+      {
+        id: createClientId(),
+        ...values,
+        assignee: form.elements.assignee ? form.elements.assignee.value : '',
+        done: false,
+      },
+    ]);
+    renderChecklistPanel(panel);
+  });
+  return form;
+}
+
+/**
+ * Número máximo de resultados exibidos pela busca.
+ */
+const SEARCH_RESULT_LIMIT = 20;
+
+/**
+ * Liga a caixa de busca: resultados a cada tecla, atalho `/` de
+ * qualquer ponto da página (fora de campos de texto), Esc para fechar
+ * e setas para percorrer os resultados.
+ */
+function initSearch() {
+  const input = document.getElementById('site-search');
+  const results = document.getElementById('search-results');
+  if (!input || !results) return;
+  input.addEventListener('input', () => renderSearchResults(searchTrip(input.value), input.value));
+  input.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape') {
+      input.value = '';
+      renderSearchResults([], '');
+      input.blur();
+    } else if (ev.key === 'ArrowDown' || ev.key === 'Enter') {
+      const first = results.querySelector('button');
+      if (!first) return;
+      ev.preventDefault();
+      if (ev.key === 'Enter') first.click();
+      else first.focus();
+    }
+  });
+  results.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'ArrowDown' && ev.key !== 'ArrowUp' && ev.key !== 'Escape') return;
+    ev.preventDefault();
+    const buttons = Array.from(results.querySelectorAll('button'));
+    const index = buttons.indexOf(document.activeElement);
+    if (ev.key === 'Escape' || (ev.key === 'ArrowUp' && index <= 0)) {
+      input.focus();
+      return;
+    }
+    const next = buttons[index + (ev.key === 'ArrowDown' ? 1 : -1)];
+    if (next) next.focus();
+  });
+  document.addEventListener('keydown', (ev) => {
+    if (ev.key !== '/' || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    const target = ev.target;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+    ev.preventDefault();
+    input.focus();
+    input.select();
+  });
+}
+
+/**
+ * Procura um texto no roteiro da viagem ativa (descrição, etiquetas,
+ * horário e transporte de cada atividade), nas notas deste aparelho e
+ * em todas as memórias do diário compartilhado (não só na página
+ * exibida na lista), sem diferenciar acentos nem maiúsculas.
+ *
+ * @param {string} query Texto buscado
+ * @returns {Array<Object>} resultados `{ type: 'item' | 'cloud', dayId,
+ *   itemId, label, text }`, em que `label` indica onde o texto foi
+ *   encontrado e `text` é o trecho correspondente
+ */
+function searchTrip(query) {
+  const needle = normalizeSearchText(query.trim());
+  if (!needle) return [];
+  const results = [];
+  const matches = (text) => normalizeSearchText(text).includes(needle);
+  (window.itineraryData || []).forEach((day) => {
+    day.schedule.forEach((item) => {
+      const fields = [
+        ['Atividade', [item.time, htmlToText(item.html)].filter(Boolean).join(' · ')],
+        ['Transporte', htmlToText(item.transport)],
+        ...readItemState(day.id, item.id).notes.map((note) => ['Nota', note.text]),
+      ];
+      const found = fields.find(([, text]) => text && matches(text));
+      if (found) {
+        results.push({ type: 'item', dayId: day.id, itemId: item.id, label: found[0], text: found[1] });
+      }
+    });
+  });
+  if (window.cloudUser) {
+    (window.allCloudEntries || []).forEach((entry) => {
+      if (!matches(entry.note)) return;
+      results.push({ type: 'cloud', dayId: entry.day, itemId: null, label: 'Diário compartilhado', text: entry.note });
+    });
+  }
+  return results;
+}
+
+/**
+ * Posições de um termo em um texto, comparando sem acentos nem
+ * maiúsculas. As posições se referem ao texto original.
+ *
+ * @param {string} text Texto original
+ * @param {string} query Termo buscado
+ * @returns {Array<Array<number>>} pares `[início, fim)`
+ */
+function findSearchMatches(text, query) {
+  const needle = normalizeSearchText(query.trim());
+  if (!needle) return [];
+  // Cada caractere normalizado guarda a posição do caractere original.
+  let normalized = '';
+  const origin = [];
+  for (let i = 0; i < text.length; i++) {
+    const part = normalizeSearchText(text[i]);
+    normalized += part;
+    for (let k = 0; k < part.length; k++) origin.push(i);
+  }
+  const ranges = [];
+  let from = normalized.indexOf(needle);
+  while (from !== -1) {
+    ranges.push([origin[from], origin[from + needle.length - 1] + 1]);
+    from = normalized.indexOf(needle, from + needle.length);
+  }
+  return ranges;
+}
+
+/**
+ * Acrescenta a um elemento um texto com os trechos encontrados
+ * marcados com `<mark>`.
+ *
+ * @param {HTMLElement} parent Elemento que recebe o texto
+ * @param {string} text Texto
+ * @param {string} query Termo buscado
+ */
+function appendMarkedText(parent, text, query) {
+  let last = 0;
+  findSearchMatches(text, query).forEach(([start, end]) => {
+    parent.appendChild(document.createTextNode(text.slice(last, start)));
+    const mark = document.createElement('mark');
+    mark.className = 'search-mark';
+    mark.textContent = text.slice(start, end);
+    parent.appendChild(mark);
+    last = end;
+  });
+  parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+/**
+ * Mostra a lista de resultados da busca logo abaixo da caixa.
+ *
+ * @param {Array<Object>} results Resultados de `searchTrip()`
+ * @param {string} query Termo buscado
+ */
+function renderSearchResults(results, query) {
+  const list = document.getElementById('search-results');
+  if (!list) return;
+  list.innerHTML = '';
+  list.classList.toggle('hidden', !query.trim());
+  if (!query.trim()) return;
+  if (!results.length) {
+    const empty = document.createElement('li');
+    empty.className = 'search-empty';
+    empty.textContent = 'Nada encontrado.';
+    list.appendChild(empty);
+    return;
+  }
+  results.slice(0, SEARCH_RESULT_LIMIT).forEach((result) => {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    const where = document.createElement('span');
+    where.className = 'search-where';
+    where.textContent = `${result.dayId != null ? `Dia ${result.dayId}` : 'Sem dia'} · ${result.label}`;
+    const snippet = document.createElement('span');
+    snippet.className = 'search-snippet';
+    // Recorta o texto em volta do primeiro trecho encontrado.
+    const [start] = findSearchMatches(result.text, query)[0] || [0];
+    const from = Math.max(0, start - 40);
+    const text = `${from > 0 ? '…' : ''}${result.text.slice(from, from + 120)}${
+      from + 120 < result.text.length ? '…' : ''
+    }`;
+    appendMarkedText(snippet, text, query);
+    button.appendChild(where);
+    button.appendChild(snippet);
+    button.addEventListener('click', () => openSearchResult(result, query));
+    li.appendChild(button);
+    list.appendChild(li);
+  });
+  if (results.length > SEARCH_RESULT_LIMIT) {
+    const more = document.createElement('li');
+    more.className = 'search-empty';
+    more.textContent = `Mais ${results.length - SEARCH_RESULT_LIMIT} resultados; refine a busca.`;
+    list.appendChild(more);
+  }
+}
+
+/**
+ * Abre o resultado escolhido: a aba do dia com a atividade destacada
+ * ou o diário filtrado pelo termo buscado.
+ *
+ * @param {Object} result Resultado de `searchTrip()`
+ * @param {string} query Termo buscado
+ */
+function openSearchResult(result, query) {
+  const list = document.getElementById('search-results');
+  if (list) list.classList.add('hidden');
+  if (result.type === 'cloud') {
+    openTab('diary');
+    const diarySearch = window.diarySection && window.diarySection.querySelector('#diary-search');
+    if (diarySearch) {
+      diarySearch.value = query.trim();
+      updateDiary();
+    }
+    highlightSearchMatches(window.tabPanels['diary'], query);
+    return;
+  }
+  openTab(result.dayId.toString());
+  const panel = window.tabPanels[result.dayId];
+  if (!panel) return;
+  highlightSearchMatches(panel, query);
+  focusScheduleItem(panel, result.itemId);
+}
+
+/**
+ * Marca com `<mark>` as ocorrências do termo no texto de um painel,
+ * removendo as marcas de uma busca anterior.
+ *
+ * @param {HTMLElement} root Painel em que a busca é destacada
+ * @param {string} query Termo buscado
+ */
+function highlightSearchMatches(root, query) {
+  if (!root) return;
+  document.querySelectorAll('mark.search-mark').forEach((mark) => {
+    const parent = mark.parentNode;
+    mark.replaceWith(document.createTextNode(mark.textContent));
+    parent.normalize();
+  });
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentNode.closest('button, select, textarea, script, style, svg')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT,
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  nodes.forEach((node) => {
+    if (!findSearchMatches(node.nodeValue, query).length) return;
+    const fragment = document.createDocumentFragment();
+    appendMarkedText(fragment, node.nodeValue, query);
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Restaura a aba ativa na inicialização da página. Verifica a
+ * presença de um parâmetro `dia` na URL; caso inexistente, abre o
+ * dia de hoje se a viagem estiver em andamento (ver
+ * `getNowStatus()`) ou, fora das datas da viagem, o último dia
+ * visitado. Se nenhum valor for encontrado, abre o primeiro dia do
+ * itinerário ou o diário se nenhum dia existir.
+ *
+ * @param {Array<Object>} itineraryData Lista de objetos de dias
+ */
+function restoreLastDay(itineraryData) {
+  let id;
+  const params = new URLSearchParams(window.location.search);
+  const nowStatus = getNowStatus(new Date());
+  if (params.has('dia')) {
+    id = params.get('dia');
+  } else if (nowStatus) {
+    id = nowStatus.dayId.toString();
+  } else {
+    id = localStorage.getItem(tripKey('lastDay'));
+  }
+  // Se ainda não houver id, define como primeiro dia se existir.
+  if (!id) {
+    if (itineraryData.length > 0) {
+      id = itineraryData[0].id.toString();
+    } else {
+      id = 'diary';
+    }
+  }
+  openTab(id.toString());
+}
+
+/**
+ * Lê a versão do roteiro alterada no editor para a viagem informada.
+ * A cópia local é validada com as mesmas regras do arquivo de
+ * roteiro; se estiver corrompida, os erros são exibidos e ela é
+ * ignorada (sem ser apagada).
+ *
+ * @param {Object} trip Viagem carregada
+ * @returns {Array<Object>|null} dias editados ou null
+ */
+function loadEditedItinerary(trip) {
+  let days;
+  try {
+    days = JSON.parse(localStorage.getItem(tripKey('itinerary', trip.id)));
+  } catch (e) {
+    days = null;
+  }
+  if (!days) return null;
+  const errors = validateTrip({ version: TRIP_SCHEMA_VERSION, id: trip.id, name: trip.name, days });
+  if (errors.length) {
+    showTripErrors('roteiro editado neste aparelho', errors);
+    return null;
+  }
+  return days;
+}
+
+/**
+ * Salva no localStorage o roteiro atual (`window.itineraryData`),
+ * incluindo os identificadores e as categorias das atividades, como
+ * versão editada da viagem ativa, reagenda os lembretes e atualiza a
+ * contagem por categoria.
+ */
+function saveEditedItinerary() {
+  localStorage.setItem(tripKey('itinerary'), JSON.stringify(window.itineraryData));
+  scheduleReminders();
+  renderCategoryFilter();
+}
+
+/**
+ * Descarta as edições locais do roteiro e recarrega a viagem ativa a
+ * partir do arquivo original. Notas e marcações são mantidas para as
+ * atividades que continuam existindo.
+ */
+async function resetEditedItinerary() {
+  if (!confirm('Descartar todas as alterações feitas no roteiro desta viagem?')) return;
+  localStorage.removeItem(tripKey('itinerary'));
+  await activateTrip(window.currentTrip.id);
+}
+
+/**
+ * Reconstrói as abas a partir de `window.itineraryData` (após incluir
+ * ou remover dias) e abre a aba informada.
+ *
+ * @param {string} openId Aba a ser aberta em seguida
+ */
+function rebuildTabs(openId) {
+  buildTabs(window.itineraryData, window.diarySection);
+  updateDiary();
+  openTab(openId);
+}
+
+/**
+ * Recria o painel de um dia (por exemplo, ao sair do modo de edição)
+ * e o exibe.
+ *
+ * @param {number|string} dayId Número do dia
+ */
+function refreshDayPanel(dayId) {
+  const id = dayId.toString();
+  const panel = window.tabPanels[id];
+  if (panel) {
+    panel.remove();
+    delete window.tabPanels[id];
+  }
+  openTab(id);
+}
+
+/**
+ * Separa as etiquetas (`<span class="tag">`) do restante da descrição
+ * de uma atividade, para edição em campos distintos.
+ *
+ * @param {string} html Descrição da atividade
+ * @returns {{html: string, tag: string}} descrição sem etiquetas e texto da etiqueta
+ */
+function splitItemTag(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  const tags = Array.from(template.content.querySelectorAll('.tag'));
+  const tag = tags.map((el) => el.textContent.trim()).join(', ');
+  tags.forEach((el) => el.remove());
+  return { html: template.innerHTML.trim(), tag };
+}
+
+/**
+ * Recompõe a descrição de uma atividade a partir do texto editado e
+ * da etiqueta opcional.
+ *
+ * @param {string} html Descrição sem etiquetas
+ * @param {string} tag Texto da etiqueta (vazio para nenhuma)
+ * @returns {string} Descrição completa
+ */
+function joinItemTag(html, tag) {
+  const trimmed = (tag || '').trim();
+  if (!trimmed) return html;
+  return `${html} <span class="tag">${escapeHtml(trimmed)}</span>`;
+}
+
+/**
+ * Escapa caracteres especiais de HTML em um texto.
+ *
+ * @param {string} text Texto livre
+ * @returns {string} Texto seguro para interpolar em HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Marcação permitida nos textos do roteiro (descrição, transporte,
+ * título, subtítulo e destaque): elemento → atributos aceitos.
+ * Elementos fora da lista são trocados pelo seu conteúdo, exceto os de
+ * `DROPPED_TAGS`, removidos por inteiro.
+ */
+const ALLOWED_TAGS = {
+  a: ['href'],
+  b: [],
+  br: [],
+  em: [],
+  i: [],
+  small: [],
+  span: ['class'],
+  strong: [],
+};
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'svg', 'math'];
+
+/**
+ * Indica se um endereço pode virar link (http, https, mailto ou tel).
+ *
+ * @param {string} url Endereço
+ * @returns {boolean} Verdadeiro se o esquema é permitido
+ */
+function isSafeUrl(url) {
+  return /^(https?:|mailto:|tel:)/i.test(String(url).trim());
+}
+
+/**
+ * Filtra um trecho de HTML do roteiro, mantendo apenas a marcação de
+ * `ALLOWED_TAGS`. Atributos de eventos, estilos e links com esquemas
+ * como `javascript:` são descartados; links externos abrem em nova
+ * aba.
+ *
+ * @param {string|null} html HTML de origem
+ * @returns {string} HTML seguro para `innerHTML`
+ */
+function sanitizeHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+/**
+ * Aplica `sanitizeHtml()` aos filhos de um nó, recursivamente.
+ *
+ * @param {Node} parent Nó cujos filhos serão filtrados
+ */
+function sanitizeNode(parent) {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.includes(tag)) {
+      node.remove();
+      return;
+    }
+    sanitizeNode(node);
+    const allowed = ALLOWED_TAGS[tag];
+    if (!allowed) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+    Array.from(node.attributes).forEach((attr) => {
+      if (!allowed.includes(attr.name)) node.removeAttribute(attr.name);
+    });
+    if (node.hasAttribute('class')) {
+      const classes = node.getAttribute('class').split(/\s+/).filter((c) => /^[a-z][a-z0-9-]*$/.test(c));
+      node.setAttribute('class', classes.join(' '));
+    }
+    if (tag === 'a') {
+      if (isSafeUrl(node.getAttribute('href') || '')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener');
+      } else {
+        node.removeAttribute('href');
+      }
+    }
+  });
+}
+
+/**
+ * Converte o texto de uma nota em elementos, com um subconjunto de
+ * Markdown: **negrito**, *itálico*, listas (`- item` ou `1. item`),
+ * links `[texto](https://...)` e endereços http(s) soltos. Linhas em
+ * branco separam parágrafos. O texto nunca é interpretado como HTML.
+ *
+ * @param {string} text Texto da nota
+ * @returns {DocumentFragment} Conteúdo formatado
+ */
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  let paragraph = null;
+  let list = null;
+  String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((line) => {
+      const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+      const numbered = line.match(/^\s*(\d+)[.)]\s+(.*)$/);
+      if (bullet || numbered) {
+        const tag = bullet ? 'ul' : 'ol';
+        if (!list || list.tagName.toLowerCase() !== tag) {
+          list = document.createElement(tag);
+          if (numbered && numbered[1] !== '1') list.start = parseInt(numbered[1], 10);
+          fragment.appendChild(list);
+        }
+        paragraph = null;
+        const li = document.createElement('li');
+        appendInlineMarkdown(li, bullet ? bullet[1] : numbered[2]);
+        list.appendChild(li);
+        return;
+      }
+      list = null;
+      if (!line.trim()) {
+        paragraph = null;
+        return;
+      }
+      if (paragraph) {
+        paragraph.appendChild(document.createElement('br'));
+      } else {
+        paragraph = document.createElement('p');
+        fragment.appendChild(paragraph);
+      }
+      appendInlineMarkdown(paragraph, line);
+    });
+  return fragment;
+}
+
+/**
+ * Padrões de Markdown dentro de uma linha: negrito, itálico, link com
+ * texto e endereço solto (sem a pontuação final).
+ */
+const INLINE_MARKDOWN = /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<>]*[^\s<>.,;:!?)'"])/;
+
+/**
+ * Acrescenta a um elemento uma linha de texto com a formatação de
+ * `INLINE_MARKDOWN`.
+ *
+ * @param {HTMLElement} parent Elemento de destino
+ * @param {string} text Linha de texto
+ */
+function appendInlineMarkdown(parent, text) {
+  // Uma expressão por chamada, pois a função é recursiva.
+  const pattern = new RegExp(INLINE_MARKDOWN.source, 'g');
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+    if (match[1] !== undefined || match[2] !== undefined) {
+      const el = document.createElement(match[1] !== undefined ? 'strong' : 'em');
+      appendInlineMarkdown(el, match[1] !== undefined ? match[1] : match[2]);
+      parent.appendChild(el);
+    } else if (match[3] !== undefined && !isSafeUrl(match[4])) {
+      parent.appendChild(document.createTextNode(match[0]));
+    } else {
+      const link = document.createElement('a');
+      link.href = match[3] !== undefined ? match[4] : match[5];
+      link.target = '_blank';
+      link.rel = 'noopener';
+      if (match[3] !== undefined) {
+        appendInlineMarkdown(link, match[3]);
+      } else {
+        link.textContent = match[5];
+      }
+      parent.appendChild(link);
+    }
+    last = pattern.lastIndex;
+  }
+  if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+/**
+ * Coloca o painel de um dia em modo de edição. O painel passa a
+ * exibir campos para título e subtítulo do dia e, para cada
+ * atividade, horário, descrição, transporte e etiqueta, além de
+ * controles para incluir, remover e reordenar atividades (arrastando
+ * pela alça ou com Alt+↑/Alt+↓) e para incluir ou remover dias. Cada
+ * alteração é salva imediatamente e o contador de progresso da aba é
+ * recalculado.
+ *
+ * @param {number} dayId Número do dia a editar
+ */
+function openDayEditor(dayId) {
+  const day = window.itineraryData.find((d) => d.id === dayId);
+  const panel = window.tabPanels[dayId.toString()];
+  if (!day || !panel) return;
+  panel.innerHTML = '';
+  panel.classList.add('editing');
+  const editor = document.createElement('div');
+  editor.className = 'day day-editor';
+
+  const heading = document.createElement('div');
+  heading.className = 'editor-heading';
+  heading.appendChild(createEditorField('Título do dia', day.title, (value) => {
+    day.title = value;
+  }, { required: true }));
+  heading.appendChild(createEditorField('Subtítulo', day.subtitle, (value) => {
+    day.subtitle = value;
+  }));
+  heading.appendChild(createEditorField('Data', day.date, (value) => {
+    day.date = value || null;
+  }, { type: 'date' }));
+  editor.appendChild(heading);
+
+  const list = document.createElement('ol');
+  list.className = 'editor-list';
+  editor.appendChild(list);
+  renderEditorItems(list, day);
+
+  const actions = document.createElement('div');
+  actions.className = 'editor-actions';
+  const addItemBtn = createEditorButton('＋ Atividade', () => {
+    day.schedule.push({
+      id: `item-${Date.now().toString(36)}`,
+      time: '',
+      html: 'Nova atividade',
+      transport: null,
+    });
+    saveEditedItinerary();
+    renderEditorItems(list, day);
+    updateDayProgress(day.id);
+    const fields = list.querySelectorAll('.editor-item:last-child input');
+    if (fields.length) fields[0].focus();
+  });
+  const addDayBtn = createEditorButton('＋ Dia', () => addItineraryDay());
+  const removeDayBtn = createEditorButton('🗑 Remover dia', () => removeItineraryDay(day.id), 'danger');
+  removeDayBtn.disabled = window.itineraryData.length < 2;
+  const resetBtn = createEditorButton('↺ Restaurar original', () => resetEditedItinerary(), 'ghost');
+  resetBtn.hidden = localStorage.getItem(tripKey('itinerary')) === null;
+  const doneBtn = createEditorButton('✔ Concluir edição', () => refreshDayPanel(day.id), 'primary');
+  [addItemBtn, addDayBtn, removeDayBtn, resetBtn, doneBtn].forEach((btn) => actions.appendChild(btn));
+  editor.appendChild(actions);
+  panel.appendChild(editor);
+}
+
+/**
+ * Renderiza (ou re-renderiza) a lista de atividades do editor de um
+ * dia. Cada linha guarda seu índice em `data-index`, usado pelo
+ * arrastar-e-soltar e pela reordenação via teclado.
+ *
+ * @param {HTMLElement} list Lista `<ol>` do editor
+ * @param {Object} day Dia em edição
+ */
+function renderEditorItems(list, day) {
+  list.innerHTML = '';
+  day.schedule.forEach((item, index) => {
+    const li = document.createElement('li');
+    li.className = 'editor-item';
+    li.dataset.index = index;
+    li.draggable = true;
+
+    const handle = document.createElement('button');
+    handle.type = 'button';
+    handle.className = 'drag-handle';
+    handle.textContent = '⠿';
+    handle.setAttribute('aria-label', `Mover atividade ${index + 1} (Alt+↑ / Alt+↓)`);
+    li.appendChild(handle);
+
+    const fields = document.createElement('div');
+    fields.className = 'editor-fields';
+    const parts = splitItemTag(item.html);
+    fields.appendChild(createEditorField('Horário', item.time, (value) => {
+      item.time = value;
+    }));
+    fields.appendChild(createEditorField('Descrição', parts.html, (value) => {
+      parts.html = value;
+      item.html = joinItemTag(parts.html, parts.tag);
+    }, { required: true }));
+    fields.appendChild(createEditorField('Transporte', item.transport || '', (value) => {
+      item.transport = value || null;
+    }));
+    fields.appendChild(createEditorField('Etiqueta', parts.tag, (value) => {
+      parts.tag = value;
+      item.html = joinItemTag(parts.html, parts.tag);
+    }));
+    fields.appendChild(createEditorField('Coordenadas', item.coords ? item.coords.join(', ') : '', (value) => {
+      item.coords = parseCoords(value);
+    }, {
+      placeholder: '-34.6037, -58.3816',
+      validate: (value) =>
+        value && !parseCoords(value) ? 'Use latitude e longitude em graus decimais, como -34,6037, -58,3816.' : '',
+    }));
+    // Em branco, as categorias são deduzidas da descrição e da etiqueta.
+    fields.appendChild(createEditorField('Categorias', (item.categories || []).join(', '), (value) => {
+      const categories = parseCategories(value);
+      if (categories.length) item.categories = categories;
+      else delete item.categories;
+    }, { placeholder: 'automáticas' }));
+    li.appendChild(fields);
+
+    const controls = document.createElement('div');
+    controls.className = 'editor-item-controls';
+    const upBtn = createEditorButton('↑', () => moveEditorItem(list, day, index, index - 1));
+    upBtn.setAttribute('aria-label', 'Mover para cima');
+    upBtn.disabled = index === 0;
+    const downBtn = createEditorButton('↓', () => moveEditorItem(list, day, index, index + 1));
+    downBtn.setAttribute('aria-label', 'Mover para baixo');
+    downBtn.disabled = index === day.schedule.length - 1;
+    const removeBtn = createEditorButton('🗑', () => {
+      if (!confirm('Remover esta atividade? A nota e a marcação dela também serão apagadas.')) return;
+      day.schedule.splice(index, 1);
+      removeItemState(day.id, item.id);
+      saveEditedItinerary();
+      renderEditorItems(list, day);
+      updateDayProgress(day.id);
+      updateDiary();
+    }, 'danger');
+    removeBtn.setAttribute('aria-label', 'Remover atividade');
+    [upBtn, downBtn, removeBtn].forEach((btn) => controls.appendChild(btn));
+    li.appendChild(controls);
+
+    // Reordenação via teclado a partir de qualquer campo da linha.
+    li.addEventListener('keydown', (ev) => {
+      if (!ev.altKey || (ev.key !== 'ArrowUp' && ev.key !== 'ArrowDown')) return;
+      ev.preventDefault();
+      moveEditorItem(list, day, index, ev.key === 'ArrowUp' ? index - 1 : index + 1);
+    });
+    // Arrastar e soltar
+    li.addEventListener('dragstart', (ev) => {
+      ev.dataTransfer.effectAllowed = 'move';
+      ev.dataTransfer.setData('text/plain', String(index));
+      li.classList.add('dragging');
+    });
+    li.addEventListener('dragend', () => li.classList.remove('dragging'));
+    li.addEventListener('dragover', (ev) => {
+      ev.preventDefault();
+      ev.dataTransfer.dropEffect = 'move';
+    });
+    li.addEventListener('drop', (ev) => {
+      ev.preventDefault();
+      const from = parseInt(ev.dataTransfer.getData('text/plain'), 10);
+      if (!Number.isNaN(from)) moveEditorItem(list, day, from, index);
+    });
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Move uma atividade de posição no dia em edição, salva o roteiro e
+ * devolve o foco à alça da atividade movida.
+ *
+ * @param {HTMLElement} list Lista `<ol>` do editor
+ * @param {Object} day Dia em edição
+ * @param {number} from Índice atual
+ * @param {number} to Novo índice
+ */
+function moveEditorItem(list, day, from, to) {
+  if (from === to || to < 0 || to >= day.schedule.length) return;
+  const [item] = day.schedule.splice(from, 1);
+  day.schedule.splice(to, 0, item);
+  saveEditedItinerary();
+  renderEditorItems(list, day);
+  const handle = list.querySelector(`.editor-item[data-index="${to}"] .drag-handle`);
+  if (handle) handle.focus();
+}
+
+/**
+ * Cria um campo rotulado do editor. O valor é aplicado ao modelo via
+ * `onChange` e salvo a cada alteração confirmada (evento `change`).
+ * Campos obrigatórios deixados em branco voltam ao valor anterior; um
+ * valor recusado por `options.validate` fica no campo com a mensagem
+ * de erro, sem alterar o modelo.
+ *
+ * @param {string} label Rótulo do campo
+ * @param {string} value Valor inicial
+ * @param {Function} onChange Recebe o novo valor (já sem espaços nas pontas)
+ * @param {Object} [options] `{ required, type, placeholder, validate }`
+ *   (tipo do input, padrão `text`; `validate` recebe o valor e devolve
+ *   a mensagem de erro ou uma string vazia)
+ * @returns {HTMLElement} Elemento `<label>` com o campo
+ */
+function createEditorField(label, value, onChange, options = {}) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'editor-field';
+  const caption = document.createElement('span');
+  caption.textContent = label;
+  const input = document.createElement('input');
+  input.type = options.type || 'text';
+  input.value = value || '';
+  input.required = Boolean(options.required);
+  if (options.placeholder) input.placeholder = options.placeholder;
+  const error = document.createElement('span');
+  error.className = 'editor-field-error hidden';
+  error.setAttribute('role', 'alert');
+  let previous = input.value;
+  input.addEventListener('change', () => {
+    const trimmed = input.value.trim();
+    if (options.required && !trimmed) {
+      input.value = previous;
+      return;
+    }
+    const message = options.validate ? options.validate(trimmed) : '';
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+    input.setAttribute('aria-invalid', String(Boolean(message)));
+    if (message) return;
+    previous = trimmed;
+    onChange(trimmed);
+    saveEditedItinerary();
+  });
+  wrapper.appendChild(caption);
+  wrapper.appendChild(input);
+  wrapper.appendChild(error);
+  return wrapper;
+}
+
+/**
+ * Cria um botão do editor.
+ *
+ * @param {string} text Rótulo do botão
+ * @param {Function} onClick Ação executada ao clicar
+ * @param {string} [variant] Classe adicional (`primary`, `ghost`, `danger`)
+ * @returns {HTMLButtonElement} Botão criado
+ */
+function createEditorButton(text, onClick, variant) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = variant ? `editor-btn ${variant}` : 'editor-btn';
+  btn.textContent = text;
+  btn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    onClick();
+  });
+  return btn;
+}
+
+/**
+ * Inclui um novo dia ao final do roteiro e o abre em modo de edição.
+ */
+function addItineraryDay() {
+  const id = window.itineraryData.length + 1;
+  const previous = window.itineraryData[id - 2];
+  window.itineraryData.push({
+    id,
+    date: previous && previous.date ? shiftIsoDate(previous.date, 1) : null,
+    title: `Dia ${id}`,
+    subtitle: '',
+    highlight: null,
+    schedule: [],
+  });
+  saveEditedItinerary();
+  rebuildTabs(id.toString());
+  openDayEditor(id);
+}
+
+/**
+ * Remove um dia do roteiro após confirmação. As notas, marcações e
+ * gastos do dia são apagados e os dias seguintes são renumerados,
+ * levando consigo o estado salvo e o orçamento de suas atividades.
+ *
+ * @param {number} dayId Número do dia a remover
+ */
+function removeItineraryDay(dayId) {
+  const days = window.itineraryData;
+  const index = days.findIndex((d) => d.id === dayId);
+  if (index === -1 || days.length < 2) return;
+  if (!confirm(`Remover o Dia ${dayId} e todas as notas, marcações e gastos dele?`)) return;
+  days[index].schedule.forEach((item) => removeItemState(dayId, item.id));
+  renumberBudgetDays(dayId);
+  renumberReminderLeads(dayId);
+  days.splice(index, 1);
+  days.slice(index).forEach((day) => {
+    const newId = day.id - 1;
+    day.schedule.forEach((item) => {
+      const oldKey = itemStorageKey(day.id, item.id);
+      const value = localStorage.getItem(oldKey);
+      if (value !== null) {
+        localStorage.setItem(itemStorageKey(newId, item.id), value);
+        localStorage.removeItem(oldKey);
+      }
+    });
+    day.id = newId;
+  });
+  saveEditedItinerary();
+  rebuildTabs(Math.max(1, dayId - 1).toString());
+}
+
+/**
+ * Apaga o estado salvo de uma atividade removida do roteiro, junto com
+ * as fotos das notas dela no IndexedDB e o custo previsto dela no
+ * orçamento.
+ *
+ * @param {number} dayId Número do dia
+ * @param {string} itemId Identificador da atividade
+ */
+function removeItemState(dayId, itemId) {
+  const { notes } = readItemState(dayId, itemId);
+  deletePhotos(notes.flatMap((note) => note.photos));
+  localStorage.removeItem(itemStorageKey(dayId, itemId));
+  const budget = getBudget();
+  const plannedKey = `${dayId}:${itemId}`;
+  if (budget.planned[plannedKey]) {
+    delete budget.planned[plannedKey];
+    saveBudget(budget);
+  }
+}
+
+/**
+ * Fuso horário usado quando a viagem não define `timeZone`.
+ */
+const DEFAULT_TIME_ZONE = 'America/Argentina/Buenos_Aires';
+
+/**
+ * Indica se o navegador reconhece o fuso horário IANA informado.
+ *
+ * @param {string} timeZone Nome do fuso (ex.: America/Argentina/Buenos_Aires)
+ * @returns {boolean} Verdadeiro se o fuso é válido
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Soma dias a uma data no formato AAAA-MM-DD.
+ *
+ * @param {string} date Data de partida
+ * @param {number} days Quantidade de dias (pode ser negativa)
+ * @returns {string} Nova data no mesmo formato
+ */
+function shiftIsoDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Interpreta o texto livre de horário de uma atividade, como
+ * "Manhã (10h00–11h30)", "11h30–12h30", "~07h00" ou
+ * "00h30 (já dia 22)". Os horários são devolvidos em minutos contados
+ * a partir da meia-noite da data do dia; a menção "dia N" a uma data
+ * posterior (madrugada seguinte) soma os dias correspondentes, e um
+ * término menor que o início é tratado como após a meia-noite.
+ * Textos sem horário reconhecível ("Noite", "Almoço") retornam null.
+ *
+ * @param {string} text Horário como escrito no roteiro
+ * @param {string|null} date Data do dia (AAAA-MM-DD)
+ * @returns {{start: number, end: number|null}|null} minutos de início e término
+ */
+function parseItemTime(text, date) {
+  const matches = Array.from(String(text || '').matchAll(/(\d{1,2})h(\d{2})?/g));
+  if (!matches.length) return null;
+  const toMinutes = (match) => {
+    const hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+  };
+  let start = toMinutes(matches[0]);
+  let end = matches.length > 1 ? toMinutes(matches[1]) : null;
+  if (start === null) return null;
+  if (end !== null && end <= start) end += 24 * 60;
+  // "dia N" solto, como em "(já dia 22)"; "Meio-dia 12h00" é um horário.
+  const dayMention = String(text).match(/(?<![\p{L}-])dia\s+(\d{1,2})(?![\d:h])/iu);
+  if (dayMention && date) {
+    const target = parseInt(dayMention[1], 10);
+    for (let offset = 1; offset <= 7; offset++) {
+      if (parseInt(shiftIsoDate(date, offset).slice(8), 10) === target) {
+        start += offset * 24 * 60;
+        if (end !== null) end += offset * 24 * 60;
+        break;
+      }
+    }
+  }
+  return { start, end };
+}
+
+/**
+ * Calcula a diferença, em milissegundos, entre o horário local de um
+ * fuso e o UTC em um dado instante.
+ *
+ * @param {Date} date Instante de referência
+ * @param {string} timeZone Fuso IANA
+ * @returns {number} Deslocamento (negativo a oeste de Greenwich)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converte uma data local (AAAA-MM-DD + minutos desde a meia-noite)
+ * de um fuso horário no instante absoluto correspondente.
+ *
+ * @param {string} date Data local
+ * @param {number} minutes Minutos desde a meia-noite (podem passar de 24h)
+ * @param {string} timeZone Fuso IANA
+ * @returns {Date} Instante correspondente
+ */
+function zonedTimeToDate(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  let result = wallClock - offset;
+  // Segunda passada para instantes próximos a mudanças de horário de verão.
+  const adjusted = getTimeZoneOffset(new Date(result), timeZone);
+  if (adjusted !== offset) result = wallClock - adjusted;
+  return new Date(result);
+}
+
+/**
+ * Resolve início e término reais das atividades de um dia no fuso da
+ * viagem. Atividades só com horário de início terminam no início da
+ * próxima (se ela começar em até 3 horas) ou, caso contrário, uma hora
+ * depois. Atividades sem horário reconhecível, ou de dias sem data,
+ * são devolvidas à parte para que possam ser informadas.
+ *
+ * @param {Object} day Dia do roteiro
+ * @param {string} timeZone Fuso IANA
+ * @returns {{events: Array<Object>, unparsed: Array<Object>}}
+ *   `events` com `{ item, start, end }` (Date) e `unparsed` com os itens ignorados
+ */
+function resolveDayTimes(day, timeZone) {
+  const parsed = day.schedule.map((item) => ({
+    item,
+    time: day.date ? parseItemTime(item.time, day.date) : null,
+  }));
+  const events = [];
+  const unparsed = [];
+  parsed.forEach((entry, index) => {
+    if (!entry.time) {
+      unparsed.push(entry.item);
+      return;
+    }
+    const { start } = entry.time;
+    let { end } = entry.time;
+    if (end === null) {
+      const next = parsed.slice(index + 1).find((other) => other.time && other.time.start > start);
+      end = next && next.time.start - start <= 180 ? next.time.start : start + 60;
+    }
+    events.push({
+      item: entry.item,
+      start: zonedTimeToDate(day.date, start, timeZone),
+      end: zonedTimeToDate(day.date, end, timeZone),
+    });
+  });
+  return { events, unparsed };
+}
+
+/**
+ * Extrai o texto simples de um trecho de HTML do roteiro.
+ *
+ * @param {string} html Trecho de HTML
+ * @returns {string} Texto com espaços normalizados
+ */
+function htmlToText(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  return template.content.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escapa texto para propriedades do iCalendar (RFC 5545).
+ *
+ * @param {string} text Texto livre
+ * @returns {string} Texto escapado
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Dobra uma linha do iCalendar em blocos de até 75 octetos (UTF-8),
+ * com as continuações iniciadas por espaço, sem dividir caracteres.
+ *
+ * @param {string} line Linha completa
+ * @returns {string} Linha dobrada com CRLF
+ */
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const code = char.codePointAt(0);
+    const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    const limit = chunks.length ? 74 : 75;
+    if (bytes + size > limit) {
+      chunks.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Formata um instante no formato UTC do iCalendar (AAAAMMDDTHHMMSSZ).
+ *
+ * @param {Date} date Instante
+ * @returns {string} Data formatada
+ */
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Gera um calendário iCalendar com um evento por atividade dos dias
+ * informados. O resumo do evento é a descrição da atividade e a
+ * descrição do evento é o texto de transporte.
+ *
+ * @param {Array<Object>} days Dias a exportar
+ * @param {Object} trip Viagem ativa (`id`, `name`, `timeZone`)
+ * @returns {{ics: string, unparsed: Array<{day: Object, item: Object}>}}
+ *   conteúdo do arquivo e atividades que ficaram de fora
+ */
+function buildIcs(days, trip) {
+  const timeZone = trip.timeZone || DEFAULT_TIME_ZONE;
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//luademel//Roteiro//PT-BR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(trip.name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+  const unparsed = [];
+  days.forEach((day) => {
+    const result = resolveDayTimes(day, timeZone);
+    result.unparsed.forEach((item) => unparsed.push({ day, item }));
+    result.events.forEach(({ item, start, end }) => {
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${trip.id}-dia-${day.id}-${item.id}@luademel`);
+      lines.push(`DTSTAMP:${stamp}`);
+      lines.push(`DTSTART:${formatIcsDate(start)}`);
+      lines.push(`DTEND:${formatIcsDate(end)}`);
+      lines.push(`SUMMARY:${escapeIcsText(htmlToText(item.html))}`);
+      if (item.transport) {
+        lines.push(`DESCRIPTION:${escapeIcsText(htmlToText(item.transport))}`);
+      }
+      lines.push('END:VEVENT');
+    });
+  });
+  lines.push('END:VCALENDAR');
+  return { ics: lines.map(foldIcsLine).join('\r\n') + '\r\n', unparsed };
+}
+
+/**
+ * Baixa um arquivo .ics com as atividades dos dias informados e
+ * relata, no elemento de feedback, as atividades cujo horário não pôde
+ * ser interpretado.
+ *
+ * @param {Array<Object>} days Dias a exportar
+ * @param {string} suffix Sufixo do nome do arquivo (ex.: `dia-3`)
+ * @param {HTMLElement} feedback Elemento para o relatório
+ */
+function exportCalendar(days, suffix, feedback) {
+  const trip = window.currentTrip;
+  const { ics, unparsed } = buildIcs(days, trip);
+  downloadFile(`${trip.id}-${suffix}.ics`, ics, 'text/calendar');
+  feedback.innerHTML = '';
+  feedback.classList.remove('error');
+  if (!unparsed.length) {
+    feedback.textContent = 'Calendário exportado com todas as atividades.';
+    return;
+  }
+  const intro = document.createElement('p');
+  intro.textContent = `Calendário exportado. ${unparsed.length} ${
+    unparsed.length === 1 ? 'atividade ficou' : 'atividades ficaram'
+  } de fora por não ter horário reconhecível:`;
+  const list = document.createElement('ul');
+  unparsed.forEach(({ day, item }) => {
+    const li = document.createElement('li');
+    const label = item.time ? `${item.time} – ` : '';
+    li.textContent = `Dia ${day.id}: ${label}${htmlToText(item.html)}`;
+    list.appendChild(li);
+  });
+  feedback.appendChild(intro);
+  feedback.appendChild(list);
+}
+
+/**
+ * Liga o cartão do livreto: o botão monta o livreto com todos os dias
+ * e abre a impressão do navegador (que também salva em PDF).
+ */
+function initPrintBooklet() {
+  const button = document.getElementById('print-booklet-btn');
+  const includeNotes = document.getElementById('print-include-notes');
+  if (!button) return;
+  button.addEventListener('click', () => {
+    printBooklet({ includeNotes: Boolean(includeNotes && includeNotes.checked) });
+  });
+  // O livreto só existe durante a impressão.
+  window.addEventListener('afterprint', () => {
+    const booklet = document.getElementById('print-booklet');
+    if (booklet) booklet.remove();
+    document.body.classList.remove('printing-booklet');
+  });
+}
+
+/**
+ * Monta o livreto e abre a impressão. Enquanto a classe
+ * `printing-booklet` estiver no `<body>`, a folha de estilos de
+ * impressão mostra apenas o livreto.
+ *
+ * @param {{includeNotes: boolean}} options Se as notas do diário entram no livreto
+ */
+function printBooklet(options) {
+  const old = document.getElementById('print-booklet');
+  if (old) old.remove();
+  document.body.appendChild(buildPrintBooklet(options));
+  document.body.classList.add('printing-booklet');
+  window.print();
+}
+
+/**
+ * Cria o livreto da viagem ativa: capa com sumário, cartão de voos,
+ * todos os dias do roteiro (um por página, com caixas de marcação e,
+ * opcionalmente, as notas) e as dicas. Ao contrário dos painéis das
+ * abas, nada aqui depende de o dia já ter sido aberto.
+ *
+ * @param {{includeNotes: boolean}} options Se as notas do diário entram no livreto
+ * @returns {HTMLElement} Elemento `#print-booklet`
+ */
+function buildPrintBooklet({ includeNotes }) {
+  const trip = window.currentTrip || {};
+  const days = window.itineraryData || [];
+  const booklet = document.createElement('div');
+  booklet.id = 'print-booklet';
+  booklet.className = 'print-booklet';
+  // Capa e sumário
+  const cover = document.createElement('section');
+  cover.className = 'booklet-cover';
+  const title = document.createElement('h1');
+  title.textContent = `Roteiro ${trip.name || ''}`.trim();
+  cover.appendChild(title);
+  const tocTitle = document.createElement('h2');
+  tocTitle.textContent = 'Sumário';
+  cover.appendChild(tocTitle);
+  const toc = document.createElement('ol');
+  toc.className = 'booklet-toc';
+  const addTocEntry = (anchor, text) => {
+    const li = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = `#${anchor}`;
+    link.textContent = text;
+    li.appendChild(link);
+    toc.appendChild(li);
+  };
+  cover.appendChild(toc);
+  booklet.appendChild(cover);
+  // Blocos estáticos da viagem ativa (voos e dicas) são copiados do HTML.
+  const appendStaticCard = (selector, anchor, text) => {
+    const source = Array.from(document.querySelectorAll(selector)).find((el) => {
+      const owner = el.closest('[data-trip]');
+      return !owner || owner.dataset.trip === trip.id;
+    });
+    if (!source) return;
+    const section = document.createElement('section');
+    section.className = 'booklet-section';
+    section.id = anchor;
+    const copy = source.cloneNode(true);
+    copy.removeAttribute('data-trip');
+    copy.classList.remove('hidden');
+    copy.querySelectorAll('[id]').forEach((el) => el.removeAttribute('id'));
+    section.appendChild(copy);
+    booklet.appendChild(section);
+    addTocEntry(anchor, text);
+  };
+  appendStaticCard('.flights-card', 'booklet-flights', 'Voos & estrutura geral');
+  days.forEach((day) => {
+    const anchor = `booklet-day-${day.id}`;
+    booklet.appendChild(buildBookletDay(day, anchor, includeNotes));
+    addTocEntry(anchor, htmlToText(day.title));
+  });
+  appendStaticCard('.tips-card', 'booklet-tips', 'Dicas');
+  return booklet;
+}
+
+/**
+ * Cria a página de um dia do livreto.
+ *
+ * @param {Object} day Dia do roteiro
+ * @param {string} anchor Identificador usado pelo sumário
+ * @param {boolean} includeNotes Se as notas e memórias do dia entram na página
+ * @returns {HTMLElement} Seção do dia
+ */
+function buildBookletDay(day, anchor, includeNotes) {
+  const section = document.createElement('section');
+  section.className = 'booklet-section booklet-day';
+  section.id = anchor;
+  const title = document.createElement('h2');
+  title.innerHTML = sanitizeHtml(day.title);
+  section.appendChild(title);
+  if (day.subtitle) {
+    const sub = document.createElement('p');
+    sub.className = 'day-sub';
+    sub.innerHTML = sanitizeHtml(day.subtitle);
+    section.appendChild(sub);
+  }
+  if (day.highlight) {
+    const highlight = document.createElement('div');
+    highlight.className = 'highlight';
+    highlight.innerHTML = sanitizeHtml(day.highlight);
+    section.appendChild(highlight);
+  }
+  const list = document.createElement('ul');
+  list.className = 'booklet-schedule';
+  day.schedule.forEach((item) => {
+    const state = readItemState(day.id, item.id);
+    const li = document.createElement('li');
+    const check = document.createElement('span');
+    check.className = 'booklet-check';
+    check.setAttribute('aria-hidden', 'true');
+    check.textContent = state.completed ? '✓' : '';
+    li.appendChild(check);
+    const body = document.createElement('div');
+    if (item.time) {
+      const time = document.createElement('span');
+      time.className = 'time';
+      time.textContent = item.time;
+      body.appendChild(time);
+    }
+    const desc = document.createElement('span');
+    desc.innerHTML = sanitizeHtml(item.html);
+    body.appendChild(desc);
+    if (item.transport) {
+      const transport = document.createElement('div');
+      transport.className = 'transport';
+      transport.innerHTML = sanitizeHtml(item.transport);
+      body.appendChild(transport);
+    }
+    if (includeNotes && state.notes.length) {
+      const notes = document.createElement('div');
+      notes.className = 'booklet-notes note-text';
+      state.notes.forEach((note) => notes.appendChild(renderMarkdown(note.text)));
+      body.appendChild(notes);
+    }
+    li.appendChild(body);
+    list.appendChild(li);
+  });
+  section.appendChild(list);
+  // Memórias do diário compartilhado deste dia
+  const memories = includeNotes && window.cloudUser
+    ? (window.allCloudEntries || []).filter((entry) => entry.day === day.id)
+    : [];
+  if (memories.length) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Memórias do dia';
+    section.appendChild(heading);
+    memories.forEach((entry) => {
+      const memory = document.createElement('div');
+      memory.className = 'booklet-notes note-text';
+      if (entry.author) {
+        const author = document.createElement('small');
+        author.textContent = entry.author;
+        memory.appendChild(author);
+      }
+      memory.appendChild(renderMarkdown(entry.note));
+      section.appendChild(memory);
+    });
+  }
+  return section;
+}
+
+/**
+ * Estilos embutidos no livro de memórias, que precisa abrir sozinho,
+ * sem este aplicativo nem conexão.
+ */
+const MEMORY_BOOK_STYLE = `
+body { font-family: Georgia, 'Times New Roman', serif; max-width: 720px; margin: 0 auto; padding: 32px 20px; color: #3a2a2a; background: #fffaf7; line-height: 1.6; }
+h1 { text-align: center; font-size: 2rem; margin-bottom: 0; }
+.book-sub { text-align: center; color: #8a7070; margin-top: 4px; }
+section { margin-top: 48px; }
+h2 { border-bottom: 2px solid #e8a0a8; padding-bottom: 4px; }
+.day-sub { color: #8a7070; font-style: italic; }
+h3 { font-size: 1rem; text-transform: uppercase; letter-spacing: 0.05em; color: #b05a68; }
+.done li { margin-bottom: 4px; }
+.time { font-weight: bold; margin-right: 6px; }
+.memory { margin: 16px 0; padding: 12px 16px; background: #fff; border-left: 3px solid #e8a0a8; border-radius: 6px; }
+.memory-meta { font-size: 0.8rem; color: #8a7070; }
+.memory p { margin: 6px 0; }
+.photos { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+.photos img { max-width: 100%; width: 220px; border-radius: 6px; }
+footer { margin-top: 48px; text-align: center; font-size: 0.8rem; color: #8a7070; }
+`;
+
+/**
+ * Liga o botão que exporta o livro de memórias.
+ */
+function initMemoryBook() {
+  const button = document.getElementById('memory-book-btn');
+  const feedback = document.getElementById('memory-book-feedback');
+  if (!button || !feedback) return;
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    setFeedback(feedback, 'Montando o livro de memórias...');
+    try {
+      const html = await buildMemoryBook();
+      downloadFile(`${window.currentTrip.id}-memorias.html`, html, 'text/html');
+      setFeedback(feedback, 'Livro de memórias exportado.');
+    } catch (error) {
+      console.error('Erro ao montar o livro de memórias:', error);
+      setFeedback(feedback, 'Não foi possível montar o livro de memórias.', true);
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * Busca todas as memórias da viagem ativa no diário compartilhado,
+ * página a página. Sem sessão ou sem conexão, usa as da última busca completa.
+ *
+ * @returns {Promise<Array<Object>>} Entradas de `diary_entries`
+ */
+async function fetchAllCloudEntries() {
+  if (!window.cloudBackend || !window.cloudUser || !window.currentTrip) return window.allCloudEntries || [];
+  const tripId = window.currentTrip.id;
+  const entries = [];
+  try {
+    for (;;) {
+      const last = entries[entries.length - 1];
+      const page = await window.cloudBackend.listEntries({
+        tripId,
+        limit: CLOUD_PAGE_SIZE,
+        before: last ? { created_at: last.created_at, id: last.id } : null,
+      });
+      entries.push(...page);
+      if (page.length < CLOUD_PAGE_SIZE) return entries;
+    }
+  } catch (error) {
+    console.error('Erro ao buscar o diário compartilhado:', error);
+    return window.allCloudEntries || [];
+  }
+}
+
+/**
+ * Lê uma foto do IndexedDB como data URL, para embuti-la em um arquivo.
+ *
+ * @param {string} id Identificador da foto
+ * @returns {Promise<string|null>} Data URL da foto em tamanho maior ou
+ *   null se ela não estiver neste aparelho
+ */
+async function readPhotoDataUrl(id) {
+  let record;
+  try {
+    record = await withPhotoStore('readonly', (store) => store.get(id));
+  } catch (e) {
+    return null;
+  }
+  if (!record) return null;
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => resolve(null);
+    reader.readAsDataURL(record.full);
+  });
+}
+
+/**
+ * Monta o livro de memórias da viagem ativa: um arquivo HTML único,
+ * com estilos e fotos embutidos, que conta a viagem dia a dia — o
+ * título do dia, as atividades concluídas e as entradas do diário
+ * (notas deste aparelho e memórias da nuvem), na ordem da linha do
+ * tempo de `updateDiary()`.
+ *
+ * @returns {Promise<string>} Documento HTML completo
+ */
+async function buildMemoryBook() {
+  const trip = window.currentTrip;
+  const days = window.itineraryData || [];
+  const entries = collectDiaryEntries(await fetchAllCloudEntries());
+  const doc = document.implementation.createHTMLDocument(`Memórias – ${trip.name}`);
+  const meta = doc.createElement('meta');
+  meta.setAttribute('charset', 'utf-8');
+  doc.head.insertBefore(meta, doc.head.firstChild);
+  const style = doc.createElement('style');
+  style.textContent = MEMORY_BOOK_STYLE;
+  doc.head.appendChild(style);
+  const add = (parent, tag, text, className) => {
+    const el = doc.createElement(tag);
+    if (text) el.textContent = text;
+    if (className) el.className = className;
+    parent.appendChild(el);
+    return el;
+  };
+  add(doc.body, 'h1', `Memórias – ${trip.name}`);
+  if (trip.start) {
+    add(doc.body, 'p', new Date(trip.start).toLocaleDateString('pt-BR', { dateStyle: 'long' }), 'book-sub');
+  }
+  const appendEntries = async (section, dayEntries) => {
+    if (!dayEntries.length) return;
+    add(section, 'h3', 'Nossas notas');
+    for (const entry of dayEntries) {
+      const memory = add(section, 'div', '', 'memory');
+      const date = entry.time ? formatNoteDate(new Date(entry.time).toISOString()) : '';
+      const origin = entry.source === 'cloud' ? entry.author : null;
+      add(memory, 'div', [entry.activity, origin, date].filter(Boolean).join(' · '), 'memory-meta');
+      memory.appendChild(doc.importNode(renderMarkdown(entry.text), true));
+      const photos = (await Promise.all(entry.photos.map(readPhotoDataUrl))).filter(Boolean);
+      if (photos.length) {
+        const gallery = add(memory, 'div', '', 'photos');
+        photos.forEach((src) => {
+          const img = add(gallery, 'img');
+          img.src = src;
+          img.alt = 'Foto da viagem';
+        });
+      }
+    }
+  };
+  for (const day of days) {
+    const section = add(doc.body, 'section');
+    add(section, 'h2', htmlToText(day.title));
+    if (day.subtitle) add(section, 'p', htmlToText(day.subtitle), 'day-sub');
+    const done = day.schedule.filter((item) => readItemState(day.id, item.id).completed);
+    if (done.length) {
+      add(section, 'h3', 'O que fizemos');
+      const list = add(section, 'ul', '', 'done');
+      done.forEach((item) => {
+        const li = add(list, 'li');
+        if (item.time) add(li, 'span', item.time, 'time');
+        li.appendChild(doc.createTextNode(htmlToText(item.html)));
+      });
+    }
+    await appendEntries(
+      section,
+      entries.filter((entry) => entry.day === day.id)
+    );
+  }
+  const loose = entries.filter((entry) => !days.some((day) => day.id === entry.day));
+  if (loose.length) {
+    const section = add(doc.body, 'section');
+    add(section, 'h2', 'Outras memórias');
+    await appendEntries(section, loose);
+  }
+  add(doc.body, 'footer', `Exportado em ${new Date().toLocaleDateString('pt-BR')}`);
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+}
+
+/**
+ * Antecedências oferecidas para os lembretes, em minutos (0 desliga os
+ * lembretes do dia), e a antecedência padrão.
+ */
+const REMINDER_LEAD_OPTIONS = [0, 5, 10, 15, 30, 60];
+const DEFAULT_REMINDER_LEAD = 15;
+
+/**
+ * Lê as preferências de lembretes da viagem ativa.
+ *
+ * @returns {{enabled: boolean, lead: Object<string, number>}}
+ *   se os lembretes estão ativos e a antecedência escolhida por dia
+ */
+function getReminderSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(tripKey('reminders')));
+    if (saved && typeof saved === 'object') {
+      return { enabled: Boolean(saved.enabled), lead: saved.lead || {} };
+    }
+  } catch (e) {
+    // ignora erros
+  }
+  return { enabled: false, lead: {} };
+}
+
+/**
+ * Salva as preferências de lembretes da viagem ativa e os reagenda.
+ *
+ * @param {Object} settings Preferências (ver `getReminderSettings()`)
+ */
+function saveReminderSettings(settings) {
+  localStorage.setItem(tripKey('reminders'), JSON.stringify(settings));
+  scheduleReminders();
+}
+
+/**
+ * Acompanha a remoção de um dia nas antecedências dos lembretes:
+ * descarta a do dia removido e renumera as dos dias seguintes. Não
+ * reagenda; quem remove o dia salva o roteiro, o que reagenda tudo.
+ *
+ * @param {number} removedDayId Número do dia removido
+ */
+function renumberReminderLeads(removedDayId) {
+  const settings = getReminderSettings();
+  const lead = {};
+  Object.keys(settings.lead).forEach((key) => {
+    const dayId = parseInt(key, 10);
+    if (dayId === removedDayId) return;
+    lead[dayId > removedDayId ? dayId - 1 : dayId] = settings.lead[key];
+  });
+  localStorage.setItem(tripKey('reminders'), JSON.stringify({ ...settings, lead }));
+}
+
+/**
+ * Indica se o navegador consegue agendar notificações locais para um
+ * horário futuro (Notification Triggers), mesmo com a página fechada.
+ * A API ficou só em um teste de origem encerrado do Chrome; na prática
+ * quase sempre é falso e os lembretes dependem da página aberta.
+ *
+ * @returns {boolean} Verdadeiro se `showTrigger` é suportado
+ */
+function supportsNotificationTriggers() {
+  return 'Notification' in window && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+}
+
+/**
+ * Obtém o registro do service worker, se houver, para exibir
+ * notificações por meio dele (obrigatório em navegadores móveis).
+ *
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registro ou null
+ */
+async function getServiceWorkerRegistration() {
+  if (!('serviceWorker' in navigator)) return null;
+  try {
+    return (await navigator.serviceWorker.getRegistration()) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Monta a lista de lembretes da viagem ativa: um por atividade com
+ * horário reconhecível e ainda não concluída, disparado com a
+ * antecedência escolhida para o dia.
+ *
+ * @returns {Array<Object>} lembretes `{ tag, fireAt, title, body, url }`
+ */
+function collectReminders() {
+  const settings = getReminderSettings();
+  const trip = window.currentTrip;
+  const timeZone = trip.timeZone || DEFAULT_TIME_ZONE;
+  const reminders = [];
+  (window.itineraryData || []).forEach((day) => {
+    const lead = settings.lead[day.id] !== undefined ? settings.lead[day.id] : DEFAULT_REMINDER_LEAD;
+    if (!lead) return;
+    resolveDayTimes(day, timeZone).events.forEach(({ item, start }) => {
+      if (readItemState(day.id, item.id).completed) return;
+      const details = [item.time, item.transport ? htmlToText(item.transport) : ''].filter(Boolean);
+      reminders.push({
+        tag: `lembrete:${trip.id}:${day.id}:${item.id}`,
+        fireAt: new Date(start.getTime() - lead * 60 * 1000),
+        title: `⏰ Em ${lead} min: ${htmlToText(item.html)}`,
+        body: details.join(' • '),
+        url: `./?dia=${day.id}`,
+      });
+    });
+  });
+  return reminders;
+}
+
+/**
+ * (Re)agenda os lembretes da viagem ativa. Lembretes agendados
+ * anteriormente são cancelados. Quando o navegador suporta
+ * Notification Triggers, cada lembrete é entregue ao service worker
+ * com o horário de disparo e aparece mesmo com a página fechada; caso
+ * contrário, a página verifica periodicamente os lembretes vencidos
+ * enquanto estiver aberta. Nenhum servidor de push é necessário.
+ * Quem chama não espera o resultado, então as falhas só vão para o
+ * console.
+ */
+async function scheduleReminders() {
+  clearInterval(window.reminderTimer);
+  try {
+    if (!window.currentTrip || !('Notification' in window)) return;
+    const settings = getReminderSettings();
+    const registration = await getServiceWorkerRegistration();
+    const useTriggers = Boolean(registration) && supportsNotificationTriggers();
+    const prefix = `lembrete:${window.currentTrip.id}:`;
+    if (useTriggers) {
+      const scheduled = await registration.getNotifications({ includeTriggered: true });
+      scheduled.filter((n) => n.tag && n.tag.startsWith(prefix)).forEach((n) => n.close());
+    }
+    if (!settings.enabled || Notification.permission !== 'granted') return;
+    if (useTriggers) {
+      const now = Date.now();
+      const upcoming = collectReminders().filter((reminder) => reminder.fireAt.getTime() > now);
+      for (const reminder of upcoming) {
+        await registration.showNotification(reminder.title, {
+          body: reminder.body,
+          tag: reminder.tag,
+          data: { url: reminder.url },
+          showTrigger: new TimestampTrigger(reminder.fireAt.getTime()),
+        });
+      }
+      return;
+    }
+    checkDueReminders();
+    window.reminderTimer = setInterval(checkDueReminders, 30 * 1000);
+  } catch (error) {
+    console.error('Erro ao agendar lembretes:', error);
+  }
+}
+
+/**
+ * Exibe os lembretes vencidos nos últimos 10 minutos que ainda não
+ * foram mostrados. Os já exibidos são lembrados por viagem (incluindo
+ * o horário de disparo, para que uma atividade remarcada volte a
+ * gerar lembrete). Chamada pelo temporizador sem esperar o resultado:
+ * as falhas (como `new Notification()`, que o Chrome do Android
+ * recusa fora do service worker) só vão para o console.
+ */
+async function checkDueReminders() {
+  try {
+    const now = Date.now();
+    const firedKey = tripKey('remindersFired');
+    let fired;
+    try {
+      fired = new Set(JSON.parse(localStorage.getItem(firedKey)) || []);
+    } catch (e) {
+      fired = new Set();
+    }
+    const reminders = collectReminders();
+    const due = reminders.filter((reminder) => {
+      const fireAt = reminder.fireAt.getTime();
+      return fireAt <= now && now - fireAt < 10 * 60 * 1000 && !fired.has(`${reminder.tag}@${fireAt}`);
+    });
+    if (!due.length) return;
+    const registration = await getServiceWorkerRegistration();
+    try {
+      for (const reminder of due) {
+        // Marca antes de exibir para que uma falha não se repita a cada verificação.
+        fired.add(`${reminder.tag}@${reminder.fireAt.getTime()}`);
+        const options = { body: reminder.body, tag: reminder.tag, data: { url: reminder.url } };
+        if (registration) {
+          await registration.showNotification(reminder.title, options);
+        } else {
+          new Notification(reminder.title, options);
+        }
+      }
+    } finally {
+      // Mantém apenas as marcas de lembretes que ainda existem.
+      const current = new Set(reminders.map((reminder) => `${reminder.tag}@${reminder.fireAt.getTime()}`));
+      localStorage.setItem(firedKey, JSON.stringify(Array.from(fired).filter((key) => current.has(key))));
+    }
+  } catch (error) {
+    console.error('Erro ao exibir lembretes:', error);
+  }
+}
+
+/**
+ * Preenche o controle de lembretes da barra de um dia: um botão para
+ * ativar os lembretes (pedindo permissão de notificação) ou, se já
+ * ativos, a escolha da antecedência do dia e um botão para desativar.
+ * Sem Notification Triggers, um aviso lembra que os lembretes só
+ * aparecem com o roteiro aberto.
+ *
+ * @param {HTMLElement} container Elemento `.reminder-control`
+ * @param {number} dayId Número do dia
+ */
+function renderReminderControl(container, dayId) {
+  container.innerHTML = '';
+  if (!('Notification' in window)) return;
+  const settings = getReminderSettings();
+  const hint = document.createElement('small');
+  hint.className = 'reminder-hint';
+  hint.textContent = 'só com o roteiro aberto';
+  hint.title = 'Este navegador não agenda notificações: os lembretes só aparecem enquanto o roteiro estiver aberto.';
+  const showHint = !supportsNotificationTriggers();
+  if (!settings.enabled || Notification.permission !== 'granted') {
+    const enableBtn = document.createElement('button');
+    enableBtn.type = 'button';
+    enableBtn.textContent = '🔔 Ativar lembretes';
+    enableBtn.addEventListener('click', async (ev) => {
+      ev.stopPropagation();
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        enableBtn.textContent = '🔕 Notificações bloqueadas';
+        enableBtn.disabled = true;
+        return;
+      }
+      saveReminderSettings({ ...getReminderSettings(), enabled: true });
+      refreshReminderControls();
+    });
+    container.appendChild(enableBtn);
+    if (showHint) container.appendChild(hint);
+    return;
+  }
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', `Antecedência dos lembretes do Dia ${dayId}`);
+  REMINDER_LEAD_OPTIONS.forEach((minutes) => {
+    const option = document.createElement('option');
+    option.value = minutes;
+    option.textContent = minutes ? `🔔 ${minutes} min antes` : '🔕 Sem lembretes neste dia';
+    select.appendChild(option);
+  });
+  const lead = settings.lead[dayId];
+  select.value = lead !== undefined ? lead : DEFAULT_REMINDER_LEAD;
+  select.addEventListener('change', () => {
+    const current = getReminderSettings();
+    current.lead[dayId] = parseInt(select.value, 10);
+    saveReminderSettings(current);
+  });
+  const disableBtn = document.createElement('button');
+  disableBtn.type = 'button';
+  disableBtn.textContent = 'Desativar';
+  disableBtn.setAttribute('aria-label', 'Desativar lembretes em todos os dias');
+  disableBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    saveReminderSettings({ ...getReminderSettings(), enabled: false });
+    refreshReminderControls();
+  });
+  container.appendChild(select);
+  container.appendChild(disableBtn);
+  if (showHint) container.appendChild(hint);
+}
+
+/**
+ * Atualiza o controle de lembretes de todos os painéis já criados.
+ */
+function refreshReminderControls() {
+  document.querySelectorAll('.reminder-control').forEach((container) => {
+    renderReminderControl(container, parseInt(container.dataset.dayId, 10));
+  });
+}
+
+/**
+ * Banco IndexedDB das fotos anexadas às notas. Cada registro guarda a
+ * foto reduzida (`full`) e uma miniatura (`thumb`), ambas em JPEG.
+ */
+const PHOTO_DB_NAME = 'luademel-fotos';
+const PHOTO_STORE = 'photos';
+const PHOTO_MAX_SIZE = 1600;
+const PHOTO_THUMB_SIZE = 240;
+
+/**
+ * URLs de objeto já criadas para cada foto, reaproveitadas entre
+ * renderizações.
+ */
+const photoUrls = new Map();
+
+/**
+ * Abre (e cria, na primeira vez) o banco de fotos.
+ *
+ * @returns {Promise<IDBDatabase>} Conexão com o banco
+ */
+function openPhotoDb() {
+  if (!window.photoDbPromise) {
+    window.photoDbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('Este navegador não permite guardar fotos.'));
+        return;
+      }
+      const request = indexedDB.open(PHOTO_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(PHOTO_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Permite tentar de novo depois de uma falha.
+    window.photoDbPromise.catch(() => {
+      window.photoDbPromise = null;
+    });
+  }
+  return window.photoDbPromise;
+}
+
+/**
+ * Executa uma operação no depósito de fotos e aguarda o fim da
+ * transação.
+ *
+ * @param {IDBTransactionMode} mode `readonly` ou `readwrite`
+ * @param {function(IDBObjectStore): (IDBRequest|void)} operation Operação
+ * @returns {Promise<*>} Resultado da requisição, se houver
+ */
+async function withPhotoStore(mode, operation) {
+  const db = await openPhotoDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PHOTO_STORE, mode);
+    const request = operation(tx.objectStore(PHOTO_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Reduz uma imagem escolhida pelo usuário e a guarda no IndexedDB.
+ *
+ * @param {File} file Imagem da câmera ou da galeria
+ * @returns {Promise<string>} Identificador da foto
+ */
+async function savePhoto(file) {
+  const image = await loadImageFile(file);
+  const [full, thumb] = await Promise.all([
+    resizeImage(image, PHOTO_MAX_SIZE, 0.85),
+    resizeImage(image, PHOTO_THUMB_SIZE, 0.7),
+  ]);
+  const id = `foto-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  await withPhotoStore('readwrite', (store) =>
+    store.put({ id, tripId: window.currentTrip.id, full, thumb, createdAt: new Date().toISOString() })
+  );
+  return id;
+}
+
+/**
+ * Remove fotos do IndexedDB e libera as URLs criadas para elas.
+ *
+ * @param {Array<string>} ids Identificadores das fotos
+ */
+async function deletePhotos(ids) {
+  if (!ids.length) return;
+  ids.forEach((id) => {
+    const urls = photoUrls.get(id);
+    if (urls) {
+      URL.revokeObjectURL(urls.thumb);
+      URL.revokeObjectURL(urls.full);
+      photoUrls.delete(id);
+    }
+  });
+  try {
+    await withPhotoStore('readwrite', (store) => {
+      ids.forEach((id) => store.delete(id));
+    });
+  } catch (e) {
+    console.error('Erro ao remover fotos:', e);
+  }
+}
+
+/**
+ * Carrega um arquivo de imagem em um elemento `<img>`.
+ *
+ * @param {File} file Arquivo de imagem
+ * @returns {Promise<HTMLImageElement>} Imagem carregada
+ */
+function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Não foi possível ler a imagem ${file.name}.`));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Redimensiona uma imagem para caber em um quadrado de `maxSize`
+ * pixels, sem ampliar, e a codifica em JPEG.
+ *
+ * @param {HTMLImageElement} image Imagem carregada
+ * @param {number} maxSize Maior dimensão, em pixels
+ * @param {number} quality Qualidade JPEG (0–1)
+ * @returns {Promise<Blob>} Imagem reduzida
+ */
+function resizeImage(image, maxSize, quality) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Não foi possível reduzir a imagem.'));
+      }
+    }, 'image/jpeg', quality);
+  });
+}
+
+/**
+ * Obtém as URLs (miniatura e foto) de uma foto guardada.
+ *
+ * @param {string} id Identificador da foto
+ * @returns {Promise<{thumb: string, full: string}|null>} URLs, ou null
+ *   se a foto não existir neste aparelho
+ */
+async function getPhotoUrls(id) {
+  if (photoUrls.has(id)) return photoUrls.get(id);
+  let record;
+  try {
+    record = await withPhotoStore('readonly', (store) => store.get(id));
+  } catch (e) {
+    return null;
+  }
+  if (!record) return null;
+  const urls = { thumb: URL.createObjectURL(record.thumb), full: URL.createObjectURL(record.full) };
+  photoUrls.set(id, urls);
+  return urls;
+}
+
+/**
+ * Mostra as miniaturas de uma lista de fotos; cada uma abre a foto em
+ * tamanho maior. Fotos ausentes (por exemplo, vindas de um backup de
+ * outro aparelho) são ignoradas.
+ *
+ * @param {HTMLElement} container Elemento que recebe as miniaturas
+ * @param {Array<string>} photoIds Identificadores das fotos
+ * @param {function(string)=} onRemove Se informado, cada miniatura
+ *   ganha um botão para removê-la da lista
+ */
+async function renderPhotoThumbs(container, photoIds, onRemove) {
+  // Evita duplicar miniaturas quando a lista é redesenhada antes de a
+  // renderização anterior terminar.
+  const token = String(Math.random());
+  container.dataset.renderToken = token;
+  container.innerHTML = '';
+  for (const id of photoIds) {
+    const urls = await getPhotoUrls(id);
+    if (container.dataset.renderToken !== token) return;
+    if (!urls) continue;
+    const thumb = document.createElement('span');
+    thumb.className = 'note-thumb';
+    const link = document.createElement('a');
+    link.href = urls.full;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    const img = document.createElement('img');
+    img.src = urls.thumb;
+    img.alt = 'Foto da nota';
+    img.loading = 'lazy';
+    link.appendChild(img);
+    thumb.appendChild(link);
+    if (onRemove) {
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.textContent = '✕';
+      removeBtn.setAttribute('aria-label', 'Remover foto');
+      removeBtn.addEventListener('click', () => onRemove(id));
+      thumb.appendChild(removeBtn);
+    }
+    container.appendChild(thumb);
+  }
+}
+
+/**
+ * Formata a data/hora de uma nota (ex.: "19/01, 14:32").
+ *
+ * @param {string|null} iso Data em ISO 8601
+ * @returns {string} Data formatada, ou vazio se ausente
+ */
+function formatNoteDate(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Mostra abaixo de uma atividade as suas notas, com data/hora e
+ * miniaturas das fotos.
+ *
+ * @param {HTMLElement} container Elemento `.note-display` do item
+ * @param {Array<Object>} notes Notas da atividade
+ */
+function renderItemNotes(container, notes) {
+  container.innerHTML = '';
+  container.classList.toggle('hidden', notes.length === 0);
+  notes.forEach((note) => {
+    const entry = document.createElement('div');
+    entry.className = 'note-entry';
+    const label = document.createElement('strong');
+    const date = formatNoteDate(note.createdAt);
+    label.textContent = date ? `Nota (${date}):` : 'Nota:';
+    entry.appendChild(label);
+    const text = document.createElement('div');
+    text.className = 'note-text';
+    text.appendChild(renderMarkdown(note.text));
+    entry.appendChild(text);
+    if (note.photos.length) {
+      const thumbs = document.createElement('div');
+      thumbs.className = 'note-thumbs';
+      renderPhotoThumbs(thumbs, note.photos);
+      entry.appendChild(thumbs);
+    }
+    container.appendChild(entry);
+  });
+}
+
+/**
+ * Liga os controles do diálogo de notas (`#note-dialog`). O estado da
+ * edição em andamento fica em `window.noteDialogState`.
+ */
+function initNoteDialog() {
+  const dialog = document.getElementById('note-dialog');
+  if (!dialog) return;
+  const saveBtn = dialog.querySelector('#note-save');
+  const photosInput = dialog.querySelector('#note-photos');
+  const feedback = dialog.querySelector('#note-feedback');
+  saveBtn.addEventListener('click', () => saveNoteFromDialog());
+  photosInput.addEventListener('change', async () => {
+    const state = window.noteDialogState;
+    const files = Array.from(photosInput.files || []).filter((file) => file.type.startsWith('image/'));
+    photosInput.value = '';
+    if (!state || !files.length) return;
+    setFeedback(feedback, files.length === 1 ? 'Preparando a foto…' : `Preparando ${files.length} fotos…`);
+    saveBtn.disabled = true;
+    try {
+      for (const file of files) {
+        state.photos.push(await savePhoto(file));
+        renderNoteDialogPhotos();
+      }
+      setFeedback(feedback, '');
+    } catch (err) {
+      setFeedback(feedback, err.message || 'Não foi possível guardar a foto.', true);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+  // Fotos adicionadas e não salvas em nenhuma nota são descartadas.
+  dialog.addEventListener('close', () => {
+    discardPendingPhotos();
+    window.noteDialogState = null;
+  });
+}
+
+/**
+ * Abre o diálogo de notas de uma atividade: lista as notas já
+ * registradas e permite adicionar uma nova (texto de várias linhas e
+ * fotos), editar ou excluir as existentes.
+ *
+ * @param {number} dayId Número do dia
+ * @param {string} itemId Identificador estável da atividade
+ * @param {function()} onChange Chamado após cada alteração salva
+ */
+function openNoteDialog(dayId, itemId, onChange) {
+  const dialog = document.getElementById('note-dialog');
+  if (!dialog) return;
+  const day = window.itineraryData.find((d) => d.id === dayId);
+  const item = day && day.schedule.find((i) => i.id === itemId);
+  dialog.querySelector('#note-dialog-item').textContent = item
+    ? `Dia ${dayId} · ${item.time ? item.time + ' · ' : ''}${htmlToText(item.html)}`
+    : `Dia ${dayId}`;
+  window.noteDialogState = { dayId, itemId, onChange, editingId: null, photos: [], originalPhotos: [] };
+  resetNoteForm();
+  renderNoteDialogEntries();
+  setFeedback(dialog.querySelector('#note-feedback'), '');
+  if (typeof dialog.showModal === 'function') {
+    dialog.showModal();
+  } else {
+    dialog.setAttribute('open', '');
+  }
+  dialog.querySelector('#note-text').focus();
+}
+
+/**
+ * Lista, no diálogo, as notas da atividade aberta, com botões para
+ * editar e excluir cada uma.
+ */
+function renderNoteDialogEntries() {
+  const state = window.noteDialogState;
+  const list = document.getElementById('note-entries');
+  if (!state || !list) return;
+  const { notes } = readItemState(state.dayId, state.itemId);
+  list.innerHTML = '';
+  list.classList.toggle('hidden', notes.length === 0);
+  notes.forEach((note) => {
+    const li = document.createElement('li');
+    li.className = 'note-entry';
+    if (note.id === state.editingId) li.classList.add('editing');
+    const meta = document.createElement('span');
+    meta.className = 'note-date';
+    meta.textContent = formatNoteDate(note.createdAt) || 'Sem data';
+    li.appendChild(meta);
+    const text = document.createElement('div');
+    text.className = 'note-text';
+    text.appendChild(renderMarkdown(note.text));
+    li.appendChild(text);
+    if (note.photos.length) {
+      const thumbs = document.createElement('div');
+      thumbs.className = 'note-thumbs';
+      renderPhotoThumbs(thumbs, note.photos);
+      li.appendChild(thumbs);
+    }
+    const actions = document.createElement('div');
+    actions.className = 'note-entry-actions';
+    actions.appendChild(createEditorButton('Editar', () => editDialogNote(note), 'ghost'));
+    actions.appendChild(createEditorButton('Excluir', () => deleteDialogNote(note), 'danger'));
+    li.appendChild(actions);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Mostra as fotos da nota em edição no diálogo.
+ */
+function renderNoteDialogPhotos() {
+  const state = window.noteDialogState;
+  const previews = document.getElementById('note-photo-previews');
+  if (!state || !previews) return;
+  renderPhotoThumbs(previews, state.photos, (id) => {
+    state.photos = state.photos.filter((photoId) => photoId !== id);
+    // Fotos novas podem ser apagadas já; as de uma nota existente só
+    // quando a edição for salva.
+    if (!state.originalPhotos.includes(id)) deletePhotos([id]);
+    renderNoteDialogPhotos();
+  });
+}
+
+/**
+ * Limpa o formulário do diálogo para uma nova nota.
+ */
+function resetNoteForm() {
+  const state = window.noteDialogState;
+  state.editingId = null;
+  state.photos = [];
+  state.originalPhotos = [];
+  document.getElementById('note-text').value = '';
+  document.getElementById('note-save').textContent = 'Salvar nota';
+  renderNoteDialogPhotos();
+}
+
+/**
+ * Apaga do IndexedDB as fotos adicionadas no diálogo que não foram
+ * salvas em nenhuma nota.
+ */
+function discardPendingPhotos() {
+  const state = window.noteDialogState;
+  if (!state) return;
+  deletePhotos(state.photos.filter((id) => !state.originalPhotos.includes(id)));
+  state.photos = state.originalPhotos.slice();
+}
+
+/**
+ * Carrega uma nota existente no formulário do diálogo para edição.
+ *
+ * @param {Object} note Nota a editar
+ */
+function editDialogNote(note) {
+  const state = window.noteDialogState;
+  discardPendingPhotos();
+  state.editingId = note.id;
+  state.photos = note.photos.slice();
+  state.originalPhotos = note.photos.slice();
+  const textarea = document.getElementById('note-text');
+  textarea.value = note.text;
+  document.getElementById('note-save').textContent = 'Atualizar nota';
+  renderNoteDialogPhotos();
+  renderNoteDialogEntries();
+  textarea.focus();
+}
+
+/**
+ * Exclui uma nota da atividade aberta no diálogo, com as suas fotos.
+ *
+ * @param {Object} note Nota a excluir
+ */
+function deleteDialogNote(note) {
+  const state = window.noteDialogState;
+  if (!confirm('Excluir esta nota e as suas fotos?')) return;
+  const itemState = readItemState(state.dayId, state.itemId);
+  itemState.notes = itemState.notes.filter((n) => n.id !== note.id);
+  writeItemState(state.dayId, state.itemId, itemState);
+  deletePhotos(note.photos);
+  if (state.editingId === note.id) {
+    // As fotos da nota já foram apagadas; sobra só o que for novo.
+    state.originalPhotos = [];
+    discardPendingPhotos();
+    resetNoteForm();
+  }
+  renderNoteDialogEntries();
+  state.onChange();
+  updateDiary();
+}
+
+/**
+ * Salva o conteúdo do formulário do diálogo como uma nova nota da
+ * atividade, ou atualiza a nota em edição.
+ */
+function saveNoteFromDialog() {
+  const state = window.noteDialogState;
+  if (!state) return;
+  const feedback = document.getElementById('note-feedback');
+  const text = document.getElementById('note-text').value.trim();
+  if (!text && !state.photos.length) {
+    setFeedback(feedback, 'Escreva uma nota ou adicione uma foto.', true);
+    return;
   }
-  openTab(id.toString());
+  const itemState = readItemState(state.dayId, state.itemId);
+  const existing = state.editingId && itemState.notes.find((n) => n.id === state.editingId);
+  if (existing) {
+    deletePhotos(existing.photos.filter((id) => !state.photos.includes(id)));
+    existing.text = text;
+    existing.photos = state.photos.slice();
+  } else {
+    itemState.notes.push({
+      id: `nota-${Date.now().toString(36)}`,
+      text,
+      createdAt: new Date().toISOString(),
+      photos: state.photos.slice(),
+    });
+  }
+  writeItemState(state.dayId, state.itemId, itemState);
+  // As fotos agora pertencem à nota salva.
+  state.originalPhotos = state.photos.slice();
+  resetNoteForm();
+  renderNoteDialogEntries();
+  setFeedback(feedback, existing ? 'Nota atualizada.' : 'Nota salva.');
+  state.onChange();
+  updateDiary();
 }
 
 /**
- * Atualiza a seção do diário com base nas notas salvas no
- * localStorage. Agrupa as notas por dia, gera elementos de
- * exibição e controla a visibilidade do painel de diário. A
- * mensagem "Nenhuma nota registrada" é mostrada quando não
- * existem entradas salvas.
+ * Reúne as entradas do diário da viagem ativa: as notas deste aparelho
+ * (com a atividade a que pertencem) e as memórias do diário
+ * compartilhado.
+ *
+ * @param {Array<Object>=} cloudEntries Memórias da nuvem a incluir;
+ *   por padrão, todas as da conta (`window.allCloudEntries`, só com
+ *   sessão aberta), independentes da página e do filtro da lista do
+ *   diário compartilhado
+ * @returns {Array<Object>} entradas `{ source: 'local' | 'cloud', day,
+ *   time, text, photos, activity, author }`, em que `time` é o instante
+ *   em que a entrada foi escrita (ms, 0 se desconhecido)
  */
-function updateDiary() {
-  const diarySection = document.getElementById('diary');
-  const diaryList = document.getElementById('diary-list');
-  if (!diarySection || !diaryList) return;
+function collectDiaryEntries(cloudEntries = window.cloudUser ? window.allCloudEntries : []) {
   const entries = [];
+  const prefix = tripKey('');
   for (let i = 0; i < localStorage.length; i++) {
     const key = localStorage.key(i);
-    if (!key || !key.startsWith('day-')) continue;
+    if (!key || !key.startsWith(prefix + 'day-')) continue;
+    const match = key.slice(prefix.length).match(/^day-(\d+)-item-([a-z][a-z0-9-]*)$/);
+    if (!match) continue;
+    let data;
     try {
-      const data = JSON.parse(localStorage.getItem(key));
-      if (data && data.note) {
-        const match = key.match(/^day-(\d+)-item-(\d+)$/);
-        if (match) {
-          entries.push({
-            day: parseInt(match[1], 10),
-            note: data.note,
-          });
-        }
-      }
+      data = JSON.parse(localStorage.getItem(key));
     } catch (e) {
-      // ignora erros
+      continue;
     }
+    const dayId = parseInt(match[1], 10);
+    const day = (window.itineraryData || []).find((d) => d.id === dayId);
+    const itemIndex = day ? day.schedule.findIndex((item) => item.id === match[2]) : -1;
+    const item = itemIndex >= 0 ? day.schedule[itemIndex] : null;
+    normalizeItemState(data).notes.forEach((note) => {
+      entries.push({
+        source: 'local',
+        day: dayId,
+        time: Date.parse(note.createdAt) || 0,
+        order: itemIndex,
+        text: note.text,
+        photos: note.photos,
+        activity: item ? [item.time, htmlToText(item.html)].filter(Boolean).join(' · ') : null,
+        author: null,
+      });
+    });
+  }
+  (cloudEntries || []).forEach((entry) => {
+    entries.push({
+      source: 'cloud',
+      day: entry.day != null ? entry.day : null,
+      time: Date.parse(entry.created_at) || 0,
+      order: -1,
+      text: entry.note,
+      photos: [],
+      activity: null,
+      author: entry.author || null,
+    });
+  });
+  // Por dia (entradas sem dia por último) e, dentro do dia, pela hora
+  // em que foram escritas; notas antigas, sem data, seguem a ordem das
+  // atividades.
+  entries.sort((a, b) => {
+    const dayA = a.day == null ? Infinity : a.day;
+    const dayB = b.day == null ? Infinity : b.day;
+    return dayA - dayB || a.time - b.time || a.order - b.order;
+  });
+  return entries;
+}
+
+/**
+ * Liga a busca e o filtro por dia do diário, que redesenham a linha do
+ * tempo a cada alteração.
+ */
+function initDiaryFilters() {
+  const section = window.diarySection;
+  if (!section) return;
+  const search = section.querySelector('#diary-search');
+  const dayFilter = section.querySelector('#diary-day-filter');
+  if (search) search.addEventListener('input', () => updateDiary());
+  if (dayFilter) dayFilter.addEventListener('change', () => updateDiary());
+}
+
+/**
+ * Atualiza a linha do tempo do diário: notas deste aparelho e memórias
+ * do diário compartilhado, agrupadas por dia, com a origem de cada
+ * entrada e, para as notas, a atividade correspondente. Aplica a busca
+ * (sem diferenciar acentos) e o filtro por dia e controla a
+ * visibilidade da seção: sem nenhuma entrada, a mensagem "Nenhuma nota
+ * registrada" é mostrada no painel.
+ */
+function updateDiary() {
+  // A seção pode estar fora do documento enquanto o painel do diário
+  // não for criado; por isso usamos a referência guardada.
+  const diarySection = window.diarySection || document.getElementById('diary');
+  const diaryList = diarySection && diarySection.querySelector('#diary-list');
+  if (!diarySection || !diaryList) return;
+  const entries = collectDiaryEntries();
+  const search = diarySection.querySelector('#diary-search');
+  const dayFilter = diarySection.querySelector('#diary-day-filter');
+  if (dayFilter) {
+    const current = dayFilter.value;
+    const options = [
+      ['', 'Todos os dias'],
+      ...(window.itineraryData || []).map((day) => [String(day.id), `Dia ${day.id}`]),
+      ['sem-dia', 'Sem dia'],
+    ];
+    dayFilter.innerHTML = '';
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      dayFilter.appendChild(option);
+    });
+    dayFilter.value = options.some(([value]) => value === current) ? current : '';
   }
-  entries.sort((a, b) => a.day - b.day);
+  const query = normalizeSearchText(search ? search.value.trim() : '');
+  const dayValue = dayFilter ? dayFilter.value : '';
+  const visible = entries.filter((entry) => {
+    if (dayValue === 'sem-dia' && entry.day != null) return false;
+    if (dayValue && dayValue !== 'sem-dia' && String(entry.day) !== dayValue) return false;
+    if (!query) return true;
+    return normalizeSearchText([entry.text, entry.activity, entry.author].join(' ')).includes(query);
+  });
   diaryList.innerHTML = '';
-  entries.forEach((entry) => {
+  let currentDay;
+  visible.forEach((entry) => {
+    if (entry.day !== currentDay) {
+      currentDay = entry.day;
+      const heading = document.createElement('h3');
+      heading.className = 'diary-day-heading';
+      const day = (window.itineraryData || []).find((d) => d.id === entry.day);
+      heading.textContent = entry.day == null ? 'Sem dia' : day ? htmlToText(day.title) : `Dia ${entry.day}`;
+      diaryList.appendChild(heading);
+    }
     const div = document.createElement('div');
     div.className = 'diary-entry';
+    div.dataset.source = entry.source;
+    const meta = document.createElement('div');
+    meta.className = 'diary-entry-meta';
     const daySpan = document.createElement('span');
     daySpan.className = 'entry-day';
-    daySpan.textContent = `Dia ${entry.day}:`;
-    const noteSpan = document.createElement('span');
-    noteSpan.className = 'entry-note';
-    noteSpan.textContent = ` ${entry.note}`;
-    div.appendChild(daySpan);
-    div.appendChild(noteSpan);
+    const date = entry.time ? formatNoteDate(new Date(entry.time).toISOString()) : '';
+    daySpan.textContent = [entry.day != null ? `Dia ${entry.day}` : null, date].filter(Boolean).join(' · ');
+    const sourceSpan = document.createElement('span');
+    sourceSpan.className = 'entry-source';
+    sourceSpan.textContent =
+      entry.source === 'local' ? '📱 Neste aparelho' : `☁️ Nuvem${entry.author ? ` · ${entry.author}` : ''}`;
+    meta.appendChild(daySpan);
+    meta.appendChild(sourceSpan);
+    div.appendChild(meta);
+    if (entry.activity) {
+      const activity = document.createElement('div');
+      activity.className = 'entry-activity';
+      activity.textContent = entry.activity;
+      div.appendChild(activity);
+    }
+    const noteDiv = document.createElement('div');
+    noteDiv.className = 'entry-note note-text';
+    noteDiv.appendChild(renderMarkdown(entry.text));
+    div.appendChild(noteDiv);
+    if (entry.photos.length) {
+      const thumbs = document.createElement('div');
+      thumbs.className = 'note-thumbs';
+      renderPhotoThumbs(thumbs, entry.photos);
+      div.appendChild(thumbs);
+    }
     diaryList.appendChild(div);
   });
+  if (entries.length && !visible.length) {
+    const empty = document.createElement('p');
+    empty.className = 'subtitle';
+    empty.textContent = 'Nenhuma entrada encontrada.';
+    diaryList.appendChild(empty);
+  }
   // Mostra ou oculta a seção com base nas entradas
   if (entries.length > 0) {
     diarySection.classList.remove('hidden');
@@ -633,17 +5224,489 @@ function updateDiary() {
 }
 
 /**
- * Inicializa a contagem regressiva para o início da viagem. A data
- * alvo pode ser ajustada conforme necessário. O temporizador
- * atualiza a cada minuto para economizar recursos.
+ * Identificador e versão do formato dos arquivos de backup gerados
+ * por `exportBackup()`.
+ */
+const BACKUP_FORMAT = 'luademel-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * Liga os controles do cartão de backup: exportação do estado da
+ * viagem ativa e importação de um arquivo com prévia das mudanças.
+ */
+function initBackup() {
+  const exportBtn = document.getElementById('backup-export');
+  const importInput = document.getElementById('backup-import');
+  const feedback = document.getElementById('backup-feedback');
+  if (!exportBtn || !importInput || !feedback) return;
+  exportBtn.addEventListener('click', () => {
+    exportBackup();
+    setFeedback(feedback, 'Backup exportado.');
+  });
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (err) {
+      setFeedback(feedback, 'O arquivo não é um JSON válido.', true);
+      return;
+    }
+    const errors = validateBackup(backup);
+    if (errors.length) {
+      setFeedback(feedback, `Backup inválido: ${errors.join(' ')}`, true);
+      return;
+    }
+    setFeedback(feedback, '');
+    showBackupPreview(backup);
+  });
+}
+
+/**
+ * Habilita ou desabilita a exportação e a importação de backup. Os
+ * controles ficam desabilitados enquanto `activateTrip` carrega a
+ * viagem, pois o backup depende de `window.currentTrip` e do roteiro.
+ *
+ * @param {boolean} enabled Se os controles podem ser usados
+ */
+function setBackupEnabled(enabled) {
+  ['backup-export', 'backup-import'].forEach((id) => {
+    const control = document.getElementById(id);
+    if (control) control.disabled = !enabled;
+  });
+}
+
+/**
+ * Lê do localStorage o estado salvo (conclusão e notas) de todas as
+ * atividades de uma viagem.
+ *
+ * @param {string} tripId Viagem
+ * @returns {Object<string, Object>} estados indexados pela chave sem prefixo (`day-N-item-<id>`)
+ */
+function collectItemStates(tripId) {
+  const prefix = tripKey('', tripId);
+  const states = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !key.startsWith(prefix + 'day-')) continue;
+    try {
+      const data = JSON.parse(localStorage.getItem(key));
+      if (data && typeof data === 'object') states[key.slice(prefix.length)] = data;
+    } catch (e) {
+      // ignora erros
+    }
+  }
+  return states;
+}
+
+/**
+ * Gera e baixa o arquivo de backup da viagem ativa, com o roteiro
+ * atual (incluindo edições), o estado de cada atividade, o orçamento,
+ * a checklist, o último dia visitado e o tema.
+ */
+function exportBackup() {
+  const trip = window.currentTrip;
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    trip: { id: trip.id, name: trip.name },
+    itinerary: window.itineraryData,
+    items: collectItemStates(trip.id),
+    budget: JSON.parse(localStorage.getItem(tripKey('budget', trip.id)) || 'null'),
+    checklist: JSON.parse(localStorage.getItem(tripKey('checklist', trip.id)) || 'null'),
+    lastDay: localStorage.getItem(tripKey('lastDay')),
+    theme: localStorage.getItem('theme'),
+  };
+  const date = backup.exportedAt.slice(0, 10);
+  downloadFile(`luademel-${trip.id}-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+}
+
+/**
+ * Oferece um conteúdo gerado no navegador para download.
+ *
+ * @param {string} filename Nome sugerido do arquivo
+ * @param {string|Blob} content Conteúdo do arquivo
+ * @param {string} type Tipo MIME
+ */
+function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Valida o conteúdo de um arquivo de backup. A viagem do backup
+ * precisa constar em `trips.json`; o roteiro, se presente, é
+ * validado com as mesmas regras dos arquivos de roteiro.
+ *
+ * @param {*} backup Conteúdo já convertido do arquivo
+ * @returns {Array<string>} mensagens de erro (vazia se válido)
+ */
+function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    return ['O arquivo não é um backup deste roteiro.'];
+  }
+  const errors = [];
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    errors.push(`Versão de backup não suportada (${backup.version}).`);
+  }
+  const tripId = backup.trip && backup.trip.id;
+  const entry = window.tripIndex.find((t) => t.id === tripId);
+  if (!entry) {
+    errors.push(`A viagem "${tripId}" não está disponível neste aparelho.`);
+  }
+  if (!backup.items || typeof backup.items !== 'object' || Array.isArray(backup.items)) {
+    errors.push('Lista de atividades ausente.');
+  } else {
+    Object.keys(backup.items).forEach((key) => {
+      const value = backup.items[key];
+      if (!/^day-\d+-item-[a-z][a-z0-9-]*$/.test(key) || !value || typeof value !== 'object') {
+        errors.push(`Entrada inválida: ${key}.`);
+      }
+    });
+  }
+  if (backup.budget != null) {
+    validateBackupBudget(backup.budget).forEach((message) => errors.push(`Orçamento: ${message}`));
+  }
+  if (backup.checklist != null) {
+    validateBackupChecklist(backup.checklist).forEach((message) => errors.push(`Checklist: ${message}`));
+  }
+  if (backup.lastDay != null && (typeof backup.lastDay !== 'string' || !/^\d+$/.test(backup.lastDay))) {
+    errors.push('Último dia visitado inválido.');
+  }
+  if (backup.theme != null && backup.theme !== 'light' && backup.theme !== 'dark') {
+    errors.push(`Tema inválido (${backup.theme}).`);
+  }
+  if (backup.itinerary != null && entry) {
+    const tripErrors = validateTrip({
+      version: TRIP_SCHEMA_VERSION,
+      id: entry.id,
+      name: entry.name,
+      days: backup.itinerary,
+    });
+    tripErrors.forEach((message) => errors.push(`Roteiro: ${message}`));
+  }
+  return errors;
+}
+
+/**
+ * Valida o orçamento de um backup (formato de `getBudget()`).
+ *
+ * @param {*} budget Orçamento do backup
+ * @returns {Array<string>} mensagens de erro (vazia se válido)
+ */
+function validateBackupBudget(budget) {
+  if (typeof budget !== 'object' || Array.isArray(budget)) return ['formato inválido.'];
+  const errors = [];
+  const isMoney = (value) =>
+    value && typeof value === 'object' && Number.isFinite(value.amount) && BUDGET_CURRENCIES.includes(value.currency);
+  if (budget.rates != null) {
+    if (typeof budget.rates !== 'object' || Object.values(budget.rates).some((rate) => !Number.isFinite(rate))) {
+      errors.push('cotações inválidas.');
+    }
+  }
+  if (budget.planned != null) {
+    if (typeof budget.planned !== 'object' || Array.isArray(budget.planned)) {
+      errors.push('custos previstos inválidos.');
+    } else {
+      Object.keys(budget.planned).forEach((key) => {
+        if (!/^\d+:[a-z][a-z0-9-]*$/.test(key) || !isMoney(budget.planned[key])) {
+          errors.push(`custo previsto inválido: ${key}.`);
+        }
+      });
+    }
+  }
+  if (budget.expenses != null) {
+    if (!Array.isArray(budget.expenses)) {
+      errors.push('lista de gastos inválida.');
+    } else {
+      budget.expenses.forEach((expense, i) => {
+        if (!isMoney(expense) || !Number.isInteger(expense.day) || typeof expense.id !== 'string') {
+          errors.push(`gasto ${i + 1} inválido.`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Valida a checklist de um backup (formato de `getChecklist()`).
+ *
+ * @param {*} checklist Checklist do backup
+ * @returns {Array<string>} mensagens de erro (vazia se válida)
+ */
+function validateBackupChecklist(checklist) {
+  if (!Array.isArray(checklist)) return ['formato inválido.'];
+  const errors = [];
+  checklist.forEach((task, i) => {
+    const valid =
+      task &&
+      typeof task === 'object' &&
+      typeof task.id === 'string' &&
+      typeof task.text === 'string' &&
+      typeof task.category === 'string' &&
+      (task.assignee == null || typeof task.assignee === 'string') &&
+      (task.dueDays == null || (Number.isInteger(task.dueDays) && task.dueDays >= 0));
+    if (!valid) errors.push(`tarefa ${i + 1} inválida.`);
+  });
+  return errors;
+}
+
+/**
+ * Compara um backup com o estado local da mesma viagem.
+ *
+ * @param {Object} backup Backup já validado
+ * @param {string} mode `merge` (o backup prevalece nas atividades em
+ *   comum e o restante é mantido) ou `replace` (o estado local é
+ *   descartado)
+ * @returns {{notes: number, completions: number, itinerary: boolean, budget: boolean,
+ *   checklist: boolean}} quantidade de notas e de marcações que
+ *   mudariam e se o roteiro, o orçamento e a checklist mudam
+ */
+function diffBackup(backup, mode) {
+  const local = collectItemStates(backup.trip.id);
+  const incoming = backup.items;
+  const keys = new Set(Object.keys(incoming));
+  if (mode === 'replace') Object.keys(local).forEach((key) => keys.add(key));
+  let notes = 0;
+  let completions = 0;
+  keys.forEach((key) => {
+    const before = normalizeItemState(local[key]);
+    const after = incoming[key] ? normalizeItemState(incoming[key]) : mode === 'replace' ? normalizeItemState(null) : before;
+    if (JSON.stringify(before.notes) !== JSON.stringify(after.notes)) notes += 1;
+    if (Boolean(before.completed) !== Boolean(after.completed)) completions += 1;
+  });
+  let currentItinerary = localStorage.getItem(tripKey('itinerary', backup.trip.id));
+  if (!currentItinerary && backup.trip.id === window.currentTrip.id) {
+    currentItinerary = JSON.stringify(window.itineraryData);
+  }
+  const itinerary = backup.itinerary != null && JSON.stringify(backup.itinerary) !== currentItinerary;
+  const currentBudget = localStorage.getItem(tripKey('budget', backup.trip.id));
+  const nextBudget = mergeBackupBudget(backup, mode);
+  const budget = (nextBudget ? JSON.stringify(nextBudget) : null) !== currentBudget;
+  const currentChecklist = localStorage.getItem(tripKey('checklist', backup.trip.id));
+  const nextChecklist = mergeBackupChecklist(backup, mode);
+  const checklist = (nextChecklist ? JSON.stringify(nextChecklist) : null) !== currentChecklist;
+  return { notes, completions, itinerary, budget, checklist };
+}
+
+/**
+ * Orçamento resultante da importação de um backup: na mesclagem, as
+ * cotações e custos previstos do backup prevalecem e os gastos são
+ * somados sem repetir (pelo identificador); na substituição, vale o
+ * orçamento do backup. Backups anteriores ao orçamento não o alteram.
+ *
+ * @param {Object} backup Backup já validado
+ * @param {string} mode `merge` ou `replace`
+ * @returns {Object|null} orçamento a gravar ou null para nenhum
+ */
+function mergeBackupBudget(backup, mode) {
+  let local = null;
+  try {
+    local = JSON.parse(localStorage.getItem(tripKey('budget', backup.trip.id)));
+  } catch (e) {
+    local = null;
+  }
+  const incoming = backup.budget;
+  if (incoming === undefined) return local;
+  if (mode === 'replace' || !local) {
+    return incoming ? { rates: incoming.rates || {}, planned: incoming.planned || {}, expenses: incoming.expenses || [] } : null;
+  }
+  if (!incoming) return local;
+  const expenses = (local.expenses || []).filter(
+    (expense) => !(incoming.expenses || []).some((other) => other.id === expense.id)
+  );
+  return {
+    rates: { ...local.rates, ...incoming.rates },
+    planned: { ...local.planned, ...incoming.planned },
+    expenses: [...expenses, ...(incoming.expenses || [])],
+  };
+}
+
+/**
+ * Checklist resultante da importação de um backup: na mesclagem, as
+ * tarefas do backup prevalecem sobre as de mesmo identificador e as
+ * demais são mantidas; na substituição, vale a checklist do backup.
+ * Backups sem checklist (anteriores a ela ou de quem ainda não mexeu
+ * nas tarefas do roteiro) não a alteram na mesclagem.
+ *
+ * @param {Object} backup Backup já validado
+ * @param {string} mode `merge` ou `replace`
+ * @returns {Array<Object>|null} checklist a gravar ou null para a do roteiro
+ */
+function mergeBackupChecklist(backup, mode) {
+  let local = null;
+  try {
+    local = JSON.parse(localStorage.getItem(tripKey('checklist', backup.trip.id)));
+  } catch (e) {
+    local = null;
+  }
+  const incoming = backup.checklist;
+  if (incoming === undefined) return local;
+  if (mode === 'replace' || !local) return incoming;
+  if (!incoming) return local;
+  const merged = local.map((task) => incoming.find((other) => other.id === task.id) || task);
+  return [...merged, ...incoming.filter((task) => !local.some((other) => other.id === task.id))];
+}
+
+/**
+ * Exibe o resumo das mudanças de um backup e os botões para mesclar,
+ * substituir ou cancelar a importação.
+ *
+ * @param {Object} backup Backup já validado
+ */
+function showBackupPreview(backup) {
+  const preview = document.getElementById('backup-preview');
+  const feedback = document.getElementById('backup-feedback');
+  if (!preview) return;
+  preview.innerHTML = '';
+  const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString('pt-BR') : 'data desconhecida';
+  const intro = document.createElement('p');
+  intro.textContent = `Backup de "${backup.trip.name || backup.trip.id}" gerado em ${exportedAt}.`;
+  preview.appendChild(intro);
+  const describe = (diff) => {
+    const parts = [
+      `${diff.notes} ${diff.notes === 1 ? 'nota alterada' : 'notas alteradas'}`,
+      `${diff.completions} ${diff.completions === 1 ? 'marcação alterada' : 'marcações alteradas'}`,
+    ];
+    if (diff.itinerary) parts.push('roteiro substituído');
+    if (diff.budget) parts.push('orçamento atualizado');
+    if (diff.checklist) parts.push('checklist atualizada');
+    return parts.join(', ');
+  };
+  const list = document.createElement('ul');
+  [
+    ['Mesclar', 'merge'],
+    ['Substituir', 'replace'],
+  ].forEach(([label, mode]) => {
+    const li = document.createElement('li');
+    const strong = document.createElement('strong');
+    strong.textContent = `${label}: `;
+    li.appendChild(strong);
+    li.appendChild(document.createTextNode(describe(diffBackup(backup, mode))));
+    list.appendChild(li);
+  });
+  preview.appendChild(list);
+  const actions = document.createElement('div');
+  actions.className = 'auth-actions';
+  const close = () => {
+    preview.innerHTML = '';
+    preview.classList.add('hidden');
+  };
+  const mergeBtn = document.createElement('button');
+  mergeBtn.type = 'button';
+  mergeBtn.textContent = 'Mesclar';
+  mergeBtn.addEventListener('click', async () => {
+    close();
+    await applyBackup(backup, 'merge');
+    setFeedback(feedback, 'Backup mesclado com os dados deste aparelho.');
+  });
+  const replaceBtn = document.createElement('button');
+  replaceBtn.type = 'button';
+  replaceBtn.className = 'secondary';
+  replaceBtn.textContent = 'Substituir';
+  replaceBtn.addEventListener('click', async () => {
+    if (!confirm('Substituir todas as marcações e notas desta viagem pelas do backup?')) return;
+    close();
+    await applyBackup(backup, 'replace');
+    setFeedback(feedback, 'Dados substituídos pelos do backup.');
+  });
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'ghost';
+  cancelBtn.textContent = 'Cancelar';
+  cancelBtn.addEventListener('click', close);
+  [mergeBtn, replaceBtn, cancelBtn].forEach((btn) => actions.appendChild(btn));
+  preview.appendChild(actions);
+  preview.classList.remove('hidden');
+}
+
+/**
+ * Aplica um backup validado à viagem correspondente e recarrega a
+ * interface (abas, progresso e diário). Os estados restaurados perdem
+ * os dados de sincronização do aparelho de origem (`dirty`,
+ * `syncedAt`, `conflict`) e ficam pendentes de envio; as fotos dos
+ * estados substituídos que o backup não usa são apagadas.
+ *
+ * @param {Object} backup Backup já validado
+ * @param {string} mode `merge` ou `replace` (ver `diffBackup()`)
+ */
+async function applyBackup(backup, mode) {
+  const tripId = backup.trip.id;
+  const { itinerary: itineraryChanged } = diffBackup(backup, mode);
+  const budget = mergeBackupBudget(backup, mode);
+  const checklist = mergeBackupChecklist(backup, mode);
+  const local = collectItemStates(tripId);
+  const replaced = mode === 'replace' ? Object.keys(local) : Object.keys(backup.items).filter((key) => local[key]);
+  const photosOf = (states) => states.flatMap((state) => normalizeItemState(state).notes.flatMap((note) => note.photos));
+  const restoredPhotos = new Set(photosOf(Object.values(backup.items)));
+  deletePhotos(photosOf(replaced.map((key) => local[key])).filter((id) => !restoredPhotos.has(id)));
+  if (mode === 'replace') {
+    Object.keys(local).forEach((key) => localStorage.removeItem(tripKey(key, tripId)));
+    if (backup.lastDay) localStorage.setItem(tripKey('lastDay', tripId), backup.lastDay);
+    if (backup.theme) {
+      localStorage.setItem('theme', backup.theme);
+      applyTheme(backup.theme);
+    }
+  }
+  Object.keys(backup.items).forEach((key) => {
+    const { dirty, syncedAt, conflict, ...state } = backup.items[key];
+    localStorage.setItem(tripKey(key, tripId), JSON.stringify({ ...state, dirty: true }));
+  });
+  if (itineraryChanged) {
+    localStorage.setItem(tripKey('itinerary', tripId), JSON.stringify(backup.itinerary));
+  }
+  if (budget) {
+    localStorage.setItem(tripKey('budget', tripId), JSON.stringify(budget));
+  } else {
+    localStorage.removeItem(tripKey('budget', tripId));
+  }
+  if (checklist) {
+    localStorage.setItem(tripKey('checklist', tripId), JSON.stringify(checklist));
+  } else {
+    localStorage.removeItem(tripKey('checklist', tripId));
+  }
+  await activateTrip(tripId);
+}
+
+/**
+ * Inicializa a contagem regressiva para o início da viagem ativa. A
+ * data alvo vem do campo `start` do roteiro; sem ela, a contagem é
+ * ocultada. Durante as datas da viagem, a contagem dá lugar ao modo
+ * "agora", que mostra a atividade em andamento e a próxima e as
+ * destaca no painel do dia. O temporizador atualiza a cada 30
+ * segundos e é substituído ao trocar de viagem.
+ *
+ * @param {string|null} start Início da viagem em ISO 8601
  */
-function initCountdown() {
+function initCountdown(start) {
   const countdownEl = document.getElementById('countdown');
+  const container = document.getElementById('countdown-container');
+  const nowEl = document.getElementById('now-status');
   if (!countdownEl) return;
-  // Define o início da viagem (adaptar conforme necessário)
-  const target = new Date('2026-01-16T00:00:00-03:00');
+  clearInterval(window.countdownTimer);
+  const target = start ? new Date(start) : null;
   function update() {
     const now = new Date();
+    const status = getNowStatus(now);
+    window.nowStatus = status;
+    applyNowHighlights(status);
+    if (nowEl) {
+      nowEl.classList.toggle('hidden', !status);
+      if (status) renderNowStatus(nowEl, status, now);
+    }
+    if (container) container.classList.toggle('hidden', Boolean(status) || !target);
+    if (status || !target) return;
     const diff = target.getTime() - now.getTime();
     if (diff <= 0) {
       countdownEl.textContent = 'A viagem já começou!';
@@ -659,19 +5722,182 @@ function initCountdown() {
     countdownEl.textContent = parts.join(' ');
   }
   update();
-  // Atualiza a cada minuto
-  setInterval(update, 60 * 1000);
+  // Atualiza a cada 30 segundos
+  window.countdownTimer = setInterval(update, 30 * 1000);
+}
+
+/**
+ * Determina se a viagem ativa está em andamento e, nesse caso, qual
+ * atividade está acontecendo e qual é a próxima, com base nos
+ * horários interpretados por `resolveDayTimes()`. A viagem vai da
+ * meia-noite do primeiro dia com data até o fim do último dia (ou o
+ * término da última atividade, se passar da meia-noite).
+ *
+ * @param {Date} now Instante de referência
+ * @returns {Object|null} `{ dayId, current, next }` (eventos com
+ *   `dayId`, `item`, `start` e `end`) ou null fora das datas da viagem
+ */
+function getNowStatus(now) {
+  const days = (window.itineraryData || []).filter((day) => day.date);
+  if (!days.length || !window.currentTrip) return null;
+  const timeZone = window.currentTrip.timeZone || DEFAULT_TIME_ZONE;
+  const sorted = days.slice().sort((a, b) => a.date.localeCompare(b.date));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const events = [];
+  sorted.forEach((day) => {
+    resolveDayTimes(day, timeZone).events.forEach((event) => events.push({ dayId: day.id, ...event }));
+  });
+  events.sort((a, b) => a.start - b.start);
+  const tripStart = zonedTimeToDate(first.date, 0, timeZone);
+  let tripEnd = zonedTimeToDate(last.date, 24 * 60, timeZone);
+  events.forEach((event) => {
+    if (event.end > tripEnd) tripEnd = event.end;
+  });
+  if (now < tripStart || now >= tripEnd) return null;
+  const current = events.find((event) => event.start <= now && now < event.end) || null;
+  const next = events.find((event) => event.start > now) || null;
+  const localToday = new Date(now.getTime() + getTimeZoneOffset(now, timeZone)).toISOString().slice(0, 10);
+  const today = sorted.find((day) => day.date === localToday);
+  let dayId = last.id;
+  if (current) {
+    dayId = current.dayId;
+  } else if (today) {
+    dayId = today.id;
+  } else if (next) {
+    dayId = next.dayId;
+  }
+  return { dayId, current, next };
+}
+
+/**
+ * Escreve no cabeçalho a atividade em andamento e quanto falta para
+ * a próxima (ex.: "Próximo: Trem de volta Tigre → Retiro em 25 min").
+ *
+ * @param {HTMLElement} el Elemento `#now-status`
+ * @param {Object} status Resultado de `getNowStatus()`
+ * @param {Date} now Instante de referência
+ */
+function renderNowStatus(el, status, now) {
+  const parts = [];
+  if (status.current) {
+    parts.push(`Agora: ${htmlToText(status.current.item.html)}`);
+  }
+  if (status.next) {
+    parts.push(`Próximo: ${htmlToText(status.next.item.html)} em ${formatDuration(status.next.start - now)}`);
+  }
+  el.textContent = parts.length ? parts.join(' • ') : 'Sem mais atividades com horário. Aproveitem! 💖';
+}
+
+/**
+ * Formata uma duração em texto curto ("25 min", "2h05").
+ *
+ * @param {number} ms Duração em milissegundos
+ * @returns {string} Duração formatada
+ */
+function formatDuration(ms) {
+  const totalMinutes = Math.max(1, Math.ceil(ms / (60 * 1000)));
+  if (totalMinutes < 60) return `${totalMinutes} min`;
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours}h${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Marca, nos painéis já criados, a atividade em andamento
+ * (`.now-current`) e a próxima (`.now-next`), removendo marcações
+ * anteriores.
+ *
+ * @param {Object|null} status Resultado de `getNowStatus()`
+ */
+function applyNowHighlights(status) {
+  document.querySelectorAll('.schedule li.now-current, .schedule li.now-next').forEach((li) => {
+    li.classList.remove('now-current', 'now-next');
+  });
+  if (!status) return;
+  [
+    [status.current, 'now-current'],
+    [status.next, 'now-next'],
+  ].forEach(([event, className]) => {
+    if (!event) return;
+    const panel = window.tabPanels && window.tabPanels[event.dayId.toString()];
+    if (!panel) return;
+    panel.querySelectorAll('.schedule li').forEach((li) => {
+      if (li.dataset.itemId === event.item.id) li.classList.add(className);
+    });
+  });
 }
 
 /**
- * Registra o service worker para permitir uso offline da aplicação.
+ * Registra o service worker para permitir uso offline da aplicação e
+ * avisa quando há uma versão nova: um service worker novo esperando
+ * para assumir ou arquivos do aplicativo que mudaram na revalidação
+ * em segundo plano.
  */
 function registerServiceWorker() {
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('service-worker.js').catch((err) => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'content-updated') showUpdateBanner(null);
+  });
+  navigator.serviceWorker
+    .register('service-worker.js')
+    .then((registration) => {
+      // Na primeira instalação não há versão antiga a substituir.
+      if (!navigator.serviceWorker.controller) return;
+      if (registration.waiting) showUpdateBanner(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed') showUpdateBanner(worker);
+        });
+      });
+    })
+    .catch((err) => {
       console.error('Falha ao registrar service worker', err);
     });
+}
+
+/**
+ * Mostra (uma única vez) o aviso de nova versão. Ao recarregar, um
+ * service worker novo em espera é ativado antes do recarregamento.
+ *
+ * @param {ServiceWorker|null} waitingWorker Service worker em espera,
+ *   ou null quando só o conteúdo mudou
+ */
+function showUpdateBanner(waitingWorker) {
+  let banner = document.getElementById('update-banner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'update-banner';
+    banner.className = 'update-banner';
+    banner.setAttribute('role', 'status');
+    const text = document.createElement('span');
+    text.textContent = 'Nova versão disponível.';
+    const reloadBtn = document.createElement('button');
+    reloadBtn.type = 'button';
+    reloadBtn.textContent = 'Recarregar';
+    reloadBtn.addEventListener('click', () => {
+      const worker = window.waitingServiceWorker;
+      if (!worker) {
+        window.location.reload();
+        return;
+      }
+      navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+      worker.postMessage({ type: 'skip-waiting' });
+    });
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'ghost';
+    closeBtn.setAttribute('aria-label', 'Dispensar aviso');
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => banner.remove());
+    banner.appendChild(text);
+    banner.appendChild(reloadBtn);
+    banner.appendChild(closeBtn);
+    document.body.appendChild(banner);
   }
+  if (waitingWorker) window.waitingServiceWorker = waitingWorker;
 }
 
 /**
@@ -715,31 +5941,263 @@ function applyTheme(theme) {
 }
 
 /**
- * Mostra ou oculta o botão flutuante de voltar ao topo conforme o
- * usuário rola a página. Ao clicar, realiza scroll suave até o topo.
+ * Mostra ou oculta o botão flutuante de voltar ao topo conforme o
+ * usuário rola a página. Ao clicar, realiza scroll suave até o topo.
+ */
+function initBackToTop() {
+  const btn = document.getElementById('back-to-top');
+  if (!btn) return;
+  window.addEventListener('scroll', () => {
+    if (window.pageYOffset > 300) {
+      btn.classList.add('show');
+    } else {
+      btn.classList.remove('show');
+    }
+  });
+  btn.addEventListener('click', () => {
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  });
+}
+
+/**
+ * Agenda uma sincronização das marcações e notas com a conta
+ * compartilhada, agrupando alterações feitas em sequência.
+ */
+function queueItemSync() {
+  clearTimeout(window.itemSyncTimer);
+  window.itemSyncTimer = setTimeout(() => syncItemStates(), 1500);
+}
+
+/**
+ * Sincroniza nos dois sentidos o estado das atividades (conclusão e
+ * notas) da viagem ativa com o back-end do diário compartilhado.
+ *
+ * Cada estado local guarda quando foi alterado (`updatedAt`), se há
+ * alteração ainda não enviada (`dirty`) e qual versão remota foi vista
+ * por último (`syncedAt`). Alterações só locais são enviadas e só
+ * remotas são trazidas; quando os dois lados mudaram desde a última
+ * sincronização (por exemplo, os dois aparelhos sem conexão), vence a
+ * alteração mais recente e a outra fica guardada em `conflict` para o
+ * indicador do item no aparelho que percebeu o conflito (o que
+ * sincronizou por último). As fotos das notas continuam só no aparelho em
+ * que foram tiradas.
+ */
+async function syncItemStates() {
+  const backend = window.cloudBackend;
+  // Viagem e roteiro lidos antes de qualquer espera: se a viagem for
+  // trocada no meio da sincronização, esta rodada continua na anterior.
+  const trip = window.currentTrip;
+  const days = window.itineraryData;
+  if (!backend || !window.cloudUser || !trip || !days) return;
+  if (window.itemSyncRunning) {
+    window.itemSyncAgain = true;
+    return;
+  }
+  window.itemSyncRunning = true;
+  const status = document.getElementById('sync-status');
+  try {
+    const rows = await backend.listItemStates(trip.id);
+    const local = collectItemStates(trip.id);
+    // Estados de atividades que não existem mais no roteiro não são
+    // trazidos de volta.
+    const targets = days.flatMap((day) =>
+      day.schedule.map((item) => ({ dayId: day.id, itemId: item.id }))
+    );
+    const idCount = {};
+    targets.forEach(({ itemId }) => {
+      idCount[itemId] = (idCount[itemId] || 0) + 1;
+    });
+    let conflicts = 0;
+    let changed = false;
+    for (const { dayId, itemId } of targets) {
+      const key = `day-${dayId}-item-${itemId}`;
+      const mine = local[key] ? normalizeItemState(local[key]) : null;
+      // Os números dos dias mudam quando um dia é removido no editor de
+      // um só aparelho; por isso a linha remota é achada pela atividade,
+      // valendo a mais recente, e o dia só desempata identificadores
+      // que se repetem em dias diferentes do roteiro.
+      const row = rows
+        .filter((r) => r.item_id === itemId && (idCount[itemId] === 1 || r.day === dayId))
+        .reduce((newest, r) => (!newest || Date.parse(r.updated_at) > Date.parse(newest.updated_at) ? r : newest), null);
+      if (!mine && !row) continue;
+      const localChanged = Boolean(mine && (mine.dirty || !mine.syncedAt));
+      const remoteChanged = Boolean(row && row.updated_at !== (mine && mine.syncedAt));
+      const expected = mine ? mine.updatedAt : null;
+      if (localChanged && remoteChanged && sameItemContent(mine, rowToItemState(row))) {
+        // Os dois lados chegaram ao mesmo estado (por exemplo, na
+        // primeira sincronização do outro aparelho): só registra a
+        // versão remota, sem conflito.
+        commitSyncedState(trip.id, key, expected, { ...mine, dirty: false, syncedAt: row.updated_at });
+      } else if (localChanged && remoteChanged) {
+        conflicts += 1;
+        const localWins = Date.parse(mine.updatedAt) >= Date.parse(row.updated_at);
+        const detectedAt = new Date().toISOString();
+        if (localWins) {
+          const saved = await pushItemState(backend, trip.id, dayId, itemId, mine);
+          changed = commitSyncedState(trip.id, key, expected, {
+            ...mine,
+            dirty: false,
+            syncedAt: saved.updated_at,
+            conflict: { detectedAt, discarded: rowToItemState(row) },
+          }) || changed;
+        } else {
+          changed = commitSyncedState(trip.id, key, expected, {
+            ...rowToItemState(row),
+            updatedAt: row.updated_at,
+            syncedAt: row.updated_at,
+            conflict: { detectedAt, discarded: { completed: Boolean(mine.completed), notes: mine.notes } },
+          }) || changed;
+        }
+      } else if (localChanged) {
+        const saved = await pushItemState(backend, trip.id, dayId, itemId, mine);
+        commitSyncedState(trip.id, key, expected, { ...mine, dirty: false, syncedAt: saved.updated_at });
+      } else if (remoteChanged) {
+        const next = { ...rowToItemState(row), updatedAt: row.updated_at, syncedAt: row.updated_at };
+        if (mine && mine.conflict) next.conflict = mine.conflict;
+        changed = commitSyncedState(trip.id, key, expected, next) || changed;
+      }
+    }
+    if (changed && window.currentTrip && window.currentTrip.id === trip.id) refreshItemStates();
+    const time = new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+    if (status) {
+      setFeedback(
+        status,
+        conflicts
+          ? `Marcações sincronizadas às ${time}. ${conflicts} ${conflicts === 1 ? 'atividade alterada' : 'atividades alteradas'} nos dois aparelhos: veja o ⚠️ no roteiro.`
+          : `Marcações e notas sincronizadas às ${time}.`
+      );
+    }
+  } catch (err) {
+    if (status) setFeedback(status, `Sincronização pendente: ${formatSupabaseError(err)}`, true);
+  } finally {
+    window.itemSyncRunning = false;
+    if (window.itemSyncAgain) {
+      window.itemSyncAgain = false;
+      queueItemSync();
+    }
+  }
+}
+
+/**
+ * Indica se dois estados de atividade têm o mesmo conteúdo
+ * (conclusão e notas), ignorando datas de alteração e sincronização.
+ *
+ * @param {Object} a Estado normalizado
+ * @param {Object} b Estado normalizado
+ * @returns {boolean} Verdadeiro se forem equivalentes
+ */
+function sameItemContent(a, b) {
+  const content = (state) =>
+    JSON.stringify({
+      completed: Boolean(state.completed),
+      notes: (state.notes || []).map((note) => [note.id, note.text, note.createdAt, note.photos || []]),
+    });
+  return content(a) === content(b);
+}
+
+/**
+ * Converte uma linha remota de `item_states` no estado local.
+ *
+ * @param {Object} row Linha remota
+ * @returns {{completed: boolean, notes: Array<Object>}} Estado
+ */
+function rowToItemState(row) {
+  return { completed: Boolean(row.completed), notes: normalizeItemState({ notes: row.notes }).notes };
+}
+
+/**
+ * Envia o estado local de uma atividade ao back-end.
+ *
+ * @param {Object} backend Back-end do diário compartilhado
+ * @param {string} tripId Viagem
+ * @param {number} dayId Número do dia
+ * @param {string} itemId Identificador da atividade
+ * @param {Object} state Estado local normalizado
+ * @returns {Promise<Object>} Linha gravada (com `updated_at`)
+ */
+function pushItemState(backend, tripId, dayId, itemId, state) {
+  return backend.upsertItemState({
+    trip_id: tripId,
+    day: dayId,
+    item_id: itemId,
+    completed: Boolean(state.completed),
+    notes: state.notes,
+    updated_at: state.updatedAt || new Date().toISOString(),
+  });
+}
+
+/**
+ * Grava o resultado da sincronização de uma atividade, desde que o
+ * estado local não tenha mudado enquanto a sincronização acontecia
+ * (nesse caso a próxima rodada cuida dele).
+ *
+ * @param {string} tripId Viagem
+ * @param {string} key Chave sem prefixo (`day-N-item-<id>`)
+ * @param {string|null} expectedUpdatedAt `updatedAt` lido no início
+ * @param {Object} state Novo estado
+ * @returns {boolean} Verdadeiro se o estado foi gravado
+ */
+function commitSyncedState(tripId, key, expectedUpdatedAt, state) {
+  const storageKey = tripKey(key, tripId);
+  let current = null;
+  try {
+    current = JSON.parse(localStorage.getItem(storageKey));
+  } catch (e) {
+    current = null;
+  }
+  if (((current && current.updatedAt) || null) !== (expectedUpdatedAt || null)) return false;
+  const data = { ...state };
+  if (!data.notes || !data.notes.length) delete data.notes;
+  localStorage.setItem(storageKey, JSON.stringify(data));
+  return true;
+}
+
+/**
+ * Reaplica o estado salvo aos itens dos painéis já criados (exceto os
+ * em edição) e atualiza progresso, diário e lembretes.
  */
-function initBackToTop() {
-  const btn = document.getElementById('back-to-top');
-  if (!btn) return;
-  window.addEventListener('scroll', () => {
-    if (window.pageYOffset > 300) {
-      btn.classList.add('show');
-    } else {
-      btn.classList.remove('show');
+function refreshItemStates() {
+  (window.itineraryData || []).forEach((day) => {
+    const panel = window.tabPanels && window.tabPanels[day.id.toString()];
+    if (panel && !panel.classList.contains('editing')) {
+      panel.querySelectorAll('.schedule li').forEach((li) => renderItemState(li, day.id));
     }
+    updateDayProgress(day.id);
   });
-  btn.addEventListener('click', () => {
-    window.scrollTo({ top: 0, behavior: 'smooth' });
-  });
+  updateDiary();
+  scheduleReminders();
 }
 
 /**
- * Inicializa o diário compartilhado via Supabase. Quando a URL e a
- * anon key estão configuradas nas metas do HTML, o formulário de
- * autenticação é exibido. Após login ou cadastro, o usuário pode
+ * Endereço do cliente JavaScript do Supabase (build UMD, que expõe
+ * `window.supabase`) e o hash SRI do arquivo. Só é baixado quando o
+ * diário compartilhado está configurado. A versão é fixa: para
+ * atualizá-la, troque as duas constantes juntas (o hash é o SHA-384
+ * de `dist/umd/supabase.js` do pacote publicado no npm). Por ter a
+ * versão na URL, o service worker guarda o arquivo depois do primeiro
+ * carregamento, e o diário abre sem conexão.
+ */
+const SUPABASE_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2.117.2/dist/umd/supabase.js';
+const SUPABASE_SCRIPT_INTEGRITY = 'sha384-Rj26LVGvoeRVR6+mwQmFfcR3QOBEwT+ZmuCWpuiqeTzJpCs0ER4ITAWGb4Hiy3Ok';
+
+/**
+ * Back-end do diário compartilhado em uso (`null` quando não
+ * configurado; um valor atribuído antes da carga do script é mantido)
+ * e usuário autenticado (`undefined` até a primeira consulta da
+ * sessão).
+ */
+window.cloudBackend = window.cloudBackend || null;
+window.cloudUser = undefined;
+
+/**
+ * Inicializa o diário compartilhado. O armazenamento fica atrás de uma
+ * interface de back-end (ver `createSupabaseBackend()`), escolhida por
+ * `resolveCloudBackend()`.
+ * Sem configuração, ou se o cliente não puder ser carregado, apenas o
+ * aviso da seção é exibido. Após login ou cadastro, o usuário pode
  * salvar memórias que ficam disponíveis para o casal.
  */
-function initCloudDiary() {
+async function initCloudDiary() {
   const notice = document.getElementById('cloud-diary-notice');
   const authForm = document.getElementById('auth-form');
   const logoutBtn = document.getElementById('logout-btn');
@@ -747,17 +6205,23 @@ function initCloudDiary() {
   const feedback = document.getElementById('auth-feedback');
   if (!notice || !authForm || !logoutBtn || !area || !feedback) return;
 
-  const enabled = setupSupabaseClient();
-  if (!enabled) {
-    // Mantém apenas o aviso de configuração.
-    authForm.classList.add('hidden');
-    area.classList.add('hidden');
+  // Mantém apenas o aviso até o back-end estar pronto.
+  authForm.classList.add('hidden');
+  area.classList.add('hidden');
+  listenForOutboxSync();
+  let backend;
+  try {
+    backend = await resolveCloudBackend();
+  } catch (err) {
+    console.error('Erro ao iniciar o diário compartilhado:', err);
+    notice.textContent = 'Não foi possível carregar o diário compartilhado agora. Verifique a conexão e recarregue a página.';
     return;
   }
+  if (!backend) return;
+  window.cloudBackend = backend;
 
   notice.textContent = 'Use e-mail e senha para entrar ou criar a conta do casal.';
   authForm.classList.remove('hidden');
-  area.classList.add('hidden');
 
   let authAction = 'login';
   authForm.addEventListener('click', (ev) => {
@@ -768,18 +6232,16 @@ function initCloudDiary() {
 
   authForm.addEventListener('submit', async (ev) => {
     ev.preventDefault();
-    const email = authForm.email.value.trim();
-    const password = authForm.password.value.trim();
+    const email = authForm.elements.email.value.trim();
+    const password = authForm.elements.password.value.trim();
     if (!email || !password) return;
     setFeedback(feedback, 'Conectando...');
     try {
       if (authAction === 'signup') {
-        const { error } = await supabaseClient.auth.signUp({ email, password });
-        if (error) throw error;
+        await backend.signUp(email, password);
         setFeedback(feedback, 'Conta criada! Veja seu e-mail para confirmar (se necessário).');
       } else {
-        const { error } = await supabaseClient.auth.signInWithPassword({ email, password });
-        if (error) throw error;
+        await backend.signIn(email, password);
         setFeedback(feedback, 'Login realizado com sucesso.');
       }
     } catch (err) {
@@ -788,41 +6250,416 @@ function initCloudDiary() {
   });
 
   logoutBtn.addEventListener('click', async () => {
-    await supabaseClient.auth.signOut();
-    setFeedback(feedback, 'Sessão encerrada.');
-  });
-
-  supabaseClient.auth.getSession().then(({ data }) => {
-    updateAuthUI(data.session ? data.session.user : null);
-  });
-
-  supabaseClient.auth.onAuthStateChange((_event, session) => {
-    updateAuthUI(session ? session.user : null);
-    if (session && session.user) {
-      loadCloudEntries();
-    } else {
-      clearCloudEntries();
+    try {
+      await backend.signOut();
+      setFeedback(feedback, 'Sessão encerrada.');
+    } catch (err) {
+      setFeedback(feedback, formatSupabaseError(err), true);
     }
   });
 
   initCloudEntryForm();
+  // Envia as alterações feitas sem conexão assim que ela voltar.
+  window.addEventListener('online', () => {
+    syncItemStates();
+    flushOutbox();
+    if (window.cloudRealtime) window.cloudRealtime.reconnectNow();
+  });
+  backend.onAuthChange((user) => handleCloudUser(user));
+  try {
+    handleCloudUser(await backend.getUser());
+  } catch (err) {
+    handleCloudUser(null);
+  }
 }
 
 /**
- * Lê as metas supabase-url e supabase-anon-key e inicializa o cliente.
+ * Escolhe o back-end do diário compartilhado:
+ *  1. um objeto já atribuído a `window.cloudBackend` antes da carga
+ *     da página (os testes injetam assim o back-end em memória de
+ *     `tests/cloud-fakes.js`);
+ *  2. o Supabase, quando as metas `supabase-url` e `supabase-anon-key`
+ *     estão preenchidas.
  *
- * @returns {boolean} Verdadeiro se o cliente foi configurado.
+ * @returns {Promise<Object|null>} Back-end, ou null se não configurado
  */
-function setupSupabaseClient() {
+async function resolveCloudBackend() {
+  if (window.cloudBackend) return window.cloudBackend;
   const urlMeta = document.querySelector('meta[name="supabase-url"]');
   const keyMeta = document.querySelector('meta[name="supabase-anon-key"]');
   const url = urlMeta && urlMeta.content ? urlMeta.content.trim() : '';
   const key = keyMeta && keyMeta.content ? keyMeta.content.trim() : '';
   if (!url || !key) {
-    return false;
+    return null;
   }
-  supabaseClient = createClient(url, key);
-  return true;
+  return createSupabaseBackend(url, key);
+}
+
+/**
+ * Carrega um script externo uma única vez. Com `integrity`, o
+ * navegador só executa o arquivo se o conteúdo bater com o hash (SRI).
+ *
+ * @param {string} src Endereço do script
+ * @param {string} [integrity] Hash SRI esperado (`sha384-...`)
+ * @returns {Promise<void>} Resolvida quando o script é executado
+ */
+function loadScript(src, integrity) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    if (integrity) {
+      script.integrity = integrity;
+      script.crossOrigin = 'anonymous';
+    }
+    script.async = true;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Não foi possível carregar ${src}.`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Cria o back-end do diário compartilhado sobre o Supabase, baixando
+ * o cliente JavaScript se necessário. As entradas ficam na tabela
+ * `diary_entries` (`id`, `client_id` único, `trip_id`, `day`, `note`,
+ * `author`, `created_at`, `user_id`); as políticas de acesso devem
+ * permitir alterar e excluir apenas as linhas do próprio `user_id`.
+ * Linhas criadas antes de haver várias viagens não têm `trip_id` e
+ * não aparecem em nenhuma viagem até receberem o id da sua.
+ *
+ * Todos os back-ends expõem a mesma interface, com métodos que
+ * rejeitam com um `Error` em caso de falha:
+ *   • `getUser()` → usuário da sessão (`{ id, email }`) ou null;
+ *   • `signIn(email, password)`, `signUp(email, password)`,
+ *     `signOut()`;
+ *   • `onAuthChange(callback)` → chama `callback(user)` a cada
+ *     mudança de sessão;
+ *   • `listEntries({ tripId, limit, before, day })` → entradas da
+ *     viagem `tripId`, mais recentes primeiro (por `created_at` e, no
+ *     empate, por `id`), vindas depois de `before` nessa ordem (a
+ *     última entrada já carregada, `{ created_at, id }`, para
+ *     paginação) e, se `day` for informado, só desse dia (`null` =
+ *     entradas sem dia);
+ *   • `insertEntry({ client_id, trip_id, day, note, author,
+ *     created_at })` → entrada criada; repetir o mesmo `client_id`
+ *     não cria outra linha (devolve a existente ou null);
+ *   • `updateEntry(id, { day, note })` → entrada alterada;
+ *   • `deleteEntry(id)` → rejeita se nenhuma linha foi excluída;
+ *   • `connectRealtime({ tripId, onEvent, onOpen, onClose })` → abre
+ *     uma conexão de tempo real com as mudanças de `diary_entries` da
+ *     viagem e devolve `{ close() }`; `onEvent` recebe `{ type:
+ *     'insert' | 'update' | 'delete', entry }`. Exclusões chegam só
+ *     com o `id`, de qualquer viagem. Não há nova tentativa automática:
+ *     quem chama decide quando reconectar;
+ *   • `listItemStates(tripId)` → estados das atividades da viagem;
+ *   • `upsertItemState(row)` → grava o estado de uma atividade e
+ *     devolve a linha gravada.
+ *
+ * O estado das atividades fica na tabela `item_states` (`trip_id`,
+ * `day`, `item_id`, `completed`, `notes` em jsonb, `updated_at`,
+ * `updated_by`), com chave única em (`trip_id`, `day`, `item_id`).
+ *
+ * @param {string} url URL do projeto
+ * @param {string} key Anon key do projeto
+ * @returns {Promise<Object>} Back-end
+ */
+async function createSupabaseBackend(url, key) {
+  if (!window.supabase || typeof window.supabase.createClient !== 'function') {
+    await loadScript(SUPABASE_SCRIPT_URL, SUPABASE_SCRIPT_INTEGRITY);
+  }
+  const client = window.supabase.createClient(url, key);
+  const unwrap = ({ data, error }) => {
+    if (error) throw error;
+    return data;
+  };
+  return {
+    async getUser() {
+      const data = unwrap(await client.auth.getSession());
+      return data.session ? data.session.user : null;
+    },
+    async signIn(email, password) {
+      unwrap(await client.auth.signInWithPassword({ email, password }));
+    },
+    async signUp(email, password) {
+      unwrap(await client.auth.signUp({ email, password }));
+    },
+    async signOut() {
+      const { error } = await client.auth.signOut();
+      if (error) throw error;
+    },
+    onAuthChange(callback) {
+      client.auth.onAuthStateChange((_event, session) => callback(session ? session.user : null));
+    },
+    async listEntries({ tripId, limit = 50, before = null, day } = {}) {
+      let query = client
+        .from('diary_entries')
+        .select('id, client_id, trip_id, day, note, author, created_at, user_id')
+        .eq('trip_id', tripId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+      if (before) {
+        // Paginação por (created_at, id): entradas com o mesmo horário
+        // da última carregada não ficam de fora.
+        const at = `"${before.created_at}"`;
+        query = query.or(`created_at.lt.${at},and(created_at.eq.${at},id.lt.${before.id})`);
+      }
+      if (day === null) query = query.is('day', null);
+      if (typeof day === 'number') query = query.eq('day', day);
+      return unwrap(await query) || [];
+    },
+    async insertEntry(entry) {
+      // Reenvios da fila offline repetem o client_id e são ignorados.
+      const data = unwrap(
+        await client
+          .from('diary_entries')
+          .upsert(entry, { onConflict: 'client_id', ignoreDuplicates: true })
+          .select()
+      );
+      return (data && data[0]) || null;
+    },
+    async updateEntry(id, changes) {
+      return unwrap(await client.from('diary_entries').update(changes).eq('id', id).select().single());
+    },
+    async deleteEntry(id) {
+      // As políticas de acesso não dão erro ao barrar a exclusão: só
+      // nenhuma linha é afetada.
+      const data = unwrap(await client.from('diary_entries').delete().eq('id', id).select('id'));
+      if (!data || !data.length) {
+        throw new Error('A memória não foi excluída: ela já não existe ou foi escrita por outra pessoa.');
+      }
+    },
+    connectRealtime({ tripId, onEvent, onOpen, onClose }) {
+      const table = { schema: 'public', table: 'diary_entries' };
+      const filter = `trip_id=eq.${tripId}`;
+      const forward = (payload) => {
+        const type = payload.eventType.toLowerCase();
+        onEvent({ type, entry: type === 'delete' ? payload.old : payload.new });
+      };
+      // O Supabase não filtra exclusões: elas chegam de todas as viagens.
+      const channel = client
+        .channel(`diary-entries-${tripId}-${Date.now()}`)
+        .on('postgres_changes', { ...table, event: 'INSERT', filter }, forward)
+        .on('postgres_changes', { ...table, event: 'UPDATE', filter }, forward)
+        .on('postgres_changes', { ...table, event: 'DELETE' }, forward)
+        .subscribe((status, err) => {
+          if (status === 'SUBSCRIBED') {
+            onOpen();
+          } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+            onClose(err || new Error(status));
+          }
+        });
+      return {
+        close() {
+          client.removeChannel(channel);
+        },
+      };
+    },
+    async listItemStates(tripId) {
+      const data = unwrap(
+        await client
+          .from('item_states')
+          .select('trip_id, day, item_id, completed, notes, updated_at')
+          .eq('trip_id', tripId)
+      );
+      return data || [];
+    },
+    async upsertItemState(row) {
+      return unwrap(
+        await client.from('item_states').upsert(row, { onConflict: 'trip_id,day,item_id' }).select().single()
+      );
+    },
+  };
+}
+
+/**
+ * Intervalos de reconexão do tempo real: começa em 1 s e dobra a cada
+ * falha seguida, até 30 s.
+ */
+const REALTIME_MIN_DELAY = 1000;
+const REALTIME_MAX_DELAY = 30 * 1000;
+
+/**
+ * Abre a conexão de tempo real do diário compartilhado, para que as
+ * memórias inseridas, editadas ou excluídas no outro aparelho apareçam
+ * na hora. Se a conexão cair, tenta de novo com espera exponencial
+ * (com variação aleatória, para os dois aparelhos não reconectarem
+ * juntos) e, ao voltar, recarrega a lista para recuperar o que mudou
+ * nesse intervalo. O estado fica em `window.cloudRealtime`.
+ */
+function startCloudRealtime() {
+  stopCloudRealtime();
+  const backend = window.cloudBackend;
+  if (!backend || typeof backend.connectRealtime !== 'function' || !window.currentTrip) return;
+  const tripId = window.currentTrip.id;
+  const state = { connection: null, timer: null, attempts: 0, opened: false, stopped: false };
+  window.cloudRealtime = state;
+  const status = document.getElementById('realtime-status');
+  const connect = () => {
+    state.timer = null;
+    let closed = false;
+    const connection = backend.connectRealtime({
+      tripId,
+      onEvent: (event) => {
+        if (state.connection === connection) applyCloudEvent(event);
+      },
+      onOpen: () => {
+        if (state.stopped || state.connection !== connection) return;
+        const reconnected = state.opened;
+        state.opened = true;
+        state.attempts = 0;
+        if (status) setFeedback(status, '🟢 Ao vivo: novas memórias aparecem automaticamente.');
+        if (reconnected) loadCloudEntries();
+      },
+      onClose: (err) => {
+        // Ignora o fechamento de conexões já substituídas ou encerradas.
+        if (closed || state.stopped || state.connection !== connection) return;
+        closed = true;
+        connection.close();
+        const delay = Math.min(REALTIME_MAX_DELAY, REALTIME_MIN_DELAY * 2 ** state.attempts);
+        const wait = Math.round(delay * (0.5 + Math.random() / 2));
+        state.attempts += 1;
+        if (status) {
+          setFeedback(status, `Conexão ao vivo interrompida (${formatSupabaseError(err)}). Tentando de novo em ${Math.ceil(wait / 1000)} s.`, true);
+        }
+        state.timer = setTimeout(connect, wait);
+      },
+    });
+    state.connection = connection;
+  };
+  state.reconnectNow = () => {
+    if (state.stopped || !state.timer) return;
+    clearTimeout(state.timer);
+    state.attempts = 0;
+    connect();
+  };
+  connect();
+}
+
+/**
+ * Encerra a conexão de tempo real e as tentativas de reconexão.
+ */
+function stopCloudRealtime() {
+  const state = window.cloudRealtime;
+  if (!state) return;
+  state.stopped = true;
+  clearTimeout(state.timer);
+  if (state.connection) state.connection.close();
+  window.cloudRealtime = null;
+  const status = document.getElementById('realtime-status');
+  if (status) setFeedback(status, '');
+}
+
+/**
+ * Aplica à lista exibida uma mudança recebida em tempo real. Enquanto
+ * uma entrada estiver sendo editada, só os dados são atualizados; a
+ * lista é redesenhada ao salvar ou cancelar a edição.
+ *
+ * @param {{type: string, entry: Object}} event Mudança recebida
+ */
+function applyCloudEvent(event) {
+  const entry = event && event.entry;
+  if (!entry || entry.id == null) return;
+  if (entry.trip_id && (!window.currentTrip || entry.trip_id !== window.currentTrip.id)) return;
+  updateAllCloudEntries(event);
+  const entries = applyEntryChange(window.cloudEntries || [], event);
+  if (!entries) return;
+  const list = document.getElementById('cloud-entry-list');
+  if (list && list.querySelector('.cloud-entry-edit')) {
+    window.cloudEntries = entries;
+    return;
+  }
+  renderCloudEntries(entries);
+}
+
+/**
+ * Aplica uma inclusão, alteração ou exclusão a uma lista de memórias
+ * (mais recentes primeiro).
+ *
+ * @param {Array<Object>} entries Lista atual
+ * @param {{type: string, entry: Object}} event Mudança
+ * @returns {Array<Object>|null} nova lista ou null se nada mudou
+ */
+function applyEntryChange(entries, event) {
+  const { entry } = event;
+  if (event.type === 'delete') {
+    return entries.filter((e) => e.id !== entry.id);
+  }
+  if (entries.some((e) => e.id === entry.id)) {
+    return entries.map((e) => (e.id === entry.id ? { ...e, ...entry } : e));
+  }
+  if (event.type === 'insert') {
+    return [entry, ...entries].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+  return null;
+}
+
+/**
+ * Recarrega o conjunto completo de memórias usado pela linha do tempo
+ * do diário (e pela busca e pelo livreto), independente da página e
+ * do filtro por dia da lista do diário compartilhado.
+ */
+async function refreshAllCloudEntries() {
+  const request = (window.allCloudEntriesRequest || 0) + 1;
+  window.allCloudEntriesRequest = request;
+  const entries = await fetchAllCloudEntries();
+  // Uma busca mais nova (ou a saída da conta) vale mais que esta.
+  if (request !== window.allCloudEntriesRequest || !window.cloudUser) return;
+  window.allCloudEntries = entries;
+  updateDiary();
+}
+
+/**
+ * Aplica ao conjunto completo de memórias uma mudança feita neste
+ * aparelho ou recebida em tempo real e redesenha a linha do tempo.
+ *
+ * @param {{type: string, entry: Object}} event Mudança
+ */
+function updateAllCloudEntries(event) {
+  const entries = applyEntryChange(window.allCloudEntries || [], event);
+  if (!entries) return;
+  window.allCloudEntries = entries;
+  updateDiary();
+}
+
+/**
+ * Reage a uma mudança de sessão: atualiza a interface e carrega ou
+ * limpa as entradas. Notificações repetidas para o mesmo usuário (por
+ * exemplo, renovação do token) são ignoradas.
+ *
+ * @param {object|null} user Usuário autenticado ou null
+ */
+function handleCloudUser(user) {
+  const previous = window.cloudUser;
+  const sameUser = previous !== undefined && (previous ? previous.id : null) === (user ? user.id : null);
+  if (sameUser) return;
+  updateAuthUI(user);
+  clearInterval(window.itemSyncPoll);
+  if (user) {
+    reloadCloudDiary();
+    syncItemStates();
+    // Traz periodicamente as alterações feitas no outro aparelho.
+    window.itemSyncPoll = setInterval(syncItemStates, 60 * 1000);
+  } else {
+    stopCloudRealtime();
+    clearCloudEntries();
+  }
+}
+
+/**
+ * Recarrega do diário compartilhado as memórias da viagem ativa (lista
+ * paginada e conjunto completo), reabre o tempo real filtrado por ela
+ * e envia as memórias que estiverem na fila. Chamada ao entrar na
+ * conta e ao trocar de viagem.
+ */
+function reloadCloudDiary() {
+  if (!window.cloudUser || !window.currentTrip) return;
+  window.cloudEntries = [];
+  window.allCloudEntries = [];
+  loadCloudEntries();
+  refreshAllCloudEntries();
+  startCloudRealtime();
+  flushOutbox();
 }
 
 /**
@@ -831,7 +6668,7 @@ function setupSupabaseClient() {
  * @param {object|null} user Usuário autenticado ou null
  */
 function updateAuthUI(user) {
-  cachedUser = user;
+  window.cloudUser = user;
   const area = document.getElementById('cloud-diary-area');
   const logoutBtn = document.getElementById('logout-btn');
   const authForm = document.getElementById('auth-form');
@@ -860,58 +6697,369 @@ function initCloudEntryForm() {
   if (!form || !feedback || !refreshBtn) return;
   form.addEventListener('submit', async (ev) => {
     ev.preventDefault();
-    if (!supabaseClient || !cachedUser) {
+    if (!window.cloudBackend || !window.cloudUser) {
       setFeedback(feedback, 'Faça login para salvar na nuvem.', true);
       return;
     }
-    const dayInput = form.day.value.trim();
-    const note = form.note.value.trim();
+    const dayInput = form.elements.day.value.trim();
+    const note = form.elements.note.value.trim();
     const day = dayInput ? parseInt(dayInput, 10) : null;
     if (!note) {
       setFeedback(feedback, 'Escreva algo antes de salvar.', true);
       return;
     }
+    // A memória vai primeiro para a fila local, para não se perder se
+    // o envio falhar (sem conexão, roaming desligado...).
+    const payload = {
+      client_id: createClientId(),
+      trip_id: window.currentTrip.id,
+      note,
+      author: getCloudAuthorName(window.cloudUser),
+      created_at: new Date().toISOString(),
+    };
+    if (!Number.isNaN(day) && day !== null) payload.day = day;
+    writeOutbox([...readOutbox(), payload]);
+    form.reset();
+    renderCloudEntries(window.cloudEntries || []);
     setFeedback(feedback, 'Salvando...');
-    try {
-      const payload = { note };
-      if (!Number.isNaN(day) && day !== null) payload.day = day;
-      const { error } = await supabaseClient.from('diary_entries').insert(payload);
-      if (error) throw error;
-      form.reset();
+    await flushOutbox();
+    if (readOutbox().some((item) => item.client_id === payload.client_id)) {
+      setFeedback(feedback, 'Sem conexão: a memória ficou guardada e será enviada quando a internet voltar.', true);
+    } else {
       setFeedback(feedback, 'Memória salva na nuvem!');
-      await loadCloudEntries();
-    } catch (err) {
-      setFeedback(feedback, formatSupabaseError(err), true);
     }
   });
 
   refreshBtn.addEventListener('click', async () => {
-    if (!cachedUser) {
+    if (!window.cloudUser) {
       setFeedback(feedback, 'Faça login para carregar as memórias.', true);
       return;
     }
     await loadCloudEntries();
   });
+
+  const filter = document.getElementById('entry-filter-day');
+  if (filter) filter.addEventListener('change', () => loadCloudEntries());
+}
+
+/**
+ * Nome exibido como autor das memórias escritas pelo usuário: o nome
+ * do perfil, se houver, ou a parte do e-mail antes do @.
+ *
+ * @param {object|null} user Usuário autenticado
+ * @returns {string|null} Nome do autor
+ */
+function getCloudAuthorName(user) {
+  if (!user) return null;
+  const metadata = user.user_metadata || {};
+  return metadata.name || (user.email ? user.email.split('@')[0] : null);
+}
+
+/**
+ * Maior número de dia do roteiro ativo: limite dos campos de dia do
+ * diário compartilhado.
+ *
+ * @returns {number} Número do último dia (1 sem roteiro)
+ */
+function getLastDayId() {
+  return Math.max(1, ...(window.itineraryData || []).map((day) => day.id));
+}
+
+/**
+ * Preenche o filtro por dia do diário compartilhado com os dias da
+ * viagem ativa, mantendo a escolha atual, e ajusta o limite do campo
+ * de dia do formulário de novas memórias.
+ */
+function renderCloudDayFilter() {
+  const dayInput = document.getElementById('entry-day');
+  if (dayInput) dayInput.max = String(getLastDayId());
+  const filter = document.getElementById('entry-filter-day');
+  if (!filter) return;
+  const current = filter.value;
+  filter.innerHTML = '';
+  const options = [
+    ['', 'Todos os dias'],
+    ...(window.itineraryData || []).map((day) => [String(day.id), `Dia ${day.id}`]),
+    ['sem-dia', 'Sem dia'],
+  ];
+  options.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    filter.appendChild(option);
+  });
+  filter.value = options.some(([value]) => value === current) ? current : '';
+}
+
+/**
+ * Lê o filtro por dia do diário compartilhado.
+ *
+ * @returns {number|null|undefined} Número do dia, null para entradas
+ *   sem dia ou undefined para todas
+ */
+function getCloudDayFilter() {
+  const filter = document.getElementById('entry-filter-day');
+  if (!filter || !filter.value) return undefined;
+  if (filter.value === 'sem-dia') return null;
+  return parseInt(filter.value, 10);
 }
 
 /**
- * Busca e renderiza as entradas do diário armazenadas na tabela
- * diary_entries do Supabase.
+ * Quantidade de entradas do diário compartilhado buscadas por vez.
+ */
+const CLOUD_PAGE_SIZE = 50;
+
+/**
+ * Busca e renderiza as entradas mais recentes do diário
+ * compartilhado, respeitando o filtro por dia. Com `append`, busca a
+ * página seguinte às entradas já exibidas ("Carregar mais").
+ *
+ * @param {{append: boolean}} [options] Opções da busca
  */
-async function loadCloudEntries() {
+async function loadCloudEntries({ append = false } = {}) {
   const list = document.getElementById('cloud-entry-list');
-  if (!list || !supabaseClient || !cachedUser) return;
-  list.innerHTML = '<p class="subtitle">Carregando entradas...</p>';
-  const { data, error } = await supabaseClient
-    .from('diary_entries')
-    .select('id, day, note, created_at')
-    .order('created_at', { ascending: false })
-    .limit(50);
-  if (error) {
-    list.innerHTML = `<p class="feedback error">${formatSupabaseError(error)}</p>`;
+  if (!list || !window.cloudBackend || !window.cloudUser || !window.currentTrip) return;
+  const tripId = window.currentTrip.id;
+  const loaded = append ? window.cloudEntries || [] : [];
+  if (!append) {
+    renderCloudDayFilter();
+    list.innerHTML = '<p class="subtitle">Carregando entradas...</p>';
+  }
+  const last = loaded[loaded.length - 1];
+  let entries;
+  try {
+    const page = await window.cloudBackend.listEntries({
+      tripId,
+      limit: CLOUD_PAGE_SIZE,
+      before: last ? { created_at: last.created_at, id: last.id } : null,
+      day: getCloudDayFilter(),
+    });
+    // A viagem mudou durante a busca: a nova já pediu as suas entradas.
+    if (window.currentTrip.id !== tripId) return;
+    window.cloudEntriesHasMore = page.length === CLOUD_PAGE_SIZE;
+    entries = [...loaded, ...page];
+  } catch (error) {
+    // Mantém as últimas entradas carregadas e as pendentes visíveis.
+    renderCloudEntries(window.cloudEntries || []);
+    const message = document.createElement('p');
+    message.className = 'feedback error';
+    message.textContent = formatSupabaseError(error);
+    list.insertBefore(message, list.firstChild);
     return;
   }
-  renderCloudEntries(data || []);
+  renderCloudEntries(entries);
+}
+
+/**
+ * Nome da fila local (outbox) de memórias ainda não enviadas ao
+ * diário compartilhado e tag do Background Sync que a esvazia. Há uma
+ * fila por viagem e por usuário (ver `outboxKey()`), para que a
+ * memória escrita por uma conta não seja enviada por outra que entre
+ * no mesmo aparelho.
+ */
+const OUTBOX_KEY = 'cloudOutbox';
+const OUTBOX_SYNC_TAG = 'diary-outbox';
+
+/**
+ * Chave no localStorage da fila de memórias do usuário da sessão em
+ * uma viagem.
+ *
+ * @param {string} tripId Viagem
+ * @returns {string} Chave (`trip:<viagem>:cloudOutbox:<usuário>`)
+ */
+function outboxKey(tripId) {
+  return tripKey(`${OUTBOX_KEY}:${window.cloudUser.id}`, tripId);
+}
+
+/**
+ * Lê a fila de memórias pendentes do usuário da sessão em uma viagem.
+ *
+ * @param {string} [tripId] Viagem (padrão: a ativa)
+ * @returns {Array<Object>} Entradas `{ client_id, trip_id, day, note,
+ *   created_at, attempts, lastError }`, da mais antiga à mais nova
+ */
+function readOutbox(tripId = window.currentTrip && window.currentTrip.id) {
+  if (!window.cloudUser || !tripId) return [];
+  try {
+    const list = JSON.parse(localStorage.getItem(outboxKey(tripId)));
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Salva a fila de memórias pendentes do usuário da sessão em uma
+ * viagem.
+ *
+ * @param {Array<Object>} list Entradas pendentes
+ * @param {string} [tripId] Viagem (padrão: a ativa)
+ */
+function writeOutbox(list, tripId = window.currentTrip && window.currentTrip.id) {
+  if (!window.cloudUser || !tripId) return;
+  if (list.length) {
+    localStorage.setItem(outboxKey(tripId), JSON.stringify(list));
+  } else {
+    localStorage.removeItem(outboxKey(tripId));
+  }
+}
+
+/**
+ * Viagens em que o usuário da sessão tem memórias na fila.
+ *
+ * @returns {Array<string>} Identificadores das viagens
+ */
+function listOutboxTrips() {
+  if (!window.cloudUser) return [];
+  const suffix = `:${OUTBOX_KEY}:${window.cloudUser.id}`;
+  const trips = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith('trip:') && key.endsWith(suffix)) {
+      trips.push(key.slice('trip:'.length, -suffix.length));
+    }
+  }
+  return trips;
+}
+
+/**
+ * Move para as filas por viagem e usuário a fila única usada antes
+ * delas (`cloudOutbox`), atribuindo-a ao usuário da sessão. Memórias
+ * sem `trip_id` ficam com a viagem ativa.
+ */
+function migrateLegacyOutbox() {
+  const legacy = localStorage.getItem(OUTBOX_KEY);
+  if (legacy === null || !window.cloudUser || !window.currentTrip) return;
+  let list;
+  try {
+    list = JSON.parse(legacy);
+  } catch (e) {
+    list = null;
+  }
+  (Array.isArray(list) ? list : []).forEach((item) => {
+    const tripId = item.trip_id || window.currentTrip.id;
+    writeOutbox([...readOutbox(tripId), { ...item, trip_id: tripId }], tripId);
+  });
+  localStorage.removeItem(OUTBOX_KEY);
+}
+
+/**
+ * Gera o identificador de uma memória no aparelho. Ele acompanha a
+ * entrada em todas as tentativas de envio, para que o servidor
+ * descarte repetições.
+ *
+ * @returns {string} Identificador único
+ */
+function createClientId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Envia ao back-end as memórias das filas do usuário da sessão, de
+ * todas as viagens, na ordem em que foram escritas. Para na primeira
+ * falha (provavelmente sem conexão), registra o erro na entrada e pede
+ * ao service worker um Background Sync para tentar de novo quando a
+ * conexão voltar. Chamada durante um envio em andamento, devolve a
+ * promessa desse envio, que repete a fila ao terminar: quem espera vê
+ * também as memórias enfileiradas depois do início.
+ *
+ * @returns {Promise<number>} Quantidade de memórias enviadas
+ */
+function flushOutbox() {
+  const backend = window.cloudBackend;
+  if (!backend || !window.cloudUser) return Promise.resolve(0);
+  if (window.outboxFlushing) {
+    window.outboxFlushAgain = true;
+    return window.outboxFlushing;
+  }
+  window.outboxFlushing = (async () => {
+    let sent = 0;
+    try {
+      do {
+        window.outboxFlushAgain = false;
+        sent += await sendOutboxEntries(backend);
+      } while (window.outboxFlushAgain);
+    } finally {
+      window.outboxFlushing = null;
+    }
+    return sent;
+  })();
+  return window.outboxFlushing;
+}
+
+/**
+ * Uma passagem de `flushOutbox()` pelas filas.
+ *
+ * @param {Object} backend Back-end do diário compartilhado
+ * @returns {Promise<number>} Quantidade de memórias enviadas
+ */
+async function sendOutboxEntries(backend) {
+  migrateLegacyOutbox();
+  let sent = 0;
+  let failed = false;
+  for (const tripId of listOutboxTrips()) {
+    for (const item of readOutbox(tripId)) {
+      const { attempts, lastError, ...entry } = item;
+      try {
+        await backend.insertEntry({ ...entry, trip_id: tripId });
+        writeOutbox(readOutbox(tripId).filter((i) => i.client_id !== item.client_id), tripId);
+        sent += 1;
+      } catch (err) {
+        failed = true;
+        writeOutbox(
+          readOutbox(tripId).map((i) =>
+            i.client_id === item.client_id
+              ? { ...i, attempts: (i.attempts || 0) + 1, lastError: formatSupabaseError(err) }
+              : i
+          ),
+          tripId
+        );
+        break;
+      }
+    }
+    if (failed) break;
+  }
+  if (failed) registerOutboxSync();
+  if (sent) {
+    await loadCloudEntries();
+    refreshAllCloudEntries();
+  } else {
+    renderCloudEntries(window.cloudEntries || []);
+  }
+  return sent;
+}
+
+/**
+ * Pede ao service worker um Background Sync para a fila de memórias,
+ * quando o navegador oferece esse recurso.
+ */
+async function registerOutboxSync() {
+  const registration = await getServiceWorkerRegistration();
+  if (!registration || !registration.sync) return;
+  try {
+    await registration.sync.register(OUTBOX_SYNC_TAG);
+  } catch (e) {
+    // Sem permissão: a fila é reenviada no evento `online` ou no
+    // próximo acesso.
+  }
+}
+
+/**
+ * Atende aos pedidos do service worker (Background Sync) para esvaziar
+ * as filas, respondendo se todas ficaram vazias.
+ */
+function listenForOutboxSync() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('message', async (event) => {
+    if (!event.data || event.data.type !== 'flush-outbox') return;
+    await flushOutbox();
+    if (event.ports && event.ports[0]) {
+      event.ports[0].postMessage({ ok: listOutboxTrips().length === 0 });
+    }
+  });
 }
 
 /**
@@ -920,41 +7068,187 @@ async function loadCloudEntries() {
 function clearCloudEntries() {
   const list = document.getElementById('cloud-entry-list');
   if (list) list.innerHTML = '';
+  window.cloudEntries = [];
+  window.allCloudEntries = [];
+  window.allCloudEntriesRequest = (window.allCloudEntriesRequest || 0) + 1;
+  updateDiary();
 }
 
 /**
- * Renderiza a lista de entradas recuperadas do Supabase.
+ * Renderiza a lista de entradas recuperadas do diário compartilhado,
+ * precedidas das que ainda estão na fila local.
  *
  * @param {Array<Object>} entries Lista de entradas
  */
 function renderCloudEntries(entries) {
   const list = document.getElementById('cloud-entry-list');
   if (!list) return;
+  window.cloudEntries = entries;
+  // Memórias da fila local aparecem primeiro, marcadas como pendentes,
+  // até chegarem ao servidor.
+  const dayFilter = getCloudDayFilter();
+  const matchesFilter = (entry) => dayFilter === undefined || (entry.day != null ? entry.day : null) === dayFilter;
+  const sentIds = new Set(entries.map((entry) => entry.client_id).filter(Boolean));
+  const pending = readOutbox()
+    .filter((item) => !sentIds.has(item.client_id))
+    .reverse()
+    .map((item) => ({ ...item, pending: true }));
+  const all = [...pending, ...entries].filter(matchesFilter);
   list.innerHTML = '';
-  if (!entries.length) {
+  if (!all.length) {
     list.innerHTML = '<p class="subtitle">Nenhuma memória na nuvem ainda.</p>';
     return;
   }
-  entries.forEach((entry) => {
-    const wrapper = document.createElement('div');
-    wrapper.className = 'cloud-entry';
-    const header = document.createElement('div');
-    header.className = 'cloud-entry-header';
-    const dayLabel = document.createElement('span');
-    dayLabel.className = 'entry-day';
-    dayLabel.textContent = entry.day ? `Dia ${entry.day}` : 'Diário';
-    const dateLabel = document.createElement('span');
-    const date = entry.created_at ? new Date(entry.created_at) : null;
-    dateLabel.textContent = date ? date.toLocaleString('pt-BR') : '';
-    header.appendChild(dayLabel);
-    header.appendChild(dateLabel);
-    const note = document.createElement('p');
-    note.className = 'entry-note';
-    note.textContent = entry.note;
-    wrapper.appendChild(header);
-    wrapper.appendChild(note);
-    list.appendChild(wrapper);
+  all.forEach((entry) => list.appendChild(createCloudEntryElement(entry)));
+  if (window.cloudEntriesHasMore) {
+    const moreBtn = document.createElement('button');
+    moreBtn.type = 'button';
+    moreBtn.className = 'ghost load-more';
+    moreBtn.textContent = 'Carregar mais';
+    moreBtn.addEventListener('click', () => {
+      moreBtn.disabled = true;
+      moreBtn.textContent = 'Carregando...';
+      loadCloudEntries({ append: true });
+    });
+    list.appendChild(moreBtn);
+  }
+}
+
+/**
+ * Cria o elemento de uma entrada do diário compartilhado: dia, autor,
+ * data e texto e, para as entradas do próprio usuário, os botões de
+ * editar e excluir.
+ *
+ * @param {Object} entry Entrada (ou item pendente da fila local)
+ * @returns {HTMLElement} Elemento `.cloud-entry`
+ */
+function createCloudEntryElement(entry) {
+  const wrapper = document.createElement('div');
+  wrapper.className = entry.pending ? 'cloud-entry pending' : 'cloud-entry';
+  const header = document.createElement('div');
+  header.className = 'cloud-entry-header';
+  const dayLabel = document.createElement('span');
+  dayLabel.className = 'entry-day';
+  dayLabel.textContent = entry.day ? `Dia ${entry.day}` : 'Diário';
+  const isMine = entry.pending || (window.cloudUser && entry.user_id === window.cloudUser.id);
+  const authorLabel = document.createElement('span');
+  authorLabel.className = 'entry-author';
+  const author = entry.author || (isMine ? getCloudAuthorName(window.cloudUser) : 'parceiro(a)');
+  authorLabel.textContent = `✍️ ${author}${isMine ? ' (você)' : ''}`;
+  const dateLabel = document.createElement('span');
+  const date = entry.created_at ? new Date(entry.created_at) : null;
+  dateLabel.textContent = date ? date.toLocaleString('pt-BR') : '';
+  if (entry.pending) {
+    dateLabel.textContent += ' · ⏳ pendente';
+    if (entry.lastError) dateLabel.title = `Última tentativa: ${entry.lastError}`;
+  }
+  header.appendChild(dayLabel);
+  header.appendChild(authorLabel);
+  header.appendChild(dateLabel);
+  const note = document.createElement('p');
+  note.className = 'entry-note';
+  note.textContent = entry.note;
+  wrapper.appendChild(header);
+  wrapper.appendChild(note);
+  if (isMine && !entry.pending) {
+    const actions = document.createElement('div');
+    actions.className = 'cloud-entry-actions';
+    actions.appendChild(createEditorButton('Editar', () => editCloudEntry(wrapper, entry), 'ghost'));
+    actions.appendChild(createEditorButton('Excluir', () => deleteCloudEntry(entry), 'danger'));
+    wrapper.appendChild(actions);
+  }
+  return wrapper;
+}
+
+/**
+ * Troca uma entrada do diário compartilhado por um formulário de
+ * edição do dia e do texto.
+ *
+ * @param {HTMLElement} wrapper Elemento `.cloud-entry`
+ * @param {Object} entry Entrada em edição
+ */
+function editCloudEntry(wrapper, entry) {
+  const form = document.createElement('form');
+  form.className = 'entry-form cloud-entry-edit';
+  const dayRow = document.createElement('div');
+  dayRow.className = 'form-row inline';
+  const dayLabel = document.createElement('label');
+  dayLabel.textContent = 'Dia';
+  const dayInput = document.createElement('input');
+  dayInput.type = 'number';
+  dayInput.min = '1';
+  dayInput.max = String(getLastDayId());
+  dayInput.value = entry.day || '';
+  dayInput.id = `edit-entry-day-${entry.id}`;
+  dayLabel.htmlFor = dayInput.id;
+  dayRow.appendChild(dayLabel);
+  dayRow.appendChild(dayInput);
+  const noteRow = document.createElement('div');
+  noteRow.className = 'form-row';
+  const noteInput = document.createElement('textarea');
+  noteInput.rows = 3;
+  noteInput.maxLength = 1000;
+  noteInput.required = true;
+  noteInput.value = entry.note;
+  noteInput.setAttribute('aria-label', 'Texto da memória');
+  noteRow.appendChild(noteInput);
+  const actions = document.createElement('div');
+  actions.className = 'auth-actions';
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.textContent = 'Salvar';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'ghost';
+  cancelBtn.textContent = 'Cancelar';
+  cancelBtn.addEventListener('click', () => renderCloudEntries(window.cloudEntries || []));
+  actions.appendChild(saveBtn);
+  actions.appendChild(cancelBtn);
+  const feedback = document.createElement('p');
+  feedback.className = 'feedback';
+  feedback.setAttribute('role', 'status');
+  form.appendChild(dayRow);
+  form.appendChild(noteRow);
+  form.appendChild(actions);
+  form.appendChild(feedback);
+  form.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const note = noteInput.value.trim();
+    const day = dayInput.value.trim() ? parseInt(dayInput.value, 10) : null;
+    if (!note) {
+      setFeedback(feedback, 'Escreva algo antes de salvar.', true);
+      return;
+    }
+    setFeedback(feedback, 'Salvando...');
+    try {
+      const updated = await window.cloudBackend.updateEntry(entry.id, { note, day: Number.isNaN(day) ? null : day });
+      renderCloudEntries((window.cloudEntries || []).map((e) => (e.id === entry.id ? { ...e, ...updated } : e)));
+      updateAllCloudEntries({ type: 'update', entry: { ...entry, ...updated } });
+    } catch (err) {
+      setFeedback(feedback, formatSupabaseError(err), true);
+    }
   });
+  wrapper.innerHTML = '';
+  wrapper.appendChild(form);
+  noteInput.focus();
+}
+
+/**
+ * Exclui, após confirmação, uma entrada do diário compartilhado.
+ *
+ * @param {Object} entry Entrada a excluir
+ */
+async function deleteCloudEntry(entry) {
+  if (!confirm('Excluir esta memória do diário compartilhado?')) return;
+  const feedback = document.getElementById('entry-feedback');
+  try {
+    await window.cloudBackend.deleteEntry(entry.id);
+    renderCloudEntries((window.cloudEntries || []).filter((e) => e.id !== entry.id));
+    updateAllCloudEntries({ type: 'delete', entry });
+    if (feedback) setFeedback(feedback, 'Memória excluída.');
+  } catch (err) {
+    if (feedback) setFeedback(feedback, formatSupabaseError(err), true);
+  }
 }
 
 /**
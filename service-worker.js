@@ -1,42 +1,218 @@
-const CACHE_NAME = 'honeymoon-cache-v2';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/script.js',
-  '/manifest.json',
-  '/ca-e-gui.webp',
-  '/ca-e-gui.jpg',
-  '/icon-192.png',
-  '/icon-512.png'
-];
+// Caches do aplicativo. Os nomes só mudam quando a lógica deste arquivo
+// muda; o conteúdo é renovado sozinho pela revalidação abaixo, então um
+// novo deploy não exige mexer aqui.
+const PRECACHE = 'honeymoon-precache-v1';
+const FONTS_CACHE = 'honeymoon-fonts-v1';
+const VENDOR_CACHE = 'honeymoon-vendor-v1';
+const CURRENT_CACHES = [PRECACHE, FONTS_CACHE, VENDOR_CACHE];
 
+// Lista dos arquivos guardados na instalação, relativa ao escopo.
+const PRECACHE_MANIFEST = 'precache-manifest.json';
+
+// Instalação tolerante: um arquivo que falhe (ou falte no servidor) é
+// só registrado no console, sem impedir o uso offline do restante.
 self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(urlsToCache);
-    })
-  );
+  event.waitUntil(precache({ onlyMissing: false }));
 });
 
+// Baixa os arquivos do manifesto para o cache offline. Na instalação
+// todos são renovados; nas aberturas de página seguintes
+// (`onlyMissing`), só entram os que ainda não estão guardados, para
+// que arquivos incluídos no manifesto por um deploy cheguem às
+// instalações existentes sem uma nova versão deste service worker.
+function precache({ onlyMissing }) {
+  return fetch(PRECACHE_MANIFEST, { cache: 'no-store' })
+    .then((response) => response.json())
+    .then(({ files }) =>
+      caches.open(PRECACHE).then((cache) =>
+        Promise.allSettled(
+          files.map((file) =>
+            (onlyMissing ? cache.match(file) : Promise.resolve(null)).then((cached) => {
+              if (cached) return null;
+              return fetch(file, { cache: 'reload' }).then((response) => {
+                if (!response.ok) throw new Error(`${file}: HTTP ${response.status}`);
+                return cache.put(file, response);
+              });
+            })
+          )
+        )
+      )
+    )
+    .then((results) => {
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => console.warn('Arquivo fora do cache offline:', result.reason));
+    })
+    .catch((err) => console.warn('Manifesto de pré-cache indisponível:', err));
+}
+
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
+    caches
+      .keys()
+      .then((cacheNames) =>
+        Promise.all(
+          cacheNames
+            .filter((cacheName) => !CURRENT_CACHES.includes(cacheName))
+            .map((cacheName) => caches.delete(cacheName))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// A página pede a troca para a nova versão quando o usuário aceita o
+// aviso de atualização.
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === 'https://fonts.googleapis.com') {
+    event.respondWith(staleWhileRevalidate(event, FONTS_CACHE));
+  } else if (url.origin === 'https://fonts.gstatic.com') {
+    event.respondWith(cacheFirst(request, FONTS_CACHE));
+  } else if (isPinnedVendorScript(url, request)) {
+    event.respondWith(cacheFirst(request, VENDOR_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, PRECACHE));
+    if (request.mode === 'navigate') event.waitUntil(precache({ onlyMissing: true }));
+  }
+  // Demais origens (API do Supabase) vão direto para a rede.
+});
+
+// Cliente do Supabase carregado do CDN por script.js. Com a versão fixa
+// na URL (`pacote@1.2.3`) o arquivo não muda, e guardá-lo permite abrir
+// o diário sem conexão para enfileirar memórias. Só pedidos CORS entram:
+// uma resposta opaca não passaria na verificação SRI da página.
+function isPinnedVendorScript(url, request) {
+  return (
+    url.origin === 'https://cdn.jsdelivr.net' &&
+    request.mode === 'cors' &&
+    /@\d+\.\d+\.\d+\//.test(url.pathname)
+  );
+}
+
+// Responde com a cópia guardada, se houver, e busca a versão nova em
+// paralelo. Páginas usam a mesma cópia qualquer que seja a query
+// (?dia=N). Quando o conteúdo de um arquivo do aplicativo muda, as
+// janelas abertas são avisadas para oferecer o recarregamento.
+function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const isPage = request.mode === 'navigate';
+  const key = isPage ? new URL(request.url).pathname : request;
+  return caches.open(cacheName).then((cache) =>
+    cache.match(key, { ignoreSearch: isPage }).then((cached) => {
+      const network = fetch(request)
+        .then((response) => {
+          // Folhas do Google Fonts chegam opacas (sem CORS), mas podem ser guardadas.
+          if (!response.ok && response.type !== 'opaque') return response;
+          const update = cache.put(key, response.clone());
+          if (cached && response.type !== 'opaque' && cacheName === PRECACHE) {
+            event.waitUntil(
+              Promise.all([contentHash(cached.clone()), contentHash(response.clone()), update]).then(([before, after]) => {
+                if (before !== after) return notifyClients({ type: 'content-updated', url: request.url });
+              })
+            );
+          } else {
+            event.waitUntil(update);
           }
+          return response;
         })
-      );
+        .catch((err) => {
+          if (cached) return cached;
+          if (isPage) {
+            return cache.match('index.html').then((page) => {
+              if (page) return page;
+              throw err;
+            });
+          }
+          throw err;
+        });
+      if (!cached) return network;
+      event.waitUntil(network.catch(() => {}));
+      return cached;
     })
   );
-});
+}
 
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      return response || fetch(event.request);
+// Arquivos de fonte e scripts com versão fixa não mudam para a mesma
+// URL: basta guardar uma vez.
+function cacheFirst(request, cacheName) {
+  return caches.open(cacheName).then((cache) =>
+    cache.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+          return response;
+        })
+    )
+  );
+}
+
+function contentHash(response) {
+  return response
+    .arrayBuffer()
+    .then((buffer) => crypto.subtle.digest('SHA-256', buffer))
+    .then((digest) => Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join(''));
+}
+
+function notifyClients(message) {
+  return clients
+    .matchAll({ type: 'window' })
+    .then((windowClients) => windowClients.forEach((client) => client.postMessage(message)));
+}
+
+// Lembretes locais (agendados por script.js): ao tocar na notificação,
+// foca uma janela já aberta do roteiro ou abre o dia da atividade.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  const url = new URL(data.url || './', self.registration.scope).href;
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const client = windowClients.find((c) => c.url.startsWith(self.registration.scope));
+      if (client) {
+        return client
+          .navigate(url)
+          .catch(() => client)
+          .then((navigated) => (navigated || client).focus());
+      }
+      return clients.openWindow(url);
     })
   );
-});
\ No newline at end of file
+});
+
+// Background Sync da fila de memórias do diário compartilhado. A fila e
+// a sessão ficam na página (localStorage), então o service worker pede
+// às janelas abertas que a enviem; se nenhuma conseguir, a promessa
+// rejeitada faz o navegador tentar de novo mais tarde.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'diary-outbox') return;
+  event.waitUntil(
+    clients
+      .matchAll({ type: 'window', includeUncontrolled: true })
+      .then((windowClients) => Promise.all(windowClients.map(requestOutboxFlush)))
+      .then((results) => {
+        if (!results.some(Boolean)) {
+          throw new Error('Fila do diário ainda pendente.');
+        }
+      })
+  );
+});
+
+function requestOutboxFlush(client) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(false), 30000);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(Boolean(event.data && event.data.ok));
+    };
+    client.postMessage({ type: 'flush-outbox' }, [channel.port2]);
+  });
+}
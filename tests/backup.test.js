@@ -0,0 +1,89 @@
+/*
+  Testes da restauração de backups (`applyBackup()`): o que o backup
+  traz da sincronização do aparelho de origem e as fotos dos estados
+  substituídos.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+/**
+ * Aplicativo na viagem `a`, sem recarregar a interface após a
+ * restauração e registrando as fotos apagadas.
+ */
+function setup() {
+  const app = loadApp();
+  app.currentTrip = { id: 'a', name: 'A' };
+  app.itineraryData = [{ id: 1, title: 'Dia 1', schedule: [{ id: 'museu', html: 'Museu' }] }];
+  app.activateTrip = async () => {};
+  const deleted = [];
+  app.deletePhotos = async (ids) => deleted.push(...ids);
+  return { app, deleted };
+}
+
+const note = (id, photos) => ({ id, text: id, createdAt: null, photos });
+
+/** Backup da viagem `a` com os estados informados. */
+const createBackup = (items) => ({ trip: { id: 'a', name: 'A' }, items });
+
+const stored = (app, key) => JSON.parse(app.localStorage.getItem(`trip:a:${key}`));
+
+test('estados restaurados ficam pendentes de envio, sem a sincronização do outro aparelho', async () => {
+  const { app } = setup();
+  await app.applyBackup(
+    createBackup({
+      'day-1-item-museu': {
+        completed: true,
+        updatedAt: '2026-01-16T10:00:00.000Z',
+        dirty: false,
+        syncedAt: '2026-01-16T10:00:00.000Z',
+        conflict: { detectedAt: '2026-01-16T10:00:00.000Z', discarded: { completed: false, notes: [] } },
+      },
+    }),
+    'merge'
+  );
+  assert.deepStrictEqual(
+    { ...stored(app, 'day-1-item-museu') },
+    { completed: true, updatedAt: '2026-01-16T10:00:00.000Z', dirty: true }
+  );
+});
+
+test('o estado restaurado é enviado na próxima sincronização', async () => {
+  const { app } = setup();
+  const store = { users: [{ id: 'u1', email: 'a@x', password: 'p' }], entries: [], itemStates: [] };
+  app.cloudBackend = app.createMemoryBackend(store);
+  await app.cloudBackend.signIn('a@x', 'p');
+  app.cloudUser = await app.cloudBackend.getUser();
+  await app.applyBackup(
+    createBackup({
+      'day-1-item-museu': { completed: true, updatedAt: '2026-01-16T10:00:00.000Z', dirty: false, syncedAt: '2026-01-16T10:00:00.000Z' },
+    }),
+    'replace'
+  );
+  await app.syncItemStates();
+  assert.deepStrictEqual(
+    store.itemStates.map((row) => [row.item_id, row.completed]),
+    [['museu', true]]
+  );
+  assert.strictEqual(stored(app, 'day-1-item-museu').dirty, false);
+});
+
+test('substituir apaga as fotos dos estados substituídos que o backup não usa', async () => {
+  const { app, deleted } = setup();
+  app.localStorage.setItem('trip:a:day-1-item-museu', JSON.stringify({ notes: [note('n1', ['f1', 'f2'])] }));
+  app.localStorage.setItem('trip:a:day-2-item-tango', JSON.stringify({ notes: [note('n2', ['f3'])] }));
+  app.localStorage.setItem('trip:b:day-1-item-museu', JSON.stringify({ notes: [note('n3', ['f4'])] }));
+  await app.applyBackup(createBackup({ 'day-1-item-museu': { notes: [note('n1', ['f2'])] } }), 'replace');
+  assert.deepStrictEqual([...deleted].sort(), ['f1', 'f3']);
+  assert.strictEqual(app.localStorage.getItem('trip:a:day-2-item-tango'), null);
+  assert.deepStrictEqual([...stored(app, 'day-1-item-museu').notes[0].photos], ['f2']);
+});
+
+test('mesclar só apaga as fotos dos estados sobrescritos pelo backup', async () => {
+  const { app, deleted } = setup();
+  app.localStorage.setItem('trip:a:day-1-item-museu', JSON.stringify({ notes: [note('n1', ['f1'])] }));
+  app.localStorage.setItem('trip:a:day-2-item-tango', JSON.stringify({ notes: [note('n2', ['f3'])] }));
+  await app.applyBackup(createBackup({ 'day-1-item-museu': { completed: true } }), 'merge');
+  assert.deepStrictEqual([...deleted], ['f1']);
+  assert.ok(stored(app, 'day-2-item-tango'));
+});
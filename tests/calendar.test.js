@@ -0,0 +1,135 @@
+/*
+  Testes dos horários das atividades: leitura do texto livre
+  (`parseItemTime()`), conversão do horário local da viagem em instante
+  absoluto (`zonedTimeToDate()`, inclusive em mudanças de horário de
+  verão) e os eventos do arquivo .ics (`buildIcs()`), que também
+  definem quando os lembretes disparam.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const h = (hours, minutes = 0) => hours * 60 + minutes;
+const DAY = 24 * 60;
+
+test('parseItemTime lê horários e intervalos', () => {
+  const cases = [
+    ['10h00', { start: h(10), end: null }],
+    ['~07h00', { start: h(7), end: null }],
+    ['9h', { start: h(9), end: null }],
+    ['11h30–12h30', { start: h(11, 30), end: h(12, 30) }],
+    ['11h30-12h30', { start: h(11, 30), end: h(12, 30) }],
+    ['Manhã (10h00–11h30)', { start: h(10), end: h(11, 30) }],
+    ['14h às 16h', { start: h(14), end: h(16) }],
+    ['Meio-dia 12h00', { start: h(12), end: null }],
+    ['meio-dia 12h00–13h00', { start: h(12), end: h(13) }],
+    // Término menor que o início: passa da meia-noite.
+    ['23h00–01h30', { start: h(23), end: DAY + h(1, 30) }],
+    ['22h00–22h00', { start: h(22), end: DAY + h(22) }],
+  ];
+  cases.forEach(([text, expected]) => {
+    assert.deepStrictEqual({ ...app.parseItemTime(text, '2026-01-21') }, expected, text);
+  });
+});
+
+test('parseItemTime recusa textos sem horário válido', () => {
+  ['', 'Noite', 'Almoço', 'Meio-dia', 'Dia livre', '24h00', '10h75', null, undefined].forEach((text) => {
+    assert.strictEqual(app.parseItemTime(text, '2026-01-21'), null, String(text));
+  });
+});
+
+test('parseItemTime soma os dias de "dia N" quando é uma data posterior', () => {
+  const cases = [
+    ['00h30 (já dia 22)', '2026-01-21', { start: DAY + h(0, 30), end: null }],
+    ['01h00–02h00 (dia 22)', '2026-01-21', { start: DAY + h(1), end: DAY + h(2) }],
+    // Virada de mês e de ano.
+    ['00h30 (já dia 1)', '2026-01-31', { start: DAY + h(0, 30), end: null }],
+    ['00h30 (já dia 1)', '2025-12-31', { start: DAY + h(0, 30), end: null }],
+    ['05h00 (dia 24)', '2026-01-21', { start: 3 * DAY + h(5), end: null }],
+    // O próprio dia, ou um dia fora da semana seguinte, não desloca.
+    ['10h00 (dia 21)', '2026-01-21', { start: h(10), end: null }],
+    ['10h00 (dia 5)', '2026-01-21', { start: h(10), end: null }],
+    // "Meio-dia" não é uma menção a outro dia, mesmo com um dia 12 logo ali.
+    ['Meio-dia 12h00', '2026-01-09', { start: h(12), end: null }],
+    ['meio-dia 12h00–13h00', '2026-01-10', { start: h(12), end: h(13) }],
+    // Sem a data do dia, a menção é ignorada.
+    ['00h30 (já dia 22)', null, { start: h(0, 30), end: null }],
+  ];
+  cases.forEach(([text, date, expected]) => {
+    assert.deepStrictEqual({ ...app.parseItemTime(text, date) }, expected, `${text} em ${date}`);
+  });
+});
+
+test('zonedTimeToDate converte o horário local do fuso da viagem', () => {
+  const cases = [
+    ['2026-01-21', h(10), 'America/Argentina/Buenos_Aires', '2026-01-21T13:00:00.000Z'],
+    ['2026-01-21', DAY + h(0, 30), 'America/Argentina/Buenos_Aires', '2026-01-22T03:30:00.000Z'],
+    ['2026-01-21', h(10), 'Europe/Lisbon', '2026-01-21T10:00:00.000Z'],
+    ['2026-07-21', h(10), 'Europe/Lisbon', '2026-07-21T09:00:00.000Z'],
+    ['2026-01-21', h(10), 'Asia/Tokyo', '2026-01-21T01:00:00.000Z'],
+    ['2026-01-21', h(10), 'UTC', '2026-01-21T10:00:00.000Z'],
+  ];
+  cases.forEach(([date, minutes, zone, expected]) => {
+    assert.strictEqual(app.zonedTimeToDate(date, minutes, zone).toISOString(), expected, `${date} ${minutes} ${zone}`);
+  });
+});
+
+test('zonedTimeToDate acompanha as mudanças de horário de verão', () => {
+  const zone = 'America/New_York';
+  const cases = [
+    // Antes e depois do início do horário de verão (8/3/2026, 2h → 3h).
+    ['2026-03-08', h(1, 30), '2026-03-08T06:30:00.000Z'],
+    ['2026-03-08', h(3, 30), '2026-03-08T07:30:00.000Z'],
+    // Véspera com horário após a meia-noite, já no horário de verão.
+    ['2026-03-07', DAY + h(10), '2026-03-08T14:00:00.000Z'],
+    // Fim do horário de verão (1/11/2026, 2h → 1h).
+    ['2026-11-01', h(0, 30), '2026-11-01T04:30:00.000Z'],
+    ['2026-11-01', h(3), '2026-11-01T08:00:00.000Z'],
+    ['2026-10-31', DAY + h(12), '2026-11-01T17:00:00.000Z'],
+  ];
+  cases.forEach(([date, minutes, expected]) => {
+    assert.strictEqual(app.zonedTimeToDate(date, minutes, zone).toISOString(), expected, `${date} ${minutes}`);
+  });
+  // A hora que não existe (2h30 no início) cai logo depois do salto.
+  const gap = app.zonedTimeToDate('2026-03-08', h(2, 30), zone).toISOString();
+  assert.ok(['2026-03-08T06:30:00.000Z', '2026-03-08T07:30:00.000Z'].includes(gap), gap);
+});
+
+test('buildIcs exporta início e término reais e informa as atividades sem horário', () => {
+  const days = [
+    {
+      id: 2,
+      date: '2026-01-21',
+      title: 'Dia 2',
+      schedule: [
+        { id: 'cafe', time: '09h00', html: 'Café' },
+        { id: 'museu', time: '10h00', html: 'Museu, <span class="tag">cultura</span>', transport: 'Metrô; linha D' },
+        { id: 'passeio', time: '14h00', html: 'Passeio' },
+        { id: 'jantar', time: 'Noite', html: 'Jantar' },
+        { id: 'tango', time: '23h00–00h30 (já dia 22)', html: 'Tango' },
+      ],
+    },
+    { id: 3, title: 'Sem data', schedule: [{ id: 'livre', time: '10h00', html: 'Livre' }] },
+  ];
+  const { ics, unparsed } = app.buildIcs(days, { id: 'ba', name: 'BA', timeZone: 'America/Argentina/Buenos_Aires' });
+  const events = ics.split('BEGIN:VEVENT').slice(1).map((block) => ({
+    uid: block.match(/UID:(.*)/)[1].trim(),
+    start: block.match(/DTSTART:(.*)/)[1].trim(),
+    end: block.match(/DTEND:(.*)/)[1].trim(),
+  }));
+  assert.deepStrictEqual(events, [
+    // Sem término: até a próxima atividade, se for em até 3 horas.
+    { uid: 'ba-dia-2-cafe@luademel', start: '20260121T120000Z', end: '20260121T130000Z' },
+    // Senão, uma hora.
+    { uid: 'ba-dia-2-museu@luademel', start: '20260121T130000Z', end: '20260121T140000Z' },
+    { uid: 'ba-dia-2-passeio@luademel', start: '20260121T170000Z', end: '20260121T180000Z' },
+    { uid: 'ba-dia-2-tango@luademel', start: '20260123T020000Z', end: '20260123T033000Z' },
+  ]);
+  assert.match(ics, /SUMMARY:Museu\\, cultura\r\n/);
+  assert.match(ics, /DESCRIPTION:Metrô\\; linha D\r\n/);
+  assert.deepStrictEqual(
+    [...unparsed.map(({ day, item }) => `${day.id}:${item.id}`)],
+    ['2:jantar', '3:livre']
+  );
+});
@@ -0,0 +1,40 @@
+/*
+  Testes dos prazos da checklist: leitura do formulário
+  (`readChecklistFields()`) e validação das tarefas de um backup
+  (`validateBackupChecklist()`).
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+
+/** Formulário com os campos de `createChecklistFields()` preenchidos. */
+function createForm(dueDays) {
+  const form = app.document.createElement('form');
+  app.createChecklistFields().forEach((field) => form.appendChild(field));
+  form.elements.text.value = 'Passaporte';
+  form.elements.dueDays.value = dueDays;
+  return form;
+}
+
+test('readChecklistFields lê o prazo em dias, sem aceitar prazos depois do embarque', () => {
+  const cases = [
+    ['', null],
+    ['abc', null],
+    ['0', 0],
+    ['7', 7],
+    ['-3', 0],
+    [' 12 ', 12],
+  ];
+  cases.forEach(([value, expected]) => {
+    assert.strictEqual(app.readChecklistFields(createForm(value)).dueDays, expected, value);
+  });
+  assert.strictEqual(app.readChecklistFields(createForm('3')).category, 'Outros');
+});
+
+test('validateBackupChecklist recusa prazos negativos ou fracionários', () => {
+  const task = (dueDays) => ({ id: 't1', text: 'Passaporte', category: 'Documentos', dueDays });
+  assert.strictEqual(app.validateBackupChecklist([task(null), task(0), task(30)]).length, 0);
+  assert.deepStrictEqual([...app.validateBackupChecklist([task(-3), task(1.5)])], ['tarefa 1 inválida.', 'tarefa 2 inválida.']);
+});
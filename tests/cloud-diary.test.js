@@ -0,0 +1,224 @@
+/*
+  Testes do diário compartilhado no aplicativo, com o back-end em
+  memória de `cloud-fakes.js` no lugar do Supabase: escolha do
+  back-end, inicialização da seção, paginação das memórias, fila local
+  sem conexão e sincronização das marcações entre dois aparelhos.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { loadApp } = require('./helpers');
+
+/** Espera as promessas pendentes (os temporizadores são manuais). */
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await new Promise((resolve) => setImmediate(resolve));
+};
+
+/** Conta compartilhada pelos aparelhos dos testes. */
+const createStore = () => ({ users: [{ id: 'u1', email: 'a@x', password: 'p' }], entries: [], itemStates: [] });
+
+/**
+ * Aplicativo com a página carregada, a viagem `a` ativa e o back-end em
+ * memória já injetado (como faria um teste do navegador).
+ */
+async function setup(store, { signedIn = true } = {}) {
+  const app = loadApp({ page: true });
+  app.currentTrip = { id: 'a', name: 'A' };
+  app.itineraryData = [{ id: 1, title: 'Dia 1', schedule: [{ id: 'museu', html: 'Museu' }] }];
+  app.cloudBackend = app.createMemoryBackend(store);
+  if (signedIn) await app.cloudBackend.signIn('a@x', 'p');
+  return app;
+}
+
+test('sem back-end injetado nem metas do Supabase, o diário não é configurado', async () => {
+  const app = loadApp({ page: true });
+  assert.strictEqual(await app.resolveCloudBackend(), null);
+  await app.initCloudDiary();
+  const notice = app.document.getElementById('cloud-diary-notice');
+  assert.match(notice.textContent, /supabase-url/);
+  assert.ok(app.document.getElementById('auth-form').classList.contains('hidden'));
+  assert.ok(app.document.getElementById('cloud-diary-area').classList.contains('hidden'));
+  assert.strictEqual(app.cloudBackend, null);
+});
+
+test('com as metas preenchidas, o back-end usa o cliente do Supabase', async () => {
+  const app = loadApp({ meta: { 'supabase-url': ' https://exemplo.supabase.co ', 'supabase-anon-key': 'chave' } });
+  const created = [];
+  app.supabase = { createClient: (url, key) => created.push([url, key]) && { auth: {} } };
+  const backend = await app.resolveCloudBackend();
+  assert.deepStrictEqual(created, [['https://exemplo.supabase.co', 'chave']]);
+  assert.strictEqual(typeof backend.listEntries, 'function');
+});
+
+test('uma meta vazia equivale a não configurar', async () => {
+  const app = loadApp({ meta: { 'supabase-url': 'https://exemplo.supabase.co', 'supabase-anon-key': ' ' } });
+  app.supabase = { createClient: () => assert.fail('não deveria criar o cliente') };
+  assert.strictEqual(await app.resolveCloudBackend(), null);
+});
+
+test('o back-end injetado tem precedência sobre as metas', async () => {
+  const app = loadApp({ meta: { 'supabase-url': 'https://exemplo.supabase.co', 'supabase-anon-key': 'chave' } });
+  const injected = app.createMemoryBackend(createStore());
+  app.cloudBackend = injected;
+  assert.strictEqual(await app.resolveCloudBackend(), injected);
+});
+
+test('com sessão salva, a inicialização mostra o diário e carrega as memórias da viagem', async () => {
+  const store = createStore();
+  store.entries.push(
+    { id: 1, trip_id: 'a', day: 1, note: 'nesta viagem', author: 'A', created_at: '2026-01-16T10:00:00Z', user_id: 'u1' },
+    { id: 2, trip_id: 'b', day: 1, note: 'em outra viagem', author: 'A', created_at: '2026-01-16T11:00:00Z', user_id: 'u1' }
+  );
+  const app = await setup(store);
+  await app.initCloudDiary();
+  await settle();
+  const doc = app.document;
+  assert.ok(doc.getElementById('auth-form').classList.contains('hidden'));
+  assert.ok(!doc.getElementById('cloud-diary-area').classList.contains('hidden'));
+  assert.match(doc.getElementById('auth-feedback').textContent, /Logado como a@x/);
+  assert.strictEqual(app.cloudUser.id, 'u1');
+  const list = doc.getElementById('cloud-entry-list').textContent;
+  assert.match(list, /nesta viagem/);
+  assert.doesNotMatch(list, /em outra viagem/);
+});
+
+test('"Carregar mais" continua de onde a página parou, sem repetir memórias do mesmo horário', async () => {
+  const store = createStore();
+  const pageSize = vm.runInContext('CLOUD_PAGE_SIZE', loadApp());
+  const total = pageSize + 3;
+  for (let i = 1; i <= total; i++) {
+    store.entries.push({ id: i, trip_id: 'a', note: `n${i}`, created_at: '2026-01-16T10:00:00Z', user_id: 'u1' });
+  }
+  const app = await setup(store);
+  app.cloudUser = await app.cloudBackend.getUser();
+  await app.loadCloudEntries();
+  assert.strictEqual(app.cloudEntries.length, pageSize);
+  assert.strictEqual(app.cloudEntriesHasMore, true);
+  const more = app.document.getElementById('cloud-entry-list').querySelector('.load-more');
+  more.click();
+  await settle();
+  assert.strictEqual(app.cloudEntriesHasMore, false);
+  const ids = app.cloudEntries.map((entry) => entry.id);
+  assert.strictEqual(new Set(ids).size, total);
+  assert.deepStrictEqual([...ids.slice(-3)], [3, 2, 1]);
+});
+
+test('os campos de dia das memórias vão até o último dia do roteiro', async () => {
+  const store = createStore();
+  store.entries.push({ id: 1, trip_id: 'a', day: 2, note: 'feira', created_at: '2026-01-16T10:00:00Z', user_id: 'u1' });
+  const app = await setup(store);
+  app.itineraryData = [1, 2, 3].map((id) => ({ id, title: `Dia ${id}`, schedule: [] }));
+  app.cloudUser = await app.cloudBackend.getUser();
+  await app.loadCloudEntries();
+  const doc = app.document;
+  assert.strictEqual(doc.getElementById('entry-day').max, '3');
+  const wrapper = doc.querySelector('.cloud-entry');
+  app.editCloudEntry(wrapper, app.cloudEntries[0]);
+  assert.strictEqual(doc.getElementById('edit-entry-day-1').max, '3');
+  assert.strictEqual(doc.getElementById('edit-entry-day-1').value, '2');
+});
+
+test('sem conexão, a memória fica na fila e é enviada quando a conexão volta', async () => {
+  const store = createStore();
+  const app = await setup(store);
+  app.cloudUser = await app.cloudBackend.getUser();
+  app.writeOutbox([{ client_id: 'c1', note: 'na balsa', day: 1, author: 'A', created_at: '2026-01-16T10:00:00Z' }]);
+  store.offline = true;
+  assert.strictEqual(await app.flushOutbox(), 0);
+  const [queued] = app.readOutbox();
+  assert.strictEqual(queued.attempts, 1);
+  assert.match(queued.lastError, /Sem conexão/);
+  assert.match(app.document.getElementById('cloud-entry-list').textContent, /na balsa.*pendente|pendente.*na balsa/s);
+  store.offline = false;
+  assert.strictEqual(await app.flushOutbox(), 1);
+  assert.strictEqual(app.readOutbox().length, 0);
+  assert.deepStrictEqual(
+    store.entries.map((e) => [e.client_id, e.trip_id, e.note]),
+    [['c1', 'a', 'na balsa']]
+  );
+  // Um novo envio da mesma memória não a duplica.
+  app.writeOutbox([{ client_id: 'c1', note: 'na balsa', day: 1 }]);
+  await app.flushOutbox();
+  assert.strictEqual(store.entries.length, 1);
+});
+
+test('salvar durante um envio já em andamento espera esse envio terminar', async () => {
+  const store = createStore();
+  const app = await setup(store);
+  app.cloudUser = await app.cloudBackend.getUser();
+  app.initCloudEntryForm();
+  // O primeiro envio (como o do evento `online`) fica preso na rede.
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  const insert = app.cloudBackend.insertEntry;
+  app.cloudBackend.insertEntry = async (entry) => {
+    if (entry.client_id === 'c0') await held;
+    return insert(entry);
+  };
+  app.writeOutbox([{ client_id: 'c0', note: 'antes', day: 1 }]);
+  const first = app.flushOutbox();
+  const form = app.document.getElementById('cloud-entry-form');
+  form.elements.note.value = 'na balsa';
+  form.dispatchEvent(new app.Event('submit'));
+  await settle();
+  const feedback = app.document.getElementById('entry-feedback');
+  assert.match(feedback.textContent, /Salvando/);
+  release();
+  assert.strictEqual(await first, 2);
+  await settle();
+  assert.match(feedback.textContent, /Memória salva na nuvem/);
+  assert.strictEqual(app.readOutbox().length, 0);
+  assert.deepStrictEqual(store.entries.map((e) => e.note), ['antes', 'na balsa']);
+});
+
+test('marcações e notas passam de um aparelho para o outro', async () => {
+  const store = createStore();
+  const phone = await setup(store);
+  const tablet = await setup(store);
+  for (const app of [phone, tablet]) app.cloudUser = await app.cloudBackend.getUser();
+  phone.writeItemState(1, 'museu', { completed: true, notes: [{ id: 'n1', text: 'lindo', createdAt: null, photos: [] }] });
+  await phone.syncItemStates();
+  assert.strictEqual(store.itemStates.length, 1);
+  await tablet.syncItemStates();
+  const state = tablet.readItemState(1, 'museu');
+  assert.strictEqual(state.completed, true);
+  assert.deepStrictEqual([...state.notes.map((note) => note.text)], ['lindo']);
+  assert.ok(!state.dirty);
+  // Nada mudou: a próxima rodada não regrava a linha remota.
+  const saved = store.itemStates[0].updated_at;
+  await tablet.syncItemStates();
+  await phone.syncItemStates();
+  assert.strictEqual(store.itemStates[0].updated_at, saved);
+});
+
+test('remover um dia em um aparelho não interrompe a sincronização dos dias seguintes', async () => {
+  const store = createStore();
+  const days = () => [
+    { id: 1, title: 'Dia 1', schedule: [{ id: 'museu', html: 'Museu' }] },
+    { id: 2, title: 'Dia 2', schedule: [{ id: 'tango', html: 'Tango' }] },
+  ];
+  const phone = await setup(store);
+  const tablet = await setup(store);
+  for (const app of [phone, tablet]) {
+    app.itineraryData = days();
+    app.cloudUser = await app.cloudBackend.getUser();
+  }
+  tablet.writeItemState(2, 'tango', { completed: true, notes: [] });
+  await tablet.syncItemStates();
+  await phone.syncItemStates();
+  phone.confirm = () => true;
+  phone.removeItineraryDay(1);
+  assert.strictEqual(phone.readItemState(1, 'tango').completed, true);
+  // O tablet, que ainda tem o tango no dia 2, desmarca a atividade.
+  tablet.writeItemState(2, 'tango', { completed: false, notes: [] });
+  await tablet.syncItemStates();
+  await phone.syncItemStates();
+  assert.strictEqual(phone.readItemState(1, 'tango').completed, false);
+  // E o contrário: a nota escrita no celular chega ao tablet.
+  phone.writeItemState(1, 'tango', { completed: true, notes: [{ id: 'n1', text: 'milonga', createdAt: null, photos: [] }] });
+  await phone.syncItemStates();
+  await tablet.syncItemStates();
+  const state = tablet.readItemState(2, 'tango');
+  assert.strictEqual(state.completed, true);
+  assert.deepStrictEqual([...state.notes.map((note) => note.text)], ['milonga']);
+});
@@ -0,0 +1,171 @@
+/*
+  Dublês do diário compartilhado para os testes.
+
+  O aplicativo nunca carrega este arquivo: os testes em `tests/` o
+  executam junto com o script principal e atribuem o back-end criado
+  a `window.cloudBackend` (ver `resolveCloudBackend()` em script.js).
+*/
+
+/**
+ * Cria um back-end do diário compartilhado que guarda tudo em memória,
+ * com a mesma interface de `createSupabaseBackend()`. Dois back-ends
+ * criados com o mesmo `store` se comportam como dois aparelhos ligados
+ * à mesma conta. Com
+ * `store.offline` verdadeiro, as operações de dados falham como se não
+ * houvesse conexão. As mudanças nas entradas são transmitidas pelo
+ * servidor de tempo real falso em `store.realtime` (ver
+ * `createFakeRealtimeServer()`).
+ *
+ * @param {{users: Array<Object>, entries: Array<Object>, itemStates: Array<Object>}} [store]
+ *   Contas (`{ email, password }`), entradas e estados das atividades
+ *   compartilhados
+ * @returns {Object} Back-end
+ */
+function createMemoryBackend(store = { users: [], entries: [], itemStates: [] }) {
+  store.realtime = store.realtime || createFakeRealtimeServer();
+  let user = null;
+  const listeners = [];
+  const notify = () => listeners.forEach((callback) => callback(user));
+  const requireUser = () => {
+    if (store.offline) throw new Error('Sem conexão com o servidor.');
+    if (!user) throw new Error('Faça login para continuar.');
+  };
+  const copy = (row) => ({ ...row });
+  return {
+    async getUser() {
+      return user;
+    },
+    async signIn(email, password) {
+      const account = store.users.find((u) => u.email === email && u.password === password);
+      if (!account) throw new Error('E-mail ou senha inválidos.');
+      user = { id: account.id || account.email, email: account.email };
+      notify();
+    },
+    async signUp(email, password) {
+      if (store.users.some((u) => u.email === email)) throw new Error('Já existe uma conta com este e-mail.');
+      store.users.push({ id: `user-${store.users.length + 1}`, email, password });
+    },
+    async signOut() {
+      user = null;
+      notify();
+    },
+    onAuthChange(callback) {
+      listeners.push(callback);
+    },
+    async listEntries({ tripId, limit = 50, before = null, day } = {}) {
+      requireUser();
+      return store.entries
+        .filter((e) => e.trip_id === tripId)
+        .filter(
+          (e) =>
+            !before || e.created_at < before.created_at || (e.created_at === before.created_at && e.id < before.id)
+        )
+        .filter((e) => day === undefined || e.day === day)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at) || (b.id > a.id ? 1 : b.id < a.id ? -1 : 0))
+        .slice(0, limit)
+        .map(copy);
+    },
+    async insertEntry(entry) {
+      requireUser();
+      const existing = entry.client_id && store.entries.find((e) => e.client_id === entry.client_id);
+      if (existing) return copy(existing);
+      const row = {
+        id: store.entries.reduce((max, e) => Math.max(max, e.id), 0) + 1,
+        client_id: entry.client_id || null,
+        trip_id: entry.trip_id || null,
+        day: entry.day != null ? entry.day : null,
+        note: entry.note,
+        author: entry.author || null,
+        created_at: entry.created_at || new Date().toISOString(),
+        user_id: user.id,
+      };
+      store.entries.push(row);
+      store.realtime.broadcast({ type: 'insert', entry: row });
+      return copy(row);
+    },
+    async updateEntry(id, changes) {
+      requireUser();
+      const row = store.entries.find((e) => e.id === id);
+      if (!row) throw new Error('Memória não encontrada.');
+      if (row.user_id !== user.id) throw new Error('Só quem escreveu pode alterar esta memória.');
+      if (changes.note !== undefined) row.note = changes.note;
+      if (changes.day !== undefined) row.day = changes.day;
+      store.realtime.broadcast({ type: 'update', entry: row });
+      return copy(row);
+    },
+    async deleteEntry(id) {
+      requireUser();
+      const row = store.entries.find((e) => e.id === id);
+      if (!row) throw new Error('Memória não encontrada.');
+      if (row.user_id !== user.id) throw new Error('Só quem escreveu pode excluir esta memória.');
+      store.entries.splice(store.entries.indexOf(row), 1);
+      store.realtime.broadcast({ type: 'delete', entry: { id } });
+    },
+    connectRealtime(handlers) {
+      // Como no Supabase, exclusões chegam de todas as viagens.
+      return store.realtime.connect({
+        ...handlers,
+        onEvent: (event) => {
+          if (event.type === 'delete' || event.entry.trip_id === handlers.tripId) handlers.onEvent(event);
+        },
+      });
+    },
+    async listItemStates(tripId) {
+      requireUser();
+      return (store.itemStates || []).filter((row) => row.trip_id === tripId).map(copy);
+    },
+    async upsertItemState(row) {
+      requireUser();
+      store.itemStates = store.itemStates || [];
+      const saved = { ...row, notes: JSON.parse(JSON.stringify(row.notes || [])), updated_by: user.id };
+      const index = store.itemStates.findIndex(
+        (r) => r.trip_id === row.trip_id && r.day === row.day && r.item_id === row.item_id
+      );
+      if (index >= 0) {
+        store.itemStates[index] = saved;
+      } else {
+        store.itemStates.push(saved);
+      }
+      return copy(saved);
+    },
+  };
+}
+
+/**
+ * Cria um servidor de tempo real falso, usado pelo back-end em
+ * memória: repassa as mudanças a todas as conexões abertas, como o
+ * canal do Supabase. Para testar a reconexão, `down = true` faz novas
+ * conexões falharem e `dropAll()` derruba as abertas.
+ *
+ * @returns {Object} Servidor `{ connect, broadcast, dropAll, down }`
+ */
+function createFakeRealtimeServer() {
+  const connections = new Set();
+  return {
+    down: false,
+    connect(handlers) {
+      const connection = { handlers };
+      if (this.down) {
+        setTimeout(() => handlers.onClose(new Error('Servidor de tempo real indisponível.')), 0);
+        return { close() {} };
+      }
+      connections.add(connection);
+      setTimeout(() => {
+        if (connections.has(connection)) handlers.onOpen();
+      }, 0);
+      return {
+        close() {
+          connections.delete(connection);
+        },
+      };
+    },
+    broadcast(event) {
+      connections.forEach((connection) => connection.handlers.onEvent(JSON.parse(JSON.stringify(event))));
+    },
+    dropAll() {
+      const dropped = Array.from(connections);
+      connections.clear();
+      dropped.forEach((connection) => connection.handlers.onClose(new Error('Conexão perdida.')));
+    },
+  };
+}
@@ -0,0 +1,468 @@
+/*
+  DOM mínimo para os testes, sem dependências.
+
+  Cobre o que o script principal usa fora do navegador: criação e
+  árvore de nós, atributos, classes, eventos, `innerHTML` (com um
+  analisador de HTML simples, que tolera marcação malformada como o
+  navegador: fecha elementos abertos, ignora fechamentos soltos e
+  decodifica entidades) e buscas com seletores simples (`#id`,
+  `.classe`, `elemento[atributo="valor"]` e combinações).
+*/
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+const VOID_TAGS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr'];
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title'];
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Troca as entidades HTML (nomeadas e numéricas) pelos caracteres.
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : match;
+  });
+}
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+class FakeNode {
+  constructor(nodeType, ownerDocument) {
+    this.nodeType = nodeType;
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.listeners = {};
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get children() {
+    return this.childNodes.filter((node) => node.nodeType === ELEMENT_NODE);
+  }
+
+  get textContent() {
+    if (this.nodeType === TEXT_NODE || this.nodeType === COMMENT_NODE) return this.data;
+    return this.childNodes.map((node) => (node.nodeType === COMMENT_NODE ? '' : node.textContent)).join('');
+  }
+
+  set textContent(value) {
+    if (this.nodeType === TEXT_NODE || this.nodeType === COMMENT_NODE) {
+      this.data = String(value);
+      return;
+    }
+    this.childNodes.slice().forEach((node) => node.remove());
+    const text = String(value == null ? '' : value);
+    if (text) this.appendChild(this.ownerDocument.createTextNode(text));
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, reference) {
+    const nodes = node.nodeType === DOCUMENT_FRAGMENT_NODE ? node.childNodes.slice() : [node];
+    nodes.forEach((child) => {
+      child.remove();
+      const index = reference ? this.childNodes.indexOf(reference) : -1;
+      if (index >= 0) {
+        this.childNodes.splice(index, 0, child);
+      } else {
+        this.childNodes.push(child);
+      }
+      child.parentNode = this;
+    });
+    return node;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    const siblings = this.parentNode.childNodes;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  replaceWith(...nodes) {
+    const parent = this.parentNode;
+    if (!parent) return;
+    nodes.slice().forEach((node) => parent.insertBefore(node, this));
+    this.remove();
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter((fn) => fn !== listener);
+  }
+
+  dispatchEvent(event) {
+    event.target = event.target || this;
+    event.currentTarget = this;
+    (this.listeners[event.type] || []).slice().forEach((listener) => listener.call(this, event));
+    if (event.bubbles && this.parentNode && !event.propagationStopped) this.parentNode.dispatchEvent(event);
+    return !event.defaultPrevented;
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(serialize).join('');
+  }
+
+  set innerHTML(html) {
+    this.childNodes.slice().forEach((node) => node.remove());
+    parseHtml(String(html == null ? '' : html), this);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  querySelectorAll(selector) {
+    const test = compileSelector(selector);
+    const found = [];
+    const walk = (node) =>
+      node.childNodes.forEach((child) => {
+        if (child.nodeType !== ELEMENT_NODE) return;
+        if (test(child)) found.push(child);
+        walk(child.container());
+      });
+    walk(this);
+    return found;
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+}
+
+/** Atributos refletidos como propriedades dos elementos. */
+const REFLECTED = ['id', 'href', 'target', 'rel', 'title', 'type', 'src', 'alt', 'name', 'min', 'max', 'step', 'placeholder', 'for', 'role'];
+
+class FakeElement extends FakeNode {
+  constructor(tagName, ownerDocument) {
+    super(ELEMENT_NODE, ownerDocument);
+    this.tagName = tagName.toUpperCase();
+    this.localName = tagName.toLowerCase();
+    this.attributes = [];
+    this.dataset = {};
+    this.style = {};
+    this.disabled = false;
+    this.checked = false;
+    this.hidden = false;
+    if (this.localName === 'template') this.content = ownerDocument.createDocumentFragment();
+    if (this.localName === 'meta') {
+      Object.defineProperty(this, 'content', {
+        get: () => this.getAttribute('content') || '',
+        set: (value) => this.setAttribute('content', value),
+      });
+    }
+    const element = this;
+    this.classList = {
+      add: (...names) => names.forEach((n) => element.classList.contains(n) || element.setClasses([...element.classes(), n])),
+      remove: (...names) => element.setClasses(element.classes().filter((c) => !names.includes(c))),
+      contains: (name) => element.classes().includes(name),
+      toggle(name, force) {
+        const on = force === undefined ? !this.contains(name) : Boolean(force);
+        if (on) this.add(name);
+        else this.remove(name);
+        return on;
+      },
+    };
+  }
+
+  /** Nó que guarda os filhos (o `content` de um `template`). */
+  container() {
+    return this.localName === 'template' ? this.content : this;
+  }
+
+  classes() {
+    return (this.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  }
+
+  setClasses(list) {
+    this.setAttribute('class', list.join(' '));
+  }
+
+  /** Valor de campos: o atributo `value` (ou o texto de `textarea`) até ser alterado. */
+  get value() {
+    if (this.currentValue !== undefined) return this.currentValue;
+    return this.localName === 'textarea' ? this.textContent : this.getAttribute('value') || '';
+  }
+
+  set value(value) {
+    this.currentValue = String(value == null ? '' : value);
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  getAttribute(name) {
+    const attr = this.attributes.find((a) => a.name === name.toLowerCase());
+    return attr ? attr.value : null;
+  }
+
+  hasAttribute(name) {
+    return this.getAttribute(name) !== null;
+  }
+
+  setAttribute(name, value) {
+    const key = name.toLowerCase();
+    const attr = this.attributes.find((a) => a.name === key);
+    if (attr) {
+      attr.value = String(value);
+    } else {
+      this.attributes.push({ name: key, value: String(value) });
+    }
+    if (key.startsWith('data-')) {
+      this.dataset[key.slice(5).replace(/-([a-z])/g, (m, c) => c.toUpperCase())] = String(value);
+    }
+  }
+
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter((a) => a.name !== name.toLowerCase());
+  }
+
+  get innerHTML() {
+    return this.container().childNodes.map(serialize).join('');
+  }
+
+  set innerHTML(html) {
+    const target = this.container();
+    target.childNodes.slice().forEach((node) => node.remove());
+    parseHtml(String(html == null ? '' : html), target);
+  }
+
+  get outerHTML() {
+    return serialize(this);
+  }
+
+  get elements() {
+    const byName = {};
+    this.querySelectorAll('input, select, textarea, button').forEach((el) => {
+      const name = el.getAttribute('name') || el.id;
+      if (name) byName[name] = el;
+    });
+    return byName;
+  }
+
+  reset() {
+    this.querySelectorAll('input, select, textarea').forEach((el) => {
+      el.currentValue = undefined;
+    });
+  }
+
+  click() {
+    this.dispatchEvent(new FakeEvent('click', { bubbles: true }));
+  }
+
+  focus() {
+    this.ownerDocument.activeElement = this;
+  }
+
+  blur() {}
+
+  closest(selector) {
+    const test = compileSelector(selector);
+    for (let node = this; node && node.nodeType === ELEMENT_NODE; node = node.parentNode) {
+      if (test(node)) return node;
+    }
+    return null;
+  }
+}
+
+REFLECTED.forEach((name) => {
+  const property = name === 'for' ? 'htmlFor' : name;
+  Object.defineProperty(FakeElement.prototype, property, {
+    get() {
+      return this.getAttribute(name) || '';
+    },
+    set(value) {
+      this.setAttribute(name, value);
+    },
+  });
+});
+
+class FakeEvent {
+  constructor(type, init = {}) {
+    this.type = type;
+    this.bubbles = Boolean(init.bubbles);
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+    Object.assign(this, init);
+  }
+
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+}
+
+/**
+ * Transforma um seletor (ou uma lista separada por vírgulas) em uma
+ * função de teste. Aceita `elemento#id.classe[atributo="valor"]` e os
+ * combinadores de descendente (espaço) e de filho (`>`).
+ */
+function compileSelector(selector) {
+  const compound = (text) => {
+    const match = text.match(/^([a-z0-9-]*|\*)(#[\w-]+)?((?:\.[\w-]+)*)(?:\[([\w-]+)(?:="([^"]*)")?\])?$/i);
+    if (!match || !text) throw new Error(`Seletor não suportado: ${selector}`);
+    const [, tag, id, classes, attr, value] = match;
+    const classList = classes ? classes.split('.').filter(Boolean) : [];
+    return (el) =>
+      (!tag || tag === '*' || el.localName === tag.toLowerCase()) &&
+      (!id || el.id === id.slice(1)) &&
+      classList.every((c) => el.classList.contains(c)) &&
+      (!attr || (value === undefined ? el.hasAttribute(attr) : el.getAttribute(attr) === value));
+  };
+  const tests = selector.split(',').map((part) => {
+    const tokens = part.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+    // Confere da direita para a esquerda, subindo pelos ancestrais.
+    const steps = [];
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      const child = tokens[i - 1] === '>';
+      steps.push({ test: compound(tokens[i]), child });
+      if (child) i -= 1;
+    }
+    const matchFrom = (el, index) => {
+      if (!steps[index].test(el)) return false;
+      if (index === steps.length - 1) return true;
+      const parentOnly = steps[index].child;
+      for (let node = el.parentNode; node && node.nodeType === ELEMENT_NODE; node = node.parentNode) {
+        if (matchFrom(node, index + 1)) return true;
+        if (parentOnly) return false;
+      }
+      return false;
+    };
+    return (el) => matchFrom(el, 0);
+  });
+  return (el) => tests.some((test) => test(el));
+}
+
+function serialize(node) {
+  if (node.nodeType === TEXT_NODE) {
+    return node.parentNode && RAW_TEXT_TAGS.includes(node.parentNode.localName) ? node.data : escapeText(node.data);
+  }
+  if (node.nodeType === COMMENT_NODE) return `<!--${node.data}-->`;
+  if (node.nodeType === DOCUMENT_FRAGMENT_NODE) return node.childNodes.map(serialize).join('');
+  const attrs = node.attributes.map((a) => ` ${a.name}="${escapeAttr(a.value)}"`).join('');
+  if (VOID_TAGS.includes(node.localName)) return `<${node.localName}${attrs}>`;
+  return `<${node.localName}${attrs}>${node.innerHTML}</${node.localName}>`;
+}
+
+/**
+ * Analisa um trecho de HTML e acrescenta os nós a `root`.
+ */
+function parseHtml(html, root) {
+  const doc = root.ownerDocument;
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const target = () => (current().container ? current().container() : current());
+  const tagPattern = /^<([a-z][a-z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/i;
+  const attrPattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let rest = html;
+  while (rest) {
+    if (rest.startsWith('<!--')) {
+      const end = rest.indexOf('-->', 4);
+      const data = end < 0 ? rest.slice(4) : rest.slice(4, end);
+      target().appendChild(doc.createComment(data));
+      rest = end < 0 ? '' : rest.slice(end + 3);
+      continue;
+    }
+    if (/^<[!?]/.test(rest)) {
+      const end = rest.indexOf('>');
+      rest = end < 0 ? '' : rest.slice(end + 1);
+      continue;
+    }
+    const close = rest.match(/^<\/([a-z][a-z0-9-]*)[^>]*>/i);
+    if (close) {
+      const name = close[1].toLowerCase();
+      const index = stack.map((node) => node.localName).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      rest = rest.slice(close[0].length);
+      continue;
+    }
+    const open = rest.match(tagPattern);
+    if (open) {
+      const el = doc.createElement(open[1]);
+      let attr;
+      attrPattern.lastIndex = 0;
+      while ((attr = attrPattern.exec(open[2]))) {
+        const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4] || '';
+        if (!el.hasAttribute(attr[1])) el.setAttribute(attr[1], decodeEntities(value));
+      }
+      target().appendChild(el);
+      rest = rest.slice(open[0].length);
+      if (RAW_TEXT_TAGS.includes(el.localName)) {
+        const end = rest.toLowerCase().indexOf(`</${el.localName}`);
+        const text = end < 0 ? rest : rest.slice(0, end);
+        if (text) el.appendChild(doc.createTextNode(el.localName === 'textarea' ? decodeEntities(text) : text));
+        rest = end < 0 ? '' : rest.slice(end).replace(/^<\/[a-z]+[^>]*>/i, '');
+      } else if (!VOID_TAGS.includes(el.localName) && !open[3]) {
+        stack.push(el);
+      }
+      continue;
+    }
+    // Texto até a próxima marca (um "<" que não abre marca é texto).
+    const next = rest.indexOf('<', 1);
+    const text = next < 0 ? rest : rest.slice(0, next);
+    target().appendChild(doc.createTextNode(decodeEntities(text)));
+    rest = next < 0 ? '' : rest.slice(next);
+  }
+}
+
+/**
+ * Cria um documento vazio, com `head` e `body`.
+ *
+ * @returns {Object} Documento
+ */
+function createDocument() {
+  const doc = new FakeNode(9, null);
+  doc.ownerDocument = doc;
+  doc.createElement = (tag) => new FakeElement(tag, doc);
+  doc.createTextNode = (text) => {
+    const node = new FakeNode(TEXT_NODE, doc);
+    node.data = String(text);
+    return node;
+  };
+  doc.createComment = (text) => {
+    const node = new FakeNode(COMMENT_NODE, doc);
+    node.data = String(text);
+    return node;
+  };
+  doc.createDocumentFragment = () => new FakeNode(DOCUMENT_FRAGMENT_NODE, doc);
+  doc.getElementById = (id) => doc.querySelector(`#${id}`);
+  doc.documentElement = doc.createElement('html');
+  doc.head = doc.createElement('head');
+  doc.body = doc.createElement('body');
+  doc.documentElement.appendChild(doc.head);
+  doc.documentElement.appendChild(doc.body);
+  doc.appendChild(doc.documentElement);
+  doc.activeElement = doc.body;
+  return doc;
+}
+
+const Node = { ELEMENT_NODE, TEXT_NODE, COMMENT_NODE, DOCUMENT_FRAGMENT_NODE };
+
+module.exports = { createDocument, FakeEvent, Node };
@@ -0,0 +1,123 @@
+/*
+  Utilitários dos testes (executados com `node --test tests/`, sem
+  dependências).
+
+  O script principal é escrito para o navegador, com funções globais.
+  `loadApp()` o executa em um contexto isolado do Node com o DOM
+  mínimo de `fake-dom.js`, junto com os dublês de `cloud-fakes.js`, e
+  devolve esse contexto para que os testes chamem as funções
+  diretamente. Os temporizadores são manuais: ficam em `timers` e só
+  disparam com `runTimers()`.
+*/
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDocument, FakeEvent, Node } = require('./fake-dom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Conteúdo do `body` de `index.html`, com os elementos que o script
+ * procura pelo id.
+ *
+ * @returns {string} HTML
+ */
+function readPageBody() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  return html.slice(html.indexOf('>', html.indexOf('<body')) + 1, html.lastIndexOf('</body>'));
+}
+
+/**
+ * Cria o contexto com o script principal e os dublês carregados.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.page] Usa o `body` de `index.html`
+ * @param {string} [options.html] Conteúdo do `body` da página
+ * @param {Object<string, string>} [options.meta] Metas do `head`
+ *   (nome → conteúdo)
+ * @returns {Object} Contexto (o `window` do script), com `timers` e
+ *   `runTimers(limit)` para controlar o tempo e `dispatchEvent(type)`
+ *   para os eventos da janela
+ */
+function loadApp({ page = false, html = page ? readPageBody() : '', meta = {} } = {}) {
+  const storage = new Map();
+  const timers = [];
+  const listeners = {};
+  let nextTimer = 1;
+  const document = createDocument();
+  document.body.innerHTML = html;
+  Object.keys(meta).forEach((name) => {
+    const el = document.createElement('meta');
+    el.setAttribute('name', name);
+    el.setAttribute('content', meta[name]);
+    document.head.appendChild(el);
+  });
+  const context = {
+    console,
+    URL,
+    Date,
+    Math,
+    JSON,
+    Promise,
+    localStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key),
+      key: (index) => Array.from(storage.keys())[index] || null,
+      get length() {
+        return storage.size;
+      },
+    },
+    document,
+    Node,
+    Event: FakeEvent,
+    navigator: {},
+    location: new URL('http://localhost/index.html'),
+    history: {
+      replaceState(state, title, url) {
+        context.location = new URL(url, context.location);
+      },
+      pushState(state, title, url) {
+        context.location = new URL(url, context.location);
+      },
+    },
+    addEventListener(type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+    },
+    dispatchEvent(event) {
+      (listeners[event.type] || []).forEach((listener) => listener(event));
+    },
+    setTimeout(fn, ms = 0) {
+      const id = nextTimer++;
+      timers.push({ id, fn, ms });
+      return id;
+    },
+    clearTimeout(id) {
+      const index = timers.findIndex((timer) => timer.id === id);
+      if (index >= 0) timers.splice(index, 1);
+    },
+    setInterval: () => 0,
+    clearInterval() {},
+    timers,
+  };
+  context.window = context;
+  // Dispara os temporizadores pendentes, em ordem, inclusive os que
+  // forem criados durante a execução (no máximo `limit`); devolve as
+  // esperas disparadas.
+  context.runTimers = (limit = Infinity) => {
+    const fired = [];
+    while (timers.length && fired.length < limit) {
+      const timer = timers.shift();
+      fired.push(timer.ms);
+      timer.fn();
+    }
+    return fired;
+  };
+  vm.createContext(context);
+  ['script.js', 'tests/cloud-fakes.js'].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,123 @@
+/*
+  Testes dos identificadores estáveis das atividades
+  (`deriveItemId()`, `assignItemIds()`) e da migração única das chaves
+  antigas por posição (`migrateIndexedItemKeys()`), que decidem onde
+  ficam as marcações e notas já salvas.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+
+test('deriveItemId gera um identificador legível a partir da descrição', () => {
+  const cases = [
+    ['Obelisco e Av. 9 de Julio', 'obelisco-e-av-9-de-julio'],
+    ['<strong>Almoço</strong> — Don Julio (reserva!)', 'almoco-don-julio-reserva'],
+    ['Ñandú &amp; Pingüino', 'nandu-pinguino'],
+    // Etiquetas não entram: mudar a etiqueta não desassocia as notas.
+    ['Café Tortoni <span class="tag">imperdível</span>', 'cafe-tortoni'],
+    ['<span class="tag">grátis</span> Feira de <em>San Telmo</em>', 'feira-de-san-telmo'],
+    // Começo sem letra recebe prefixo.
+    ['9 de Julio', 'item-9-de-julio'],
+    ['— 24h no centro', 'item-24h-no-centro'],
+    // Nada aproveitável.
+    ['', 'item'],
+    ['!!!', 'item'],
+    ['<span class="tag">só etiqueta</span>', 'item'],
+  ];
+  cases.forEach(([html, expected]) => assert.strictEqual(app.deriveItemId({ html }), expected, html));
+  assert.strictEqual(app.deriveItemId({}), 'item');
+});
+
+test('deriveItemId limita o tamanho sem cortar palavras', () => {
+  const id = app.deriveItemId({ html: 'Passeio pelo bairro de San Telmo com feira de antiguidades aos domingos' });
+  assert.strictEqual(id, 'passeio-pelo-bairro-de-san-telmo-com-feira-de');
+  assert.ok(id.length <= 48);
+  // Uma única palavra longa é mantida inteira.
+  const long = 'a'.repeat(60);
+  assert.strictEqual(app.deriveItemId({ html: long }), long);
+});
+
+test('assignItemIds mantém identificadores explícitos e numera repetições no mesmo dia', () => {
+  const days = [
+    {
+      id: 1,
+      schedule: [
+        { html: 'Museu' },
+        { html: 'Museu' },
+        { id: 'museu', html: 'Outro museu' },
+        { id: 'jantar', html: 'Jantar' },
+      ],
+    },
+    { id: 2, schedule: [{ html: 'Museu' }] },
+  ];
+  app.assignItemIds(days);
+  assert.deepStrictEqual([...days[0].schedule.map((item) => item.id)], ['museu', 'museu-2', 'museu-3', 'jantar']);
+  assert.strictEqual(days[1].schedule[0].id, 'museu');
+  // Chamar de novo não muda nada.
+  app.assignItemIds(days);
+  assert.deepStrictEqual([...days[0].schedule.map((item) => item.id)], ['museu', 'museu-2', 'museu-3', 'jantar']);
+});
+
+/** Aplicativo na viagem `a` com um roteiro de dois dias. */
+function setup() {
+  const app = loadApp();
+  app.currentTrip = { id: 'a', name: 'A' };
+  const days = [
+    { id: 1, schedule: [{ id: 'museu', html: 'Museu' }, { id: 'tango', html: 'Tango' }] },
+    { id: 2, schedule: [{ id: 'feira', html: 'Feira' }] },
+  ];
+  return { app, days };
+}
+
+test('migrateIndexedItemKeys leva as chaves por posição para as chaves por identificador', () => {
+  const { app, days } = setup();
+  const ls = app.localStorage;
+  ls.setItem('trip:a:day-1-item-0', '{"completed":true}');
+  ls.setItem('trip:a:day-1-item-1', '{"note":"milonga"}');
+  ls.setItem('trip:a:day-2-item-0', '{"completed":false}');
+  app.migrateIndexedItemKeys(days);
+  const cases = [
+    ['trip:a:day-1-item-museu', '{"completed":true}'],
+    ['trip:a:day-1-item-tango', '{"note":"milonga"}'],
+    ['trip:a:day-2-item-feira', '{"completed":false}'],
+    ['trip:a:day-1-item-0', null],
+    ['trip:a:day-1-item-1', null],
+    ['trip:a:day-2-item-0', null],
+    ['trip:a:itemIdsMigrated', '1'],
+  ];
+  cases.forEach(([key, expected]) => assert.strictEqual(ls.getItem(key), expected, key));
+  // A nota antiga é lida no formato atual.
+  assert.deepStrictEqual([...app.readItemState(1, 'tango').notes.map((note) => note.text)], ['milonga']);
+});
+
+test('migrateIndexedItemKeys não sobrescreve o que já está na chave por identificador', () => {
+  const { app, days } = setup();
+  const ls = app.localStorage;
+  ls.setItem('trip:a:day-1-item-museu', '{"completed":false,"updatedAt":"2026-01-16T10:00:00.000Z"}');
+  ls.setItem('trip:a:day-1-item-0', '{"completed":true}');
+  app.migrateIndexedItemKeys(days);
+  assert.strictEqual(ls.getItem('trip:a:day-1-item-museu'), '{"completed":false,"updatedAt":"2026-01-16T10:00:00.000Z"}');
+  assert.strictEqual(ls.getItem('trip:a:day-1-item-0'), null);
+});
+
+test('migrateIndexedItemKeys roda uma vez por viagem', () => {
+  const { app, days } = setup();
+  const ls = app.localStorage;
+  ls.setItem('trip:b:day-1-item-0', '{"completed":true}');
+  app.migrateIndexedItemKeys(days);
+  // Chaves de outra viagem não são tocadas.
+  assert.strictEqual(ls.getItem('trip:b:day-1-item-0'), '{"completed":true}');
+  assert.strictEqual(ls.getItem('trip:b:day-1-item-museu'), null);
+  // Depois da migração, chaves novas não são mais movidas.
+  ls.setItem('trip:a:day-1-item-0', '{"completed":true}');
+  app.migrateIndexedItemKeys(days);
+  assert.strictEqual(ls.getItem('trip:a:day-1-item-0'), '{"completed":true}');
+  assert.strictEqual(ls.getItem('trip:a:day-1-item-museu'), null);
+  // A outra viagem migra na sua vez.
+  app.currentTrip = { id: 'b', name: 'B' };
+  app.migrateIndexedItemKeys(days);
+  assert.strictEqual(ls.getItem('trip:b:day-1-item-museu'), '{"completed":true}');
+  assert.strictEqual(ls.getItem('trip:b:day-1-item-0'), null);
+});
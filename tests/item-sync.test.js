@@ -0,0 +1,155 @@
+/*
+  Testes da sincronização das marcações e notas (`syncItemStates()`)
+  com o back-end em memória de `cloud-fakes.js`: envio das alterações
+  locais, recebimento das remotas e conflitos, em que vence a
+  alteração mais recente.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+/** Conta compartilhada pelos aparelhos dos testes. */
+const createStore = () => ({ users: [{ id: 'u1', email: 'a@x', password: 'p' }], entries: [], itemStates: [] });
+
+/**
+ * Aparelho com sessão aberta na viagem `a`, cujo roteiro tem uma
+ * atividade (`museu`, no dia 1).
+ */
+async function createDevice(store) {
+  const app = loadApp();
+  app.currentTrip = { id: 'a', name: 'A' };
+  app.itineraryData = [{ id: 1, title: 'Dia 1', schedule: [{ id: 'museu', html: 'Museu' }] }];
+  app.cloudBackend = app.createMemoryBackend(store);
+  await app.cloudBackend.signIn('a@x', 'p');
+  app.cloudUser = await app.cloudBackend.getUser();
+  return app;
+}
+
+/** Estado do museu gravado no localStorage do aparelho. */
+const stored = (app) => JSON.parse(app.localStorage.getItem('trip:a:day-1-item-museu'));
+
+/**
+ * Altera o museu no aparelho com a data de alteração informada, como
+ * `writeItemState()` faria nesse instante.
+ */
+function edit(app, state, updatedAt) {
+  const current = stored(app) || {};
+  app.localStorage.setItem('trip:a:day-1-item-museu', JSON.stringify({ ...current, ...state, updatedAt, dirty: true }));
+}
+
+/** Dois aparelhos já sincronizados com o museu desmarcado. */
+async function createSyncedPair() {
+  const store = createStore();
+  const phone = await createDevice(store);
+  const tablet = await createDevice(store);
+  edit(phone, { completed: false }, '2026-01-16T09:00:00.000Z');
+  await phone.syncItemStates();
+  await tablet.syncItemStates();
+  return { store, phone, tablet };
+}
+
+test('alteração só local é enviada', async () => {
+  const { store, phone } = await createSyncedPair();
+  edit(phone, { completed: true }, '2026-01-16T10:00:00.000Z');
+  await phone.syncItemStates();
+  assert.strictEqual(store.itemStates.length, 1);
+  assert.strictEqual(store.itemStates[0].completed, true);
+  assert.strictEqual(store.itemStates[0].updated_at, '2026-01-16T10:00:00.000Z');
+  assert.strictEqual(stored(phone).dirty, false);
+  assert.strictEqual(stored(phone).syncedAt, '2026-01-16T10:00:00.000Z');
+  assert.strictEqual(stored(phone).conflict, undefined);
+});
+
+test('alteração só remota é trazida', async () => {
+  const { phone, tablet } = await createSyncedPair();
+  edit(tablet, { completed: true, notes: [{ id: 'n1', text: 'vale a pena', createdAt: null, photos: [] }] }, '2026-01-16T10:00:00.000Z');
+  await tablet.syncItemStates();
+  await phone.syncItemStates();
+  const state = phone.readItemState(1, 'museu');
+  assert.strictEqual(state.completed, true);
+  assert.deepStrictEqual([...state.notes.map((note) => note.text)], ['vale a pena']);
+  assert.strictEqual(state.syncedAt, '2026-01-16T10:00:00.000Z');
+  assert.ok(!state.dirty);
+  assert.strictEqual(state.conflict, undefined);
+});
+
+test('alterado nos dois aparelhos: a alteração local mais recente vence e a outra fica no conflito', async () => {
+  const { store, phone, tablet } = await createSyncedPair();
+  edit(tablet, { completed: true }, '2026-01-16T10:00:00.000Z');
+  await tablet.syncItemStates();
+  // O celular, sem conexão, escreveu uma nota depois.
+  edit(phone, { notes: [{ id: 'n1', text: 'fechado', createdAt: null, photos: [] }] }, '2026-01-16T11:00:00.000Z');
+  await phone.syncItemStates();
+  const state = stored(phone);
+  assert.strictEqual(state.completed, false);
+  assert.strictEqual(state.dirty, false);
+  assert.strictEqual(state.conflict.discarded.completed, true);
+  assert.strictEqual(state.conflict.discarded.notes.length, 0);
+  assert.strictEqual(store.itemStates[0].completed, false);
+  assert.deepStrictEqual(store.itemStates[0].notes.map((note) => note.text), ['fechado']);
+  // O tablet recebe a versão vencedora.
+  await tablet.syncItemStates();
+  assert.strictEqual(tablet.readItemState(1, 'museu').completed, false);
+});
+
+test('alterado nos dois aparelhos: a alteração remota mais recente vence e a local fica no conflito', async () => {
+  const { store, phone, tablet } = await createSyncedPair();
+  edit(phone, { completed: true }, '2026-01-16T10:00:00.000Z');
+  edit(tablet, { notes: [{ id: 'n1', text: 'fechado', createdAt: null, photos: [] }] }, '2026-01-16T11:00:00.000Z');
+  await tablet.syncItemStates();
+  await phone.syncItemStates();
+  const state = stored(phone);
+  assert.strictEqual(state.completed, false);
+  assert.strictEqual(state.notes[0].text, 'fechado');
+  assert.strictEqual(state.syncedAt, '2026-01-16T11:00:00.000Z');
+  assert.deepStrictEqual({ ...state.conflict.discarded }, { completed: true, notes: [] });
+  assert.strictEqual(store.itemStates[0].updated_at, '2026-01-16T11:00:00.000Z');
+});
+
+test('alterado nos dois aparelhos com o mesmo conteúdo: sem conflito', async () => {
+  const { phone, tablet } = await createSyncedPair();
+  edit(tablet, { completed: true }, '2026-01-16T10:00:00.000Z');
+  await tablet.syncItemStates();
+  edit(phone, { completed: true }, '2026-01-16T11:00:00.000Z');
+  await phone.syncItemStates();
+  const state = stored(phone);
+  assert.strictEqual(state.completed, true);
+  assert.strictEqual(state.dirty, false);
+  assert.strictEqual(state.syncedAt, '2026-01-16T10:00:00.000Z');
+  assert.strictEqual(state.conflict, undefined);
+});
+
+test('commitSyncedState não sobrescreve uma alteração feita durante a sincronização', async () => {
+  const { phone } = await createSyncedPair();
+  edit(phone, { completed: true }, '2026-01-16T10:00:00.000Z');
+  const committed = phone.commitSyncedState('a', 'day-1-item-museu', '2026-01-16T09:00:00.000Z', {
+    completed: false,
+    updatedAt: '2026-01-16T09:00:00.000Z',
+    syncedAt: '2026-01-16T09:00:00.000Z',
+  });
+  assert.strictEqual(committed, false);
+  assert.strictEqual(stored(phone).completed, true);
+  assert.strictEqual(stored(phone).dirty, true);
+});
+
+test('trocar de viagem no meio da sincronização não mistura os roteiros', async () => {
+  const store = createStore();
+  const app = await createDevice(store);
+  app.writeItemState(1, 'museu', { completed: true, notes: [] });
+  // A outra viagem não tem o museu e tem uma atividade própria no dia 1.
+  const list = app.cloudBackend.listItemStates;
+  app.cloudBackend.listItemStates = async (tripId) => {
+    const rows = await list(tripId);
+    app.currentTrip = { id: 'b', name: 'B' };
+    app.itineraryData = [{ id: 1, title: 'Dia 1', schedule: [{ id: 'praia', html: 'Praia' }] }];
+    return rows;
+  };
+  await app.syncItemStates();
+  assert.deepStrictEqual(
+    store.itemStates.map((row) => [row.trip_id, row.day, row.item_id, row.completed]),
+    [['a', 1, 'museu', true]]
+  );
+  const saved = JSON.parse(app.localStorage.getItem('trip:a:day-1-item-museu'));
+  assert.strictEqual(saved.dirty, false);
+  assert.strictEqual(app.localStorage.getItem('trip:b:day-1-item-museu'), null);
+});
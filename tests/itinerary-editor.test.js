@@ -0,0 +1,50 @@
+/*
+  Testes do que acompanha as edições do roteiro: o custo previsto de
+  uma atividade removida e a navegação entre dias quando os números
+  não são contínuos.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+test('remover uma atividade apaga o custo previsto dela', () => {
+  const app = loadApp();
+  app.currentTrip = { id: 'a', name: 'A' };
+  app.itineraryData = [];
+  const money = (amount) => ({ amount, currency: 'ARS' });
+  app.localStorage.setItem(
+    'trip:a:budget',
+    JSON.stringify({ rates: {}, planned: { '1:museu': money(100), '1:tango': money(200), '2:museu': money(300) }, expenses: [] })
+  );
+  app.writeItemState(1, 'museu', { completed: true, notes: [] });
+  app.removeItemState(1, 'museu');
+  assert.strictEqual(app.localStorage.getItem('trip:a:day-1-item-museu'), null);
+  assert.deepStrictEqual(Object.keys(app.getBudget().planned), ['1:tango', '2:museu']);
+});
+
+test('os botões de dia anterior e próximo seguem a ordem do roteiro', () => {
+  const app = loadApp({ page: true });
+  app.currentTrip = { id: 'a', name: 'A' };
+  app.tabPanels = {};
+  app.itineraryData = [1, 3, 4].map((id) => ({ id, title: `Dia ${id}`, schedule: [] }));
+  const opened = [];
+  app.openTab = (id) => opened.push(id);
+  const nav = (id) => {
+    app.createPanel(id);
+    const panel = app.tabPanels[id];
+    return {
+      prev: panel.querySelector('.prev-day-btn'),
+      next: panel.querySelector('.next-day-btn'),
+    };
+  };
+  const first = nav('1');
+  assert.strictEqual(first.prev, null);
+  first.next.click();
+  const middle = nav('3');
+  middle.prev.click();
+  middle.next.click();
+  const last = nav('4');
+  assert.strictEqual(last.next, null);
+  last.prev.click();
+  assert.deepStrictEqual(opened, ['3', '1', '4', '3']);
+});
@@ -0,0 +1,71 @@
+/*
+  Testes do cartão "Voos & estrutura geral" (`renderLogisticsCard()`)
+  montado a partir de `logistics` do roteiro, na página real.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+/** Viagem mínima com um voo. */
+const createTrip = (id) => ({
+  id,
+  name: id,
+  logistics: {
+    flights: [
+      {
+        id: 'ida',
+        title: 'Ida',
+        from: { code: 'GRU', city: 'São Paulo' },
+        to: { code: 'LIS', city: 'Lisboa' },
+        departure: '2026-05-10T22:00:00-03:00',
+        arrival: '2026-05-11T11:30:00+01:00',
+      },
+    ],
+  },
+});
+
+/** Cartões de voos visíveis para a viagem informada. */
+const cardsOf = (app, tripId) =>
+  app.document.querySelectorAll('.flights-card').filter((card) => {
+    const owner = card.closest('[data-trip]');
+    return !owner || owner.dataset.trip === tripId;
+  });
+
+test('a viagem com cartão embutido o reaproveita', () => {
+  const app = loadApp({ page: true });
+  const trip = createTrip('buenos-aires-2026');
+  app.renderLogisticsCard(trip);
+  const cards = cardsOf(app, trip.id);
+  assert.strictEqual(app.document.querySelectorAll('.flights-card').length, 1);
+  assert.strictEqual(cards.length, 1);
+  assert.match(cards[0].textContent, /São Paulo \(GRU\) → 22h00 – 10\/05/);
+  assert.match(cards[0].textContent, /Lisboa \(LIS\) → chegada 11h30 – 11\/05/);
+});
+
+test('outra viagem ganha um cartão próprio, oculto nas demais viagens', () => {
+  const app = loadApp({ page: true });
+  const trip = createTrip('lisboa-2026');
+  app.applyTripHeader(trip);
+  app.renderLogisticsCard(trip);
+  const [card] = cardsOf(app, trip.id);
+  assert.ok(card);
+  const grid = card.closest('[data-trip]');
+  assert.strictEqual(grid.getAttribute('data-trip'), 'lisboa-2026');
+  // Logo após o resumo geral, antes dos avisos e das abas.
+  const siblings = grid.parentNode.childNodes;
+  assert.strictEqual(siblings[siblings.indexOf(grid) + 1], app.document.getElementById('trip-errors'));
+  assert.match(card.textContent, /Ida/);
+  // Renderizar de novo não cria outro cartão.
+  app.renderLogisticsCard(trip);
+  assert.strictEqual(app.document.querySelectorAll('.flights-card').length, 2);
+  // Ao voltar para a viagem original, o cartão novo é ocultado.
+  app.applyTripHeader({ id: 'buenos-aires-2026', name: 'Buenos Aires' });
+  assert.ok(grid.classList.contains('hidden'));
+});
+
+test('sem voos, nenhum cartão é criado', () => {
+  const app = loadApp({ page: true });
+  app.renderLogisticsCard({ id: 'sem-voos', name: 'Sem voos', logistics: { flights: [] } });
+  app.renderLogisticsCard({ id: 'sem-logistica', name: 'Sem logística' });
+  assert.strictEqual(app.document.querySelectorAll('.flights-card').length, 1);
+});
@@ -0,0 +1,109 @@
+/*
+  Testes da conexão de tempo real do diário compartilhado
+  (`startCloudRealtime()`) com o servidor falso de `cloud-fakes.js`:
+  espera exponencial entre as tentativas, limite de 30 s, volta ao
+  início depois de conectar e reconexão imediata.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+/**
+ * Contexto com sessão aberta no back-end em memória e sem variação
+ * aleatória nas esperas (`Math.random()` fixo em 1).
+ */
+async function setup() {
+  const app = loadApp();
+  app.Math = Object.create(Math, { random: { value: () => 1 } });
+  const store = { users: [{ id: 'u1', email: 'a@x', password: 'p' }], entries: [], itemStates: [] };
+  app.cloudBackend = app.createMemoryBackend(store);
+  await app.cloudBackend.signIn('a@x', 'p');
+  app.cloudUser = await app.cloudBackend.getUser();
+  app.currentTrip = { id: 'a' };
+  return { app, server: store.realtime };
+}
+
+/**
+ * Dispara os avisos imediatos do servidor falso (esperas de 0 ms) e
+ * devolve a espera agendada para a próxima tentativa de conexão.
+ */
+function pendingWait(app) {
+  while (app.timers.length && app.timers[0].ms === 0) app.runTimers(1);
+  return app.timers.length ? app.timers[0].ms : undefined;
+}
+
+/**
+ * Faz a tentativa agendada (que falha com o servidor fora do ar) e
+ * devolve a espera da seguinte.
+ */
+function nextRetry(app) {
+  app.runTimers(1);
+  return pendingWait(app);
+}
+
+test('com o servidor fora do ar, a espera dobra até 30 s', async () => {
+  const { app, server } = await setup();
+  server.down = true;
+  app.startCloudRealtime();
+  const retries = [pendingWait(app)];
+  for (let i = 0; i < 6; i++) retries.push(nextRetry(app));
+  assert.deepStrictEqual(retries, [1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+  app.stopCloudRealtime();
+  assert.strictEqual(app.timers.length, 0);
+});
+
+test('depois de conectar, a próxima queda recomeça em 1 s', async () => {
+  const { app, server } = await setup();
+  server.down = true;
+  app.startCloudRealtime();
+  assert.strictEqual(pendingWait(app), 1000);
+  assert.strictEqual(nextRetry(app), 2000);
+  server.down = false;
+  app.runTimers();
+  assert.ok(app.cloudRealtime.opened);
+  assert.strictEqual(app.cloudRealtime.attempts, 0);
+  server.dropAll();
+  assert.deepStrictEqual(app.timers.map((timer) => timer.ms), [1000]);
+  app.runTimers();
+  // A conexão refeita volta a receber as mudanças.
+  server.broadcast({ type: 'insert', entry: { id: 7, trip_id: 'a', note: 'oi', created_at: '2026-01-16T10:00:00Z' } });
+  assert.deepStrictEqual(Array.from(app.allCloudEntries, (entry) => entry.id), [7]);
+  app.stopCloudRealtime();
+});
+
+test('reconnectNow() não espera o próximo intervalo', async () => {
+  const { app, server } = await setup();
+  server.down = true;
+  app.startCloudRealtime();
+  assert.strictEqual(pendingWait(app), 1000);
+  assert.strictEqual(nextRetry(app), 2000);
+  server.down = false;
+  app.cloudRealtime.reconnectNow();
+  // Só resta o aviso de conexão aberta; a espera de 2 s foi cancelada.
+  assert.deepStrictEqual(app.timers.map((timer) => timer.ms), [0]);
+  app.runTimers();
+  assert.ok(app.cloudRealtime.opened);
+  app.stopCloudRealtime();
+});
+
+test('conexões encerradas não reagendam tentativas', async () => {
+  const { app, server } = await setup();
+  app.startCloudRealtime();
+  app.runTimers();
+  app.stopCloudRealtime();
+  server.dropAll();
+  assert.strictEqual(app.timers.length, 0);
+});
+
+test('só as mudanças da viagem ativa chegam ao diário', async () => {
+  const { app } = await setup();
+  app.startCloudRealtime();
+  app.runTimers();
+  await app.cloudBackend.insertEntry({ trip_id: 'a', note: 'desta', created_at: '2026-01-16T10:00:00Z' });
+  await app.cloudBackend.insertEntry({ trip_id: 'b', note: 'de outra', created_at: '2026-01-17T10:00:00Z' });
+  assert.deepStrictEqual(Array.from(app.allCloudEntries, (entry) => entry.note), ['desta']);
+  // Eventos de outra viagem recebidos por engano também são ignorados.
+  app.applyCloudEvent({ type: 'insert', entry: { id: 99, trip_id: 'b', note: 'x', created_at: '2026-01-18T10:00:00Z' } });
+  assert.strictEqual(app.allCloudEntries.length, 1);
+  app.stopCloudRealtime();
+});
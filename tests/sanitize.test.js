@@ -0,0 +1,148 @@
+/*
+  Testes do filtro de HTML do roteiro (`sanitizeHtml()`) e do Markdown
+  das notas (`renderMarkdown()`), que ficam entre o texto escrito por
+  alguém e o `innerHTML` da página. O HTML é interpretado pelo DOM de
+  `fake-dom.js`, que trata marcação malformada como o navegador nos
+  casos daqui.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+
+/** Elementos e atributos de um trecho de HTML já filtrado. */
+function inspect(html) {
+  const template = app.document.createElement('template');
+  template.innerHTML = html;
+  return template.content.querySelectorAll('*').map((el) => ({
+    tag: el.localName,
+    attrs: Object.fromEntries(el.attributes.map((attr) => [attr.name, attr.value])),
+  }));
+}
+
+/** HTML produzido por `renderMarkdown()`. */
+function markdown(text) {
+  const div = app.document.createElement('div');
+  div.appendChild(app.renderMarkdown(text));
+  return div.innerHTML;
+}
+
+test('sanitizeHtml remove scripts e outros elementos perigosos com o conteúdo', () => {
+  const cases = [
+    ['<script>alert(1)</script>texto', 'texto'],
+    ['<SCRIPT SRC="https://mal.example/x.js"></SCRIPT>ok', 'ok'],
+    ['<style>body{display:none}</style>ok', 'ok'],
+    ['<iframe src="https://mal.example"></iframe>ok', 'ok'],
+    ['<svg><a href="javascript:alert(1)">x</a><script>alert(1)</script></svg>ok', 'ok'],
+    ['<math><mi>x</mi></math>ok', 'ok'],
+    ['<template><img src=x onerror=alert(1)></template>ok', 'ok'],
+    ['<noscript><img src=x onerror=alert(1)></noscript>ok', 'ok'],
+  ];
+  cases.forEach(([html, expected]) => assert.strictEqual(app.sanitizeHtml(html), expected, html));
+});
+
+test('sanitizeHtml descarta atributos de eventos e estilos', () => {
+  assert.strictEqual(app.sanitizeHtml('<b onclick="alert(1)" style="color:red">x</b>'), '<b>x</b>');
+  assert.strictEqual(app.sanitizeHtml('<img src=x onerror=alert(1)>'), '');
+  assert.strictEqual(app.sanitizeHtml('<span class="tag" onmouseover="alert(1)">x</span>'), '<span class="tag">x</span>');
+  assert.strictEqual(app.sanitizeHtml('<span class="tag x&quot;onclick=&quot;y">x</span>'), '<span class="tag">x</span>');
+  assert.strictEqual(app.sanitizeHtml('<div onload="alert(1)"><em>a</em></div>'), '<em>a</em>');
+});
+
+test('sanitizeHtml só mantém links http, https, mailto e tel', () => {
+  const blocked = [
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    '  javascript:alert(1)',
+    'jav&#x61;script:alert(1)',
+    'java&#09;script:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox(1)',
+    '//mal.example',
+  ];
+  blocked.forEach((href) => {
+    assert.strictEqual(app.sanitizeHtml(`<a href="${href}">x</a>`), '<a>x</a>', href);
+  });
+  ['https://exemplo.com/a?b=1&c=2', 'http://exemplo.com', 'mailto:a@x.com', 'tel:+5511999999999'].forEach((href) => {
+    const [link] = inspect(app.sanitizeHtml(`<a href="${href}" title="t">x</a>`));
+    assert.deepStrictEqual({ ...link.attrs }, { href, target: '_blank', rel: 'noopener' }, href);
+  });
+});
+
+test('sanitizeHtml trata marcação aninhada ou malformada sem deixar nada executável', () => {
+  const cases = [
+    '<b><i>x</b>y</i>',
+    '<p>a<span>b',
+    '<scr<script>ipt>alert(1)</script>',
+    '<a href="https://ok.com"<script>alert(1)</script>>x</a>',
+    '<<img src=x onerror=alert(1)>>',
+    '<b><a href="javascript:alert(1)"><i onclick="x">y</i></a></b>',
+    '<!-- <img src=x onerror=alert(1)> -->texto',
+    '<div><div><div><img src=x onerror=alert(1)></div></div></div>',
+    '</b>solto<b>',
+  ];
+  cases.forEach((html) => {
+    const clean = app.sanitizeHtml(html);
+    inspect(clean).forEach(({ tag, attrs }) => {
+      assert.ok(['a', 'b', 'br', 'em', 'i', 'small', 'span', 'strong'].includes(tag), `${html} → ${tag}`);
+      Object.keys(attrs).forEach((name) => assert.ok(['href', 'class', 'target', 'rel'].includes(name), `${html} → ${name}`));
+      if (attrs.href) assert.match(attrs.href, /^(https?:|mailto:|tel:)/);
+    });
+    assert.doesNotMatch(clean, /<(script|img|div|p)\b/i, html);
+    // Filtrar de novo não muda nada.
+    assert.strictEqual(app.sanitizeHtml(clean), clean, html);
+  });
+  assert.strictEqual(app.sanitizeHtml('<b><i>x</b>y</i>'), '<b><i>x</i></b>y');
+  assert.strictEqual(app.sanitizeHtml('<p>a<span>b'), 'a<span>b</span>');
+});
+
+test('sanitizeHtml preserva texto que parece HTML como texto', () => {
+  assert.strictEqual(app.sanitizeHtml('a &lt;script&gt;alert(1)&lt;/script&gt; &amp; b'), 'a &lt;script&gt;alert(1)&lt;/script&gt; &amp; b');
+  assert.strictEqual(app.sanitizeHtml(''), '');
+  assert.strictEqual(app.sanitizeHtml(null), '');
+});
+
+test('renderMarkdown nunca interpreta o texto da nota como HTML', () => {
+  const html = markdown('<img src=x onerror=alert(1)> <script>alert(1)</script>\n- <b onclick="x">item</b>');
+  assert.strictEqual(
+    html,
+    '<p>&lt;img src=x onerror=alert(1)&gt; &lt;script&gt;alert(1)&lt;/script&gt;</p><ul><li>&lt;b onclick="x"&gt;item&lt;/b&gt;</li></ul>'
+  );
+});
+
+test('renderMarkdown não cria links com esquemas perigosos', () => {
+  [
+    '[clique](javascript:alert(1))',
+    '[clique](JAVASCRIPT:alert(1))',
+    '[clique](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+    '[clique](vbscript:msgbox)',
+    '**[clique](javascript:alert(1))**',
+    '[**clique**](javascript:alert(1))',
+  ].forEach((text) => {
+    const html = markdown(text);
+    assert.doesNotMatch(html, /<a\b/, text);
+    assert.match(html, /clique/, text);
+  });
+});
+
+test('renderMarkdown cria links seguros, mesmo com aspas no endereço', () => {
+  assert.strictEqual(
+    markdown('Veja [o mapa](https://exemplo.com/m?a=1&b=2) e https://exemplo.com/x.'),
+    '<p>Veja <a href="https://exemplo.com/m?a=1&amp;b=2" target="_blank" rel="noopener">o mapa</a> e ' +
+      '<a href="https://exemplo.com/x" target="_blank" rel="noopener">https://exemplo.com/x</a>.</p>'
+  );
+  // O endereço vira só o valor do atributo; o resto fica como texto.
+  const html = markdown('[x](https://exemplo.com/"><img/src=x/onerror=alert(1))>');
+  const tricky = inspect(html);
+  assert.deepStrictEqual([...tricky.map((el) => el.tag)], ['p', 'a']);
+  assert.strictEqual(tricky[1].attrs.href, 'https://exemplo.com/"><img/src=x/onerror=alert(1');
+  assert.match(html, /<\/a>\)&gt;<\/p>$/);
+});
+
+test('renderMarkdown monta negrito, itálico, listas e parágrafos', () => {
+  assert.strictEqual(
+    markdown('**Dia** *bom*\nsegunda linha\n\n1. um\n2. dois\n- a'),
+    '<p><strong>Dia</strong> <em>bom</em><br>segunda linha</p><ol><li>um</li><li>dois</li></ol><ul><li>a</li></ul>'
+  );
+});